@@ -0,0 +1,214 @@
+// Paper account performance analytics.
+//
+// Equity is snapshotted into `equity_snapshots` on a schedule; the equity curve, drawdowns and
+// the Sharpe and Sortino ratios are computed from those snapshots. Trade statistics and the
+// P&L breakdowns come from the trades closed in the requested range, joined to the signal
+// that opened them for the asset type and signal strength.
+const DEFAULT_OPTIONS = {
+  periodsPerYear: 252, // daily returns are annualized with sqrt(periodsPerYear)
+  maxCurvePoints: 500 // the equity curve is downsampled to at most this many points
+};
+
+const toNumber = (value) => (value === null || value === undefined ? null : parseFloat(value));
+const round = (value, digits = 2) => {
+  if (value === null || !isFinite(value)) return null;
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+};
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+class AccountAnalytics {
+  constructor(pool, tradingEngine, options = {}) {
+    this.pool = pool;
+    this.tradingEngine = tradingEngine;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+  }
+
+  async snapshot() {
+    const engine = this.tradingEngine;
+    const result = await this.pool.query(
+      `INSERT INTO equity_snapshots (account_id, balance, equity, unrealized_pnl, open_positions)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [engine.accountId, engine.balance, engine.getEquity(), engine.getUnrealizedPnl(), engine.positions.size]
+    );
+    return result.rows[0];
+  }
+
+  // Snapshots in [from, to], oldest first
+  async getSnapshots(from, to) {
+    const result = await this.pool.query(
+      `SELECT created_at, balance, equity
+       FROM equity_snapshots
+       WHERE account_id = $1 AND created_at >= $2 AND created_at <= $3
+       ORDER BY created_at`,
+      [this.tradingEngine.accountId, from, to]
+    );
+    return result.rows.map(row => ({ time: row.created_at, balance: toNumber(row.balance), equity: toNumber(row.equity) }));
+  }
+
+  async getClosedTrades(from, to) {
+    const result = await this.pool.query(
+      `SELECT t.symbol, t.signal_type, t.pnl, t.closed_at, s.type AS asset_type, s.strength
+       FROM trades t
+       LEFT JOIN signals s ON s.id = t.signal_id
+       WHERE t.account_id = $1 AND t.status = 'CLOSED' AND t.closed_at >= $2 AND t.closed_at <= $3
+       ORDER BY t.closed_at`,
+      [this.tradingEngine.accountId, from, to]
+    );
+    return result.rows.map(row => ({
+      symbol: row.symbol,
+      type: row.signal_type,
+      pnl: toNumber(row.pnl) || 0,
+      closedAt: row.closed_at,
+      assetType: row.asset_type || 'unknown',
+      strength: row.strength || 'unknown'
+    }));
+  }
+
+  // Running peak and drawdowns of an equity series
+  static drawdowns(points) {
+    let peak = -Infinity;
+    let max = { amount: 0, pct: 0, peakAt: null, troughAt: null };
+    let peakAt = null;
+    let current = { amount: 0, pct: 0 };
+
+    points.forEach(point => {
+      if (point.equity > peak) {
+        peak = point.equity;
+        peakAt = point.time;
+      }
+      const amount = peak - point.equity;
+      const pct = peak > 0 ? (amount / peak) * 100 : 0;
+      if (amount > max.amount) max = { amount, pct, peakAt, troughAt: point.time };
+      current = { amount, pct };
+    });
+
+    return {
+      max: { amount: round(max.amount), pct: round(max.pct), peakAt: max.peakAt, troughAt: max.troughAt },
+      current: { amount: round(current.amount), pct: round(current.pct) }
+    };
+  }
+
+  // Annualized Sharpe and Sortino ratios of daily returns (risk-free rate 0);
+  // null with fewer than two returns or no variation
+  static ratios(dailyEquity, periodsPerYear) {
+    const returns = [];
+    for (let i = 1; i < dailyEquity.length; i++) {
+      if (dailyEquity[i - 1] > 0) returns.push(dailyEquity[i] / dailyEquity[i - 1] - 1);
+    }
+    if (returns.length < 2) return { sharpe: null, sortino: null, days: returns.length };
+
+    const average = mean(returns);
+    const std = Math.sqrt(returns.reduce((sum, r) => sum + Math.pow(r - average, 2), 0) / (returns.length - 1));
+    const downside = Math.sqrt(mean(returns.map(r => Math.pow(Math.min(r, 0), 2))));
+    const annualize = Math.sqrt(periodsPerYear);
+
+    return {
+      sharpe: std > 0 ? round((average / std) * annualize) : null,
+      sortino: downside > 0 ? round((average / downside) * annualize) : null,
+      days: returns.length
+    };
+  }
+
+  // Win/loss statistics and streaks of trades in closing order
+  static tradeStats(trades) {
+    const wins = trades.filter(t => t.pnl > 0);
+    const losses = trades.filter(t => t.pnl < 0);
+    const total = trades.reduce((sum, t) => sum + t.pnl, 0);
+
+    let winStreak = 0;
+    let lossStreak = 0;
+    let longestWinStreak = 0;
+    let longestLossStreak = 0;
+    trades.forEach(t => {
+      winStreak = t.pnl > 0 ? winStreak + 1 : 0;
+      lossStreak = t.pnl < 0 ? lossStreak + 1 : 0;
+      longestWinStreak = Math.max(longestWinStreak, winStreak);
+      longestLossStreak = Math.max(longestLossStreak, lossStreak);
+    });
+
+    const grossProfit = wins.reduce((sum, t) => sum + t.pnl, 0);
+    const grossLoss = losses.reduce((sum, t) => sum + t.pnl, 0);
+
+    return {
+      trades: trades.length,
+      wins: wins.length,
+      losses: losses.length,
+      winRate: trades.length ? round((wins.length / trades.length) * 100) : null,
+      totalPnl: round(total),
+      averageWin: wins.length ? round(grossProfit / wins.length) : null,
+      averageLoss: losses.length ? round(grossLoss / losses.length) : null,
+      // Average P&L per trade
+      expectancy: trades.length ? round(total / trades.length) : null,
+      profitFactor: grossLoss < 0 ? round(grossProfit / -grossLoss) : null,
+      longestWinStreak,
+      longestLossStreak
+    };
+  }
+
+  static breakdown(trades, key) {
+    const groups = new Map();
+    trades.forEach(t => {
+      if (!groups.has(t[key])) groups.set(t[key], []);
+      groups.get(t[key]).push(t);
+    });
+    return Array.from(groups.entries())
+      .map(([name, group]) => {
+        const stats = AccountAnalytics.tradeStats(group);
+        return { [key]: name, trades: stats.trades, wins: stats.wins, winRate: stats.winRate, pnl: stats.totalPnl };
+      })
+      .sort((a, b) => b.pnl - a.pnl);
+  }
+
+  // Evenly thinned curve that always keeps the last point
+  static downsample(points, max) {
+    if (points.length <= max) return points;
+    const step = points.length / max;
+    const sampled = [];
+    for (let i = 0; i < max - 1; i++) sampled.push(points[Math.floor(i * step)]);
+    sampled.push(points[points.length - 1]);
+    return sampled;
+  }
+
+  // Last equity of each UTC day
+  static dailyCloses(points) {
+    const days = new Map();
+    points.forEach(point => days.set(new Date(point.time).toISOString().slice(0, 10), point.equity));
+    return Array.from(days.values());
+  }
+
+  async analyze({ from, to = new Date() }) {
+    const [snapshots, trades] = await Promise.all([this.getSnapshots(from, to), this.getClosedTrades(from, to)]);
+
+    const start = snapshots.length ? snapshots[0].equity : null;
+    const end = snapshots.length ? snapshots[snapshots.length - 1].equity : null;
+
+    return {
+      from,
+      to,
+      equity: {
+        start,
+        end,
+        change: start === null ? null : round(end - start),
+        changePct: start ? round(((end - start) / start) * 100) : null,
+        current: round(this.tradingEngine.getEquity())
+      },
+      drawdown: AccountAnalytics.drawdowns(snapshots),
+      ratios: AccountAnalytics.ratios(AccountAnalytics.dailyCloses(snapshots), this.options.periodsPerYear),
+      trades: AccountAnalytics.tradeStats(trades),
+      bySymbol: AccountAnalytics.breakdown(trades, 'symbol'),
+      byAssetType: AccountAnalytics.breakdown(trades, 'assetType'),
+      byStrength: AccountAnalytics.breakdown(trades, 'strength'),
+      equityCurve: AccountAnalytics.downsample(snapshots, this.options.maxCurvePoints)
+    };
+  }
+
+  // Analytics since the start of the current UTC day
+  dailySummary(now = new Date()) {
+    const from = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+    return this.analyze({ from, to: now });
+  }
+}
+
+module.exports = AccountAnalytics;
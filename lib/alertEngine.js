@@ -0,0 +1,347 @@
+const EventEmitter = require('events');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'alerts' });
+
+// User-defined alert rules stored in `alerts`, evaluated on every live quote and every
+// generated signal. Fired alerts are written to `alert_events` and emitted as
+// 'fired' with { alert, event } for delivery.
+//
+// Rule types and their conditions:
+//   price      { operator: 'crosses_above' | 'crosses_below' | 'crosses' | 'above' | 'below', value }
+//   indicator  { indicator: 'rsi' | 'confidence' | ..., operator: '<' | '<=' | '>' | '>=', value }
+//   move       { percent, windowMinutes, direction: 'up' | 'down' | 'any' }
+//   signal     { signal: 'BUY' | 'SELL', strength: 'STRONG SELL' | ..., instrumentType, minConfidence }
+// Signal rules may leave out the symbol to match every instrument.
+const TYPES = ['price', 'indicator', 'move', 'signal'];
+const MODES = ['once', 'recurring'];
+const CHANNELS = ['telegram', 'websocket'];
+const PRICE_OPERATORS = ['crosses_above', 'crosses_below', 'crosses', 'above', 'below'];
+const COMPARISONS = {
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b
+};
+const STRENGTHS = ['BUY', 'STRONG BUY', 'SELL', 'STRONG SELL'];
+const DEFAULT_COOLDOWN_SECONDS = 300;
+
+// Indicator values readable from a generated signal
+const INDICATORS = {
+  rsi: s => s.rsi,
+  confidence: s => s.confidence,
+  signal_points: s => s.signal_points,
+  macd: s => s.macd && s.macd.macd,
+  macd_signal: s => s.macd && s.macd.signal,
+  macd_histogram: s => s.macd && s.macd.histogram,
+  stochastic_k: s => s.stochastic && s.stochastic.k,
+  stochastic_d: s => s.stochastic && s.stochastic.d
+};
+
+const isNumber = (value) => typeof value === 'number' && isFinite(value);
+const round = (value) => Math.round(value * 100000) / 100000;
+
+class AlertEngine extends EventEmitter {
+  constructor(pool, candleStore) {
+    super();
+    this.pool = pool;
+    this.candleStore = candleStore;
+    this.alerts = new Map();
+    this.lastPrices = new Map();
+  }
+
+  static formatAlert(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      type: row.type,
+      symbol: row.symbol,
+      condition: row.condition,
+      mode: row.mode,
+      cooldownSeconds: row.cooldown_seconds,
+      channels: row.channels,
+      telegramChatId: row.telegram_chat_id,
+      active: row.active,
+      fireCount: row.fire_count,
+      lastFiredAt: row.last_fired_at,
+      createdAt: row.created_at
+    };
+  }
+
+  static formatEvent(row) {
+    return {
+      id: row.id,
+      alertId: row.alert_id,
+      alertName: row.alert_name,
+      symbol: row.symbol,
+      message: row.message,
+      value: row.value === null ? null : parseFloat(row.value),
+      data: row.data,
+      firedAt: row.fired_at
+    };
+  }
+
+  // Returns an error message, or null when the rule is valid. The symbol must already be normalized.
+  static validate(rule) {
+    if (!rule || typeof rule !== 'object') return 'Request body must be an object';
+    if (!TYPES.includes(rule.type)) return `type must be one of: ${TYPES.join(', ')}`;
+    if (!rule.symbol && rule.type !== 'signal') return 'symbol is required';
+    if (rule.name !== undefined && (typeof rule.name !== 'string' || rule.name.length > 100)) {
+      return 'name must be a string of up to 100 characters';
+    }
+    if (rule.mode !== undefined && !MODES.includes(rule.mode)) return `mode must be one of: ${MODES.join(', ')}`;
+    if (rule.cooldownSeconds !== undefined &&
+      !(Number.isInteger(rule.cooldownSeconds) && rule.cooldownSeconds >= 0 && rule.cooldownSeconds <= 86400)) {
+      return 'cooldownSeconds must be an integer between 0 and 86400';
+    }
+    if (rule.channels !== undefined &&
+      (!Array.isArray(rule.channels) || rule.channels.length === 0 || rule.channels.some(c => !CHANNELS.includes(c)))) {
+      return `channels must be a non-empty list of: ${CHANNELS.join(', ')}`;
+    }
+    if (rule.telegramChatId !== undefined && !/^-?\d{1,20}$/.test(String(rule.telegramChatId))) {
+      return 'telegramChatId must be a numeric chat id';
+    }
+
+    const c = rule.condition;
+    if (!c || typeof c !== 'object') return 'condition is required';
+
+    switch (rule.type) {
+      case 'price':
+        if (!PRICE_OPERATORS.includes(c.operator)) return `condition.operator must be one of: ${PRICE_OPERATORS.join(', ')}`;
+        if (!isNumber(c.value) || c.value <= 0) return 'condition.value must be a positive number';
+        return null;
+      case 'indicator':
+        if (!INDICATORS[c.indicator]) return `condition.indicator must be one of: ${Object.keys(INDICATORS).join(', ')}`;
+        if (!COMPARISONS[c.operator]) return `condition.operator must be one of: ${Object.keys(COMPARISONS).join(', ')}`;
+        if (!isNumber(c.value)) return 'condition.value must be a number';
+        return null;
+      case 'move':
+        if (!isNumber(c.percent) || c.percent <= 0) return 'condition.percent must be a positive number';
+        if (!Number.isInteger(c.windowMinutes) || c.windowMinutes < 1 || c.windowMinutes > 1440) {
+          return 'condition.windowMinutes must be an integer between 1 and 1440';
+        }
+        if (c.direction !== undefined && !['up', 'down', 'any'].includes(c.direction)) {
+          return 'condition.direction must be up, down or any';
+        }
+        return null;
+      default:
+        if (!c.signal && !c.strength) return 'condition needs a signal or strength';
+        if (c.signal !== undefined && !['BUY', 'SELL'].includes(c.signal)) return 'condition.signal must be BUY or SELL';
+        if (c.strength !== undefined && !STRENGTHS.includes(c.strength)) {
+          return `condition.strength must be one of: ${STRENGTHS.join(', ')}`;
+        }
+        if (c.minConfidence !== undefined && !(isNumber(c.minConfidence) && c.minConfidence >= 0 && c.minConfidence <= 100)) {
+          return 'condition.minConfidence must be between 0 and 100';
+        }
+        if (c.instrumentType !== undefined && typeof c.instrumentType !== 'string') {
+          return 'condition.instrumentType must be a string';
+        }
+        return null;
+    }
+  }
+
+  // Active rules are kept in memory; they are checked on every quote
+  async load() {
+    const result = await this.pool.query('SELECT * FROM alerts WHERE active = TRUE');
+    this.alerts.clear();
+    result.rows.forEach(row => this.alerts.set(row.id, AlertEngine.formatAlert(row)));
+  }
+
+  async create(rule) {
+    const result = await this.pool.query(
+      `INSERT INTO alerts (name, type, symbol, condition, mode, cooldown_seconds, channels, telegram_chat_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING *`,
+      [
+        rule.name || null, rule.type, rule.symbol || null, JSON.stringify(rule.condition),
+        rule.mode || 'once',
+        rule.cooldownSeconds === undefined ? DEFAULT_COOLDOWN_SECONDS : rule.cooldownSeconds,
+        JSON.stringify(rule.channels || CHANNELS),
+        rule.telegramChatId === undefined ? null : String(rule.telegramChatId)
+      ]
+    );
+    const alert = AlertEngine.formatAlert(result.rows[0]);
+    this.alerts.set(alert.id, alert);
+    return alert;
+  }
+
+  async list({ activeOnly = false } = {}) {
+    const result = await this.pool.query(
+      `SELECT * FROM alerts ${activeOnly ? 'WHERE active = TRUE' : ''} ORDER BY created_at DESC`
+    );
+    return result.rows.map(AlertEngine.formatAlert);
+  }
+
+  async get(id) {
+    const result = await this.pool.query('SELECT * FROM alerts WHERE id = $1', [id]);
+    return result.rows[0] ? AlertEngine.formatAlert(result.rows[0]) : null;
+  }
+
+  async remove(id) {
+    const result = await this.pool.query('DELETE FROM alerts WHERE id = $1', [id]);
+    this.alerts.delete(id);
+    return result.rowCount > 0;
+  }
+
+  async getHistory({ alertId = null, limit = 100 } = {}) {
+    const result = await this.pool.query(
+      `SELECT * FROM alert_events
+       WHERE ($1::integer IS NULL OR alert_id = $1)
+       ORDER BY fired_at DESC
+       LIMIT $2`,
+      [alertId, limit]
+    );
+    return result.rows.map(AlertEngine.formatEvent);
+  }
+
+  rulesFor(types, symbol) {
+    return Array.from(this.alerts.values())
+      .filter(alert => types.includes(alert.type) && (!alert.symbol || alert.symbol === symbol));
+  }
+
+  inCooldown(alert) {
+    return Boolean(alert.lastFiredAt) &&
+      Date.now() - new Date(alert.lastFiredAt).getTime() < alert.cooldownSeconds * 1000;
+  }
+
+  // Check price and move rules against a new quote
+  async onPrice(symbol, price) {
+    const previous = this.lastPrices.get(symbol);
+    this.lastPrices.set(symbol, price);
+
+    for (const alert of this.rulesFor(['price', 'move'], symbol)) {
+      try {
+        const match = alert.type === 'price'
+          ? AlertEngine.matchPrice(alert.condition, previous, price)
+          : await this.matchMove(alert.condition, symbol, price);
+        if (match) {
+          await this.fire(alert, { symbol, ...match });
+        }
+      } catch (error) {
+        log.error('Alert evaluation failed', { alertId: alert.id, error: error.message });
+      }
+    }
+  }
+
+  // Check indicator and signal rules against a newly generated signal
+  async onSignal(signal) {
+    for (const alert of this.rulesFor(['indicator', 'signal'], signal.symbol)) {
+      try {
+        const match = alert.type === 'indicator'
+          ? AlertEngine.matchIndicator(alert.condition, signal)
+          : AlertEngine.matchSignal(alert.condition, signal);
+        if (match) {
+          await this.fire(alert, { symbol: signal.symbol, ...match, data: { ...match.data, signalId: signal.id } });
+        }
+      } catch (error) {
+        log.error('Alert evaluation failed', { alertId: alert.id, error: error.message });
+      }
+    }
+  }
+
+  // Crossing needs a previous quote, so it never fires on the first price seen
+  static matchPrice({ operator, value }, previous, price) {
+    const crossedUp = isNumber(previous) && previous < value && price >= value;
+    const crossedDown = isNumber(previous) && previous > value && price <= value;
+    const matched = {
+      crosses_above: crossedUp,
+      crosses_below: crossedDown,
+      crosses: crossedUp || crossedDown,
+      above: price > value,
+      below: price < value
+    }[operator];
+    if (!matched) return null;
+
+    const verb = operator.startsWith('crosses')
+      ? `crossed ${crossedUp ? 'above' : 'below'}`
+      : `is ${operator}`;
+    return { message: `${verb} ${value} (${price})`, value: price, data: { previous: previous === undefined ? null : previous, price } };
+  }
+
+  async matchMove({ percent, windowMinutes, direction = 'any' }, symbol, price) {
+    const from = new Date(Date.now() - windowMinutes * 60 * 1000);
+    const candles = await this.candleStore.getCandles(symbol, '1m', { from, limit: 1 });
+    if (candles.length === 0) return null;
+
+    const reference = candles[0].open;
+    const movePct = ((price - reference) / reference) * 100;
+    const matched = direction === 'up' ? movePct >= percent
+      : direction === 'down' ? movePct <= -percent
+        : Math.abs(movePct) >= percent;
+    if (!matched) return null;
+
+    return {
+      message: `moved ${movePct > 0 ? '+' : ''}${movePct.toFixed(2)}% in ${windowMinutes}m (${reference} → ${price})`,
+      value: round(movePct),
+      data: { reference, price, windowMinutes }
+    };
+  }
+
+  static matchIndicator({ indicator, operator, value }, signal) {
+    const current = INDICATORS[indicator](signal);
+    if (!isNumber(current) || !COMPARISONS[operator](current, value)) return null;
+
+    return {
+      message: `${indicator.toUpperCase()} ${round(current)} ${operator} ${value}`,
+      value: round(current),
+      data: { indicator, price: signal.price }
+    };
+  }
+
+  static matchSignal(condition, signal) {
+    if (signal.signal === 'NEUTRAL') return null;
+    if (condition.signal && signal.signal !== condition.signal) return null;
+    if (condition.strength && signal.strength !== condition.strength) return null;
+    if (condition.minConfidence !== undefined && signal.confidence < condition.minConfidence) return null;
+    if (condition.instrumentType && signal.type !== condition.instrumentType) return null;
+
+    return {
+      message: `${signal.strength} signal (${signal.confidence}% confidence @ ${signal.price})`,
+      value: signal.confidence,
+      data: { signal: signal.signal, strength: signal.strength, price: signal.price }
+    };
+  }
+
+  // Record and emit a fired alert; one-shot rules are deactivated
+  async fire(alert, { symbol, message, value, data }) {
+    if (this.inCooldown(alert)) return null;
+
+    const keepActive = alert.mode === 'recurring';
+    const updated = await this.pool.query(
+      `UPDATE alerts
+       SET last_fired_at = NOW(), fire_count = fire_count + 1, active = $2
+       WHERE id = $1 AND active = TRUE
+       RETURNING *`,
+      [alert.id, keepActive]
+    );
+    // Deleted or already fired elsewhere
+    if (updated.rows.length === 0) {
+      this.alerts.delete(alert.id);
+      return null;
+    }
+
+    const current = AlertEngine.formatAlert(updated.rows[0]);
+    if (keepActive) {
+      this.alerts.set(current.id, current);
+    } else {
+      this.alerts.delete(current.id);
+    }
+
+    const name = alert.name || `${alert.type} alert #${alert.id}`;
+    const result = await this.pool.query(
+      `INSERT INTO alert_events (alert_id, alert_name, symbol, message, value, data)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [alert.id, name, symbol, `${symbol} ${message}`, value, JSON.stringify(data || {})]
+    );
+
+    const event = AlertEngine.formatEvent(result.rows[0]);
+    this.emit('fired', { alert: current, event });
+    return event;
+  }
+}
+
+AlertEngine.TYPES = TYPES;
+AlertEngine.INDICATORS = Object.keys(INDICATORS);
+
+module.exports = AlertEngine;
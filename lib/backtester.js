@@ -0,0 +1,272 @@
+const strategies = require('./strategies');
+
+// Replays candles bar by bar through the live scoring code and simulates trades
+const DEFAULT_OPTIONS = {
+  strategy: strategies.DEFAULT_STRATEGY,
+  params: {},
+  initialBalance: 10000,
+  positionSize: 1000, // notional per trade in account currency
+  spread: 0, // full bid/ask spread in price units
+  commission: 0, // fixed fee per side in account currency
+  commissionRate: 0, // fee per side as a fraction of notional
+  lookback: 250, // bars handed to the indicators, same as the live loop
+  minCandles: null, // defaults to what the strategy needs
+  minConfidence: 70, // live loop only acts on confidence >= 70
+  stopLossPct: null,
+  takeProfitPct: null
+};
+
+const round = (value, digits = 2) => {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+};
+
+class Backtester {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS };
+    Object.keys(options).forEach(key => {
+      if (options[key] !== undefined && options[key] !== null && options[key] !== '') {
+        this.options[key] = options[key];
+      }
+    });
+  }
+
+  fee(notional) {
+    return this.options.commission + notional * this.options.commissionRate;
+  }
+
+  openPosition(direction, candle, index) {
+    const halfSpread = this.options.spread / 2;
+    const entryPrice = direction === 'BUY' ? candle.close + halfSpread : candle.close - halfSpread;
+    const quantity = this.options.positionSize / entryPrice;
+    const { stopLossPct, takeProfitPct } = this.options;
+    const sign = direction === 'BUY' ? 1 : -1;
+
+    return {
+      direction,
+      entryIndex: index,
+      entryTime: candle.ts,
+      entryPrice,
+      quantity,
+      stopLoss: stopLossPct ? entryPrice * (1 - sign * stopLossPct / 100) : null,
+      takeProfit: takeProfitPct ? entryPrice * (1 + sign * takeProfitPct / 100) : null,
+      entryFee: this.fee(this.options.positionSize)
+    };
+  }
+
+  // Exit at a mid price; the half spread is charged against it
+  closePosition(position, midPrice, candle, index, reason) {
+    const halfSpread = this.options.spread / 2;
+    const exitPrice = position.direction === 'BUY' ? midPrice - halfSpread : midPrice + halfSpread;
+    const sign = position.direction === 'BUY' ? 1 : -1;
+    const grossPnl = sign * (exitPrice - position.entryPrice) * position.quantity;
+    const exitFee = this.fee(exitPrice * position.quantity);
+    const fees = position.entryFee + exitFee;
+
+    return {
+      direction: position.direction,
+      entryTime: position.entryTime,
+      exitTime: candle.ts,
+      entryPrice: position.entryPrice,
+      exitPrice,
+      quantity: position.quantity,
+      bars: index - position.entryIndex,
+      fees: round(fees, 4),
+      pnl: round(grossPnl - fees, 4),
+      exitReason: reason
+    };
+  }
+
+  // Stop and target are checked against the bar's range; when both are touched the stop wins
+  checkStops(position, candle) {
+    if (position.direction === 'BUY') {
+      if (position.stopLoss !== null && candle.low <= position.stopLoss) return { price: position.stopLoss, reason: 'STOP_LOSS' };
+      if (position.takeProfit !== null && candle.high >= position.takeProfit) return { price: position.takeProfit, reason: 'TAKE_PROFIT' };
+    } else {
+      if (position.stopLoss !== null && candle.high >= position.stopLoss) return { price: position.stopLoss, reason: 'STOP_LOSS' };
+      if (position.takeProfit !== null && candle.low <= position.takeProfit) return { price: position.takeProfit, reason: 'TAKE_PROFIT' };
+    }
+    return null;
+  }
+
+  markToMarket(position, price) {
+    if (!position) return 0;
+    const sign = position.direction === 'BUY' ? 1 : -1;
+    return sign * (price - position.entryPrice) * position.quantity - position.entryFee;
+  }
+
+  strategy() {
+    const strategy = strategies.get(this.options.strategy);
+    if (!strategy) {
+      throw new Error(`Unknown strategy: ${this.options.strategy}`);
+    }
+    return strategy;
+  }
+
+  minCandles() {
+    const params = strategies.resolveParams(this.options.strategy, this.options.params);
+    return this.options.minCandles || this.strategy().minCandles(params);
+  }
+
+  async run(candles) {
+    const { minConfidence, initialBalance } = this.options;
+    const strategy = this.strategy();
+    const params = strategies.resolveParams(strategy.name, this.options.params);
+    const minCandles = this.minCandles();
+    const lookback = Math.max(this.options.lookback, minCandles);
+    const trades = [];
+    const equityCurve = [];
+    let balance = initialBalance;
+    let position = null;
+    let signalsEvaluated = 0;
+
+    for (let i = 0; i < candles.length; i++) {
+      const candle = candles[i];
+
+      if (position) {
+        const stop = this.checkStops(position, candle);
+        if (stop) {
+          const trade = this.closePosition(position, stop.price, candle, i, stop.reason);
+          trades.push(trade);
+          balance += trade.pnl;
+          position = null;
+        }
+      }
+
+      if (i + 1 >= minCandles) {
+        const window = candles.slice(Math.max(0, i + 1 - lookback), i + 1);
+        const result = await strategy.evaluate({
+          currentPrice: candle.close,
+          prices: window.map(c => c.close),
+          highs: window.map(c => c.high),
+          lows: window.map(c => c.low),
+          opens: window.map(c => c.open)
+        }, params);
+        signalsEvaluated++;
+
+        const actionable = result.signal !== 'NEUTRAL' && result.confidence >= minConfidence;
+
+        if (position && actionable && result.signal !== position.direction) {
+          const trade = this.closePosition(position, candle.close, candle, i, 'OPPOSITE_SIGNAL');
+          trades.push(trade);
+          balance += trade.pnl;
+          position = null;
+        }
+
+        if (!position && actionable) {
+          position = this.openPosition(result.signal, candle, i);
+        }
+      }
+
+      equityCurve.push({
+        ts: candle.ts,
+        equity: round(balance + this.markToMarket(position, candle.close), 4)
+      });
+    }
+
+    if (position) {
+      const last = candles[candles.length - 1];
+      const trade = this.closePosition(position, last.close, last, candles.length - 1, 'END_OF_DATA');
+      trades.push(trade);
+      balance += trade.pnl;
+      equityCurve[equityCurve.length - 1].equity = round(balance, 4);
+    }
+
+    return {
+      options: this.options,
+      summary: Backtester.summarize(trades, equityCurve, initialBalance, signalsEvaluated),
+      trades,
+      equityCurve
+    };
+  }
+
+  static summarize(trades, equityCurve, initialBalance, signalsEvaluated = 0) {
+    const wins = trades.filter(t => t.pnl > 0);
+    const losses = trades.filter(t => t.pnl <= 0);
+    const grossProfit = wins.reduce((sum, t) => sum + t.pnl, 0);
+    const grossLoss = Math.abs(losses.reduce((sum, t) => sum + t.pnl, 0));
+    const finalBalance = equityCurve.length ? equityCurve[equityCurve.length - 1].equity : initialBalance;
+
+    let peak = initialBalance;
+    let maxDrawdown = 0;
+    let maxDrawdownPct = 0;
+    equityCurve.forEach(point => {
+      peak = Math.max(peak, point.equity);
+      const drawdown = peak - point.equity;
+      if (drawdown > maxDrawdown) {
+        maxDrawdown = drawdown;
+        maxDrawdownPct = peak > 0 ? (drawdown / peak) * 100 : 0;
+      }
+    });
+
+    return {
+      bars: equityCurve.length,
+      signalsEvaluated,
+      totalTrades: trades.length,
+      winningTrades: wins.length,
+      losingTrades: losses.length,
+      winRate: trades.length ? round((wins.length / trades.length) * 100) : 0,
+      grossProfit: round(grossProfit),
+      grossLoss: round(grossLoss),
+      // null when there are no losing trades to divide by
+      profitFactor: grossLoss > 0 ? round(grossProfit / grossLoss, 3) : null,
+      netProfit: round(finalBalance - initialBalance),
+      initialBalance,
+      finalBalance: round(finalBalance),
+      maxDrawdown: round(maxDrawdown),
+      maxDrawdownPct: round(maxDrawdownPct)
+    };
+  }
+
+  // Parse OHLCV CSV with a header row; the time column may be named ts, timestamp, time or date
+  static parseCSV(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+    if (lines.length < 2) return [];
+
+    const header = lines[0].split(',').map(h => h.trim().toLowerCase());
+    const column = (...names) => header.findIndex(h => names.includes(h));
+    const idx = {
+      ts: column('ts', 'timestamp', 'time', 'date', 'datetime'),
+      open: column('open', 'o'),
+      high: column('high', 'h'),
+      low: column('low', 'l'),
+      close: column('close', 'c'),
+      volume: column('volume', 'vol', 'v')
+    };
+
+    ['ts', 'open', 'high', 'low', 'close'].forEach(name => {
+      if (idx[name] === -1) {
+        throw new Error(`CSV is missing a "${name}" column`);
+      }
+    });
+
+    return lines.slice(1).map((line, n) => {
+      const cells = line.split(',').map(c => c.trim());
+      const rawTs = cells[idx.ts];
+      const ts = /^\d+$/.test(rawTs)
+        ? new Date(rawTs.length <= 10 ? parseInt(rawTs, 10) * 1000 : parseInt(rawTs, 10))
+        : new Date(rawTs);
+      if (isNaN(ts)) {
+        throw new Error(`Invalid timestamp on CSV line ${n + 2}`);
+      }
+
+      const candle = {
+        ts: ts.toISOString(),
+        open: parseFloat(cells[idx.open]),
+        high: parseFloat(cells[idx.high]),
+        low: parseFloat(cells[idx.low]),
+        close: parseFloat(cells[idx.close]),
+        volume: idx.volume === -1 ? 0 : parseFloat(cells[idx.volume]) || 0
+      };
+
+      if ([candle.open, candle.high, candle.low, candle.close].some(isNaN)) {
+        throw new Error(`Invalid price on CSV line ${n + 2}`);
+      }
+      return candle;
+    }).sort((a, b) => new Date(a.ts) - new Date(b.ts));
+  }
+}
+
+Backtester.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
+
+module.exports = Backtester;
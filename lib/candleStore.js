@@ -0,0 +1,106 @@
+// Persistent OHLCV candle store backed by the `candles` table
+const TIMEFRAMES = {
+  '1m': 60 * 1000,
+  '5m': 5 * 60 * 1000,
+  '15m': 15 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '4h': 4 * 60 * 60 * 1000
+};
+
+const toNumber = (value) => (value === null || value === undefined ? null : parseFloat(value));
+
+class CandleStore {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  static isValidTimeframe(timeframe) {
+    return Object.prototype.hasOwnProperty.call(TIMEFRAMES, timeframe);
+  }
+
+  // Start of the bar a timestamp falls into, aligned to the epoch
+  static bucketStart(timestamp, timeframe) {
+    const ms = new Date(timestamp).getTime();
+    const size = TIMEFRAMES[timeframe];
+    return new Date(Math.floor(ms / size) * size);
+  }
+
+  static formatRow(row) {
+    return {
+      symbol: row.symbol,
+      timeframe: row.timeframe,
+      ts: row.ts,
+      open: toNumber(row.open),
+      high: toNumber(row.high),
+      low: toNumber(row.low),
+      close: toNumber(row.close),
+      volume: toNumber(row.volume)
+    };
+  }
+
+  // Roll a single quote into the open bar of every timeframe.
+  // Quotes carry no traded volume for forex, so volume counts ticks unless the quote provides one.
+  async ingestQuote(symbol, quote) {
+    const price = quote.price;
+    const volume = quote.volume || 1;
+    const timestamp = quote.timestamp || new Date().toISOString();
+
+    for (const timeframe of Object.keys(TIMEFRAMES)) {
+      await this.pool.query(
+        `INSERT INTO candles (symbol, timeframe, ts, open, high, low, close, volume)
+         VALUES ($1, $2, $3, $4, $4, $4, $4, $5)
+         ON CONFLICT (symbol, timeframe, ts) DO UPDATE SET
+           high = GREATEST(candles.high, EXCLUDED.high),
+           low = LEAST(candles.low, EXCLUDED.low),
+           close = EXCLUDED.close,
+           volume = candles.volume + EXCLUDED.volume,
+           updated_at = NOW()`,
+        [symbol, timeframe, CandleStore.bucketStart(timestamp, timeframe), price, volume]
+      );
+    }
+  }
+
+  async getCandles(symbol, timeframe, { from, to, limit = 500 } = {}) {
+    const params = [symbol, timeframe];
+    let query = `
+      SELECT symbol, timeframe, ts, open, high, low, close, volume
+      FROM candles
+      WHERE symbol = $1 AND timeframe = $2
+    `;
+
+    if (from) {
+      params.push(from);
+      query += ` AND ts >= $${params.length}`;
+    }
+
+    if (to) {
+      params.push(to);
+      query += ` AND ts <= $${params.length}`;
+    }
+
+    params.push(limit);
+    query += ` ORDER BY ts ASC LIMIT $${params.length}`;
+
+    const result = await this.pool.query(query, params);
+    return result.rows.map(CandleStore.formatRow);
+  }
+
+  // Most recent `count` bars in chronological order
+  async getRecentCandles(symbol, timeframe, count = 100) {
+    const result = await this.pool.query(
+      `SELECT * FROM (
+         SELECT symbol, timeframe, ts, open, high, low, close, volume
+         FROM candles
+         WHERE symbol = $1 AND timeframe = $2
+         ORDER BY ts DESC
+         LIMIT $3
+       ) recent ORDER BY ts ASC`,
+      [symbol, timeframe, count]
+    );
+    return result.rows.map(CandleStore.formatRow);
+  }
+}
+
+CandleStore.TIMEFRAMES = TIMEFRAMES;
+
+module.exports = CandleStore;
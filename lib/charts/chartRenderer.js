@@ -0,0 +1,284 @@
+const AdvancedTechnicalAnalysis = require('../technicalAnalysis');
+const Raster = require('./raster');
+
+// Candlestick chart of a symbol's recent bars rendered to PNG: price panel with Bollinger bands
+// and entry / stop loss / take profit lines, then RSI and MACD panels underneath.
+//
+// Extra bars before the visible window are loaded so the indicators are warmed up on the first
+// candle shown.
+const DEFAULT_OPTIONS = {
+  width: 900,
+  height: 600,
+  candles: 120,
+  timeframe: '5m'
+};
+
+const WARMUP_BARS = 35; // MACD slow period plus its signal period
+const RSI_PERIOD = 14;
+const BOLLINGER = [20, 2];
+const MACD = [12, 26, 9];
+
+const THEME = {
+  background: '#131722',
+  grid: '#2a2e39',
+  text: '#d1d4dc',
+  muted: '#787b86',
+  up: '#26a69a',
+  down: '#ef5350',
+  band: '#42a5f5',
+  bandFill: '#42a5f51a',
+  rsi: '#ab47bc',
+  macd: '#42a5f5',
+  macdSignal: '#ff9800',
+  entry: '#ffca28',
+  stopLoss: '#ef5350',
+  takeProfit: '#26a69a'
+};
+
+const LEVELS = [
+  { key: 'entry', label: 'ENTRY', color: THEME.entry, dash: null },
+  { key: 'stopLoss', label: 'SL', color: THEME.stopLoss, dash: [6, 4] },
+  { key: 'takeProfit', label: 'TP', color: THEME.takeProfit, dash: [6, 4] }
+];
+
+const TITLE_HEIGHT = 28;
+const AXIS_WIDTH = 92;
+const TIME_AXIS_HEIGHT = 18;
+const PANEL_GAP = 8;
+const PADDING = 8;
+
+// Indicator output is shorter than its input; pad the front so indexes line up with the bars
+const align = (values, length) => [...new Array(length - values.length).fill(null), ...values];
+
+const isNumber = (value) => typeof value === 'number' && isFinite(value);
+
+// Enough decimals to tell grid lines `step` apart
+const decimalsFor = (step) => Math.min(6, Math.max(0, Math.ceil(-Math.log10(step)) + 1));
+
+const formatTime = (ts) => new Date(ts).toISOString().slice(5, 16).replace('T', ' ');
+
+class ChartRenderer {
+  constructor(candleStore, options = {}) {
+    this.candleStore = candleStore;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+  }
+
+  // Bollinger bands, RSI and MACD for every close, null where an indicator has no value yet
+  static async indicatorSeries(closes) {
+    const [bands, rsi, macd] = await Promise.all([
+      AdvancedTechnicalAnalysis.runIndicator('bbands', [closes], BOLLINGER),
+      AdvancedTechnicalAnalysis.runIndicator('rsi', [closes], [RSI_PERIOD]),
+      AdvancedTechnicalAnalysis.runIndicator('macd', [closes], MACD)
+    ]);
+    const empty = new Array(closes.length).fill(null);
+    const series = (results, i) => (results ? align(results[i], closes.length) : empty);
+
+    // tulind returns the bands as lower, middle, upper
+    return {
+      bands: { lower: series(bands, 0), middle: series(bands, 1), upper: series(bands, 2) },
+      rsi: series(rsi, 0),
+      macd: { macd: series(macd, 0), signal: series(macd, 1), histogram: series(macd, 2) }
+    };
+  }
+
+  // Chart of the latest `candles` bars of a symbol as a PNG buffer, or null without enough bars.
+  //   levels      { entry, stopLoss, takeProfit } prices drawn across the price panel
+  //   label       text after the title, e.g. "STRONG BUY 82%"
+  //   direction   BUY or SELL, colors the label
+  async render(symbol, { timeframe = this.options.timeframe, candles = this.options.candles, levels = {}, label = null, direction = null } = {}) {
+    const series = await AdvancedTechnicalAnalysis.loadSeries(this.candleStore, symbol, timeframe, candles + WARMUP_BARS);
+    if (series.candles.length < 2) return null;
+
+    const indicators = await ChartRenderer.indicatorSeries(series.prices);
+    const start = Math.max(0, series.candles.length - candles);
+    const visible = (values) => values.slice(start);
+
+    const raster = ChartRenderer.draw({
+      candles: visible(series.candles),
+      bands: {
+        lower: visible(indicators.bands.lower),
+        middle: visible(indicators.bands.middle),
+        upper: visible(indicators.bands.upper)
+      },
+      rsi: visible(indicators.rsi),
+      macd: {
+        macd: visible(indicators.macd.macd),
+        signal: visible(indicators.macd.signal),
+        histogram: visible(indicators.macd.histogram)
+      }
+    }, {
+      width: this.options.width,
+      height: this.options.height,
+      title: `${symbol} ${timeframe}`,
+      label,
+      direction,
+      levels
+    });
+    return raster.toPNG();
+  }
+
+  // Draw prepared series; every array is aligned with `candles`
+  static draw({ candles, bands, rsi, macd }, { width, height, title = '', label = null, direction = null, levels = {} }) {
+    const raster = new Raster(width, height, THEME.background);
+    const plotLeft = PADDING;
+    const plotRight = width - AXIS_WIDTH;
+    const plotWidth = plotRight - plotLeft;
+
+    // Price panel takes 60% of the height, RSI 16% and MACD the rest
+    const panelsTop = TITLE_HEIGHT;
+    const panelsHeight = height - TITLE_HEIGHT - TIME_AXIS_HEIGHT - 2 * PANEL_GAP;
+    const pricePanel = { top: panelsTop, height: Math.round(panelsHeight * 0.6) };
+    const rsiPanel = { top: pricePanel.top + pricePanel.height + PANEL_GAP, height: Math.round(panelsHeight * 0.16) };
+    const macdPanel = { top: rsiPanel.top + rsiPanel.height + PANEL_GAP };
+    macdPanel.height = height - TIME_AXIS_HEIGHT - macdPanel.top;
+
+    const slot = plotWidth / candles.length;
+    const xAt = (i) => plotLeft + slot * (i + 0.5);
+
+    const lastCandle = candles[candles.length - 1];
+    raster.text(PADDING, 8, title, THEME.text, { scale: 2 });
+    if (label) {
+      const color = direction === 'BUY' ? THEME.up : direction === 'SELL' ? THEME.down : THEME.text;
+      raster.text(PADDING + Raster.textWidth(title, 2) + 16, 8, label, color, { scale: 2 });
+    }
+    raster.text(width - PADDING, 12, `${formatTime(lastCandle.ts)} UTC`, THEME.muted, { align: 'right' });
+
+    // Price panel: the range covers the bars, the bands and every level so all of them are visible
+    const levelLines = LEVELS.filter(level => isNumber(levels[level.key]));
+    const priceValues = [
+      ...candles.map(c => c.high),
+      ...candles.map(c => c.low),
+      ...bands.upper,
+      ...bands.lower,
+      ...levelLines.map(level => levels[level.key])
+    ].filter(isNumber);
+    const price = ChartRenderer.scale(priceValues, pricePanel, 0.05);
+    ChartRenderer.grid(raster, price, plotLeft, plotRight, levelLines.map(level => price.y(levels[level.key])));
+
+    for (let i = 1; i < candles.length; i++) {
+      if (isNumber(bands.upper[i - 1]) && isNumber(bands.lower[i])) {
+        const x0 = Math.round(xAt(i - 1));
+        const x1 = Math.round(xAt(i));
+        for (let x = x0; x < x1; x++) {
+          const t = (x - x0) / (x1 - x0);
+          const upper = bands.upper[i - 1] + (bands.upper[i] - bands.upper[i - 1]) * t;
+          const lower = bands.lower[i - 1] + (bands.lower[i] - bands.lower[i - 1]) * t;
+          raster.line(x, price.y(upper), x, price.y(lower), THEME.bandFill);
+        }
+      }
+    }
+    ChartRenderer.polyline(raster, bands.upper, xAt, price.y, THEME.band);
+    ChartRenderer.polyline(raster, bands.lower, xAt, price.y, THEME.band);
+    ChartRenderer.polyline(raster, bands.middle, xAt, price.y, THEME.band, { dash: [3, 3] });
+
+    const bodyWidth = Math.max(1, Math.floor(slot * 0.6));
+    candles.forEach((candle, i) => {
+      const color = candle.close >= candle.open ? THEME.up : THEME.down;
+      const x = Math.round(xAt(i));
+      raster.line(x, price.y(candle.high), x, price.y(candle.low), color);
+      const top = price.y(Math.max(candle.open, candle.close));
+      const bottom = price.y(Math.min(candle.open, candle.close));
+      raster.fillRect(x - Math.floor(bodyWidth / 2), top, bodyWidth, Math.max(1, bottom - top), color);
+    });
+
+    levelLines.forEach(level => {
+      const y = price.y(levels[level.key]);
+      raster.line(plotLeft, y, plotRight, y, level.color, { dash: level.dash });
+      const text = `${level.label} ${levels[level.key].toFixed(Math.min(6, price.decimals + 1))}`;
+      raster.fillRect(plotRight + 2, y - 6, AXIS_WIDTH - 4, 13, level.color);
+      raster.text(plotRight + 5, y - 3, text, THEME.background);
+    });
+    raster.text(plotLeft + 4, pricePanel.top + 4, `BB ${BOLLINGER.join(' ')}`, THEME.band);
+
+    // RSI panel on a fixed 0-100 scale with the 30/70 bands
+    const rsiScale = ChartRenderer.scale([0, 100], rsiPanel, 0);
+    [30, 70].forEach(value => {
+      raster.line(plotLeft, rsiScale.y(value), plotRight, rsiScale.y(value), THEME.muted, { dash: [4, 4] });
+      raster.text(plotRight + 6, rsiScale.y(value) - 3, value, THEME.muted);
+    });
+    ChartRenderer.frame(raster, rsiPanel, plotLeft, plotRight);
+    ChartRenderer.polyline(raster, rsi, xAt, rsiScale.y, THEME.rsi);
+    const lastRsi = rsi[rsi.length - 1];
+    raster.text(plotLeft + 4, rsiPanel.top + 4, `RSI ${RSI_PERIOD}${isNumber(lastRsi) ? ` ${lastRsi.toFixed(1)}` : ''}`, THEME.rsi);
+
+    // MACD panel: histogram around the zero line, MACD and signal lines
+    const macdScale = ChartRenderer.scale([0, ...macd.macd, ...macd.signal, ...macd.histogram].filter(isNumber), macdPanel, 0.1);
+    ChartRenderer.frame(raster, macdPanel, plotLeft, plotRight);
+    const zero = macdScale.y(0);
+    raster.line(plotLeft, zero, plotRight, zero, THEME.muted);
+    const barWidth = Math.max(1, Math.floor(slot * 0.6));
+    macd.histogram.forEach((value, i) => {
+      if (!isNumber(value)) return;
+      const y = macdScale.y(value);
+      raster.fillRect(Math.round(xAt(i)) - Math.floor(barWidth / 2), Math.min(y, zero), barWidth, Math.max(1, Math.abs(zero - y)),
+        value >= 0 ? `${THEME.up}99` : `${THEME.down}99`);
+    });
+    ChartRenderer.polyline(raster, macd.macd, xAt, macdScale.y, THEME.macd);
+    ChartRenderer.polyline(raster, macd.signal, xAt, macdScale.y, THEME.macdSignal);
+    raster.text(plotLeft + 4, macdPanel.top + 4, `MACD ${MACD.join(' ')}`, THEME.macd);
+
+    // Time axis: first, middle and last bar
+    const timeY = height - TIME_AXIS_HEIGHT + 6;
+    raster.text(plotLeft, timeY, formatTime(candles[0].ts), THEME.muted);
+    raster.text(xAt(Math.floor(candles.length / 2)), timeY, formatTime(candles[Math.floor(candles.length / 2)].ts), THEME.muted, { align: 'center' });
+    raster.text(plotRight, timeY, formatTime(lastCandle.ts), THEME.muted, { align: 'right' });
+
+    return raster;
+  }
+
+  // Linear price -> y mapping for a panel with `padding` of the range added above and below
+  static scale(values, panel, padding) {
+    let min = Math.min(...values);
+    let max = Math.max(...values);
+    if (max === min) {
+      const pad = Math.abs(max) * 0.001 || 1;
+      min -= pad;
+      max += pad;
+    }
+    const pad = (max - min) * padding;
+    min -= pad;
+    max += pad;
+
+    const step = (max - min) / 5;
+    return {
+      min,
+      max,
+      panel,
+      step,
+      decimals: decimalsFor(step),
+      y: (value) => Math.round(panel.top + (max - value) / (max - min) * (panel.height - 1))
+    };
+  }
+
+  static frame(raster, panel, left, right) {
+    raster.line(left, panel.top, right, panel.top, THEME.grid);
+    raster.line(left, panel.top + panel.height - 1, right, panel.top + panel.height - 1, THEME.grid);
+  }
+
+  // Horizontal grid lines with price labels on the right axis, except where a level is labelled
+  static grid(raster, scale, left, right, reserved = []) {
+    ChartRenderer.frame(raster, scale.panel, left, right);
+    for (let i = 1; i < 5; i++) {
+      const value = scale.min + scale.step * i;
+      const y = scale.y(value);
+      raster.line(left, y, right, y, THEME.grid);
+      if (reserved.every(other => Math.abs(other - y) >= 12)) {
+        raster.text(right + 6, y - 3, value.toFixed(scale.decimals), THEME.muted);
+      }
+    }
+  }
+
+  // Connect consecutive values; gaps (nulls) break the line
+  static polyline(raster, values, xAt, yAt, color, options = {}) {
+    for (let i = 1; i < values.length; i++) {
+      if (isNumber(values[i - 1]) && isNumber(values[i])) {
+        raster.line(xAt(i - 1), yAt(values[i - 1]), xAt(i), yAt(values[i]), color, options);
+      }
+    }
+  }
+}
+
+ChartRenderer.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
+ChartRenderer.THEME = THEME;
+
+module.exports = ChartRenderer;
@@ -0,0 +1,7 @@
+const ChartRenderer = require('./chartRenderer');
+const Raster = require('./raster');
+
+module.exports = {
+  ChartRenderer,
+  Raster
+};
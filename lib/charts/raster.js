@@ -0,0 +1,154 @@
+const zlib = require('zlib');
+const { GLYPH_WIDTH, GLYPH_HEIGHT, glyph } = require('./font');
+
+// In-memory RGB image with the few primitives the charts need (rectangles, lines, dashed
+// lines, bitmap text) and PNG encoding, so charts render without native or external services.
+// Colors are "#rrggbb" or "#rrggbbaa"; translucent colors are blended over what is drawn.
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+const chunk = (type, data) => {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+};
+
+const colors = new Map();
+const parseColor = (color) => {
+  if (!colors.has(color)) {
+    const match = /^#([0-9a-f]{6})([0-9a-f]{2})?$/i.exec(color);
+    if (!match) throw new Error(`Invalid color: ${color}`);
+    const value = parseInt(match[1], 16);
+    colors.set(color, [value >> 16, (value >> 8) & 0xff, value & 0xff, match[2] ? parseInt(match[2], 16) : 255]);
+  }
+  return colors.get(color);
+};
+
+class Raster {
+  constructor(width, height, background = '#000000') {
+    this.width = width;
+    this.height = height;
+    this.pixels = Buffer.alloc(width * height * 3);
+    this.fillRect(0, 0, width, height, background);
+  }
+
+  static textWidth(text, scale = 1) {
+    const length = String(text).length;
+    return length === 0 ? 0 : (length * (GLYPH_WIDTH + 1) - 1) * scale;
+  }
+
+  static textHeight(scale = 1) {
+    return GLYPH_HEIGHT * scale;
+  }
+
+  setPixel(x, y, color) {
+    x = Math.round(x);
+    y = Math.round(y);
+    if (x < 0 || y < 0 || x >= this.width || y >= this.height) return;
+
+    const [r, g, b, a] = parseColor(color);
+    const i = (y * this.width + x) * 3;
+    if (a === 255) {
+      this.pixels[i] = r;
+      this.pixels[i + 1] = g;
+      this.pixels[i + 2] = b;
+    } else {
+      const alpha = a / 255;
+      this.pixels[i] = Math.round(r * alpha + this.pixels[i] * (1 - alpha));
+      this.pixels[i + 1] = Math.round(g * alpha + this.pixels[i + 1] * (1 - alpha));
+      this.pixels[i + 2] = Math.round(b * alpha + this.pixels[i + 2] * (1 - alpha));
+    }
+  }
+
+  fillRect(x, y, width, height, color) {
+    const x0 = Math.max(0, Math.round(x));
+    const y0 = Math.max(0, Math.round(y));
+    const x1 = Math.min(this.width, Math.round(x + width));
+    const y1 = Math.min(this.height, Math.round(y + height));
+    for (let py = y0; py < y1; py++) {
+      for (let px = x0; px < x1; px++) this.setPixel(px, py, color);
+    }
+  }
+
+  // Bresenham line; `dash` is [on, off] in pixels
+  line(x0, y0, x1, y1, color, { dash = null } = {}) {
+    x0 = Math.round(x0);
+    y0 = Math.round(y0);
+    x1 = Math.round(x1);
+    y1 = Math.round(y1);
+    const dx = Math.abs(x1 - x0);
+    const dy = -Math.abs(y1 - y0);
+    const sx = x0 < x1 ? 1 : -1;
+    const sy = y0 < y1 ? 1 : -1;
+    let error = dx + dy;
+    let step = 0;
+
+    for (;;) {
+      if (!dash || step % (dash[0] + dash[1]) < dash[0]) this.setPixel(x0, y0, color);
+      if (x0 === x1 && y0 === y1) break;
+      const e2 = 2 * error;
+      if (e2 >= dy) {
+        error += dy;
+        x0 += sx;
+      }
+      if (e2 <= dx) {
+        error += dx;
+        y0 += sy;
+      }
+      step++;
+    }
+  }
+
+  // Text with its top-left corner at (x, y); `align` 'right' ends it at x, 'center' centers it on x
+  text(x, y, text, color, { scale = 1, align = 'left' } = {}) {
+    const value = String(text);
+    const width = Raster.textWidth(value, scale);
+    let left = Math.round({ left: x, right: x - width, center: x - width / 2 }[align]);
+    for (const char of value) {
+      glyph(char).forEach((row, gy) => row.forEach((on, gx) => {
+        if (on) this.fillRect(left + gx * scale, y + gy * scale, scale, scale, color);
+      }));
+      left += (GLYPH_WIDTH + 1) * scale;
+    }
+  }
+
+  // 8-bit RGB PNG, every scanline unfiltered
+  toPNG() {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(this.width, 0);
+    header.writeUInt32BE(this.height, 4);
+    header[8] = 8;
+    header[9] = 2;
+
+    const stride = this.width * 3;
+    const raw = Buffer.alloc((stride + 1) * this.height);
+    for (let y = 0; y < this.height; y++) {
+      this.pixels.copy(raw, y * (stride + 1) + 1, y * stride, (y + 1) * stride);
+    }
+
+    return Buffer.concat([
+      PNG_SIGNATURE,
+      chunk('IHDR', header),
+      chunk('IDAT', zlib.deflateSync(raw)),
+      chunk('IEND', Buffer.alloc(0))
+    ]);
+  }
+}
+
+Raster.crc32 = crc32;
+
+module.exports = Raster;
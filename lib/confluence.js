@@ -0,0 +1,121 @@
+const AdvancedTechnicalAnalysis = require('./technicalAnalysis');
+const CandleStore = require('./candleStore');
+
+// Multi-timeframe confluence: the symbol's strategy runs on every configured timeframe and
+// the results are combined into one weighted score.
+//
+//   score      -100..100, sum of weight * direction (BUY +1, SELL -1) * confidence over the
+//              timeframes with enough candles, divided by their total weight
+//   agreement  share of that weight whose direction matches the primary timeframe's signal
+//
+// The primary timeframe's signal stands only when agreement reaches minAgreement; otherwise it
+// becomes NEUTRAL with filtered_by 'timeframe_conflict'. Its confidence drops by up to half as
+// agreement falls.
+const DIRECTIONS = { BUY: 1, SELL: -1, NEUTRAL: 0 };
+
+class ConfluenceAnalyzer {
+  constructor(candleStore, { primary = '5m', timeframes = [], minAgreement = 0.6, historyLength = 250 } = {}) {
+    this.candleStore = candleStore;
+    this.primary = primary;
+    this.minAgreement = minAgreement;
+    this.historyLength = historyLength;
+    // The primary timeframe always takes part, with weight 1 unless configured
+    this.timeframes = timeframes.some(tf => tf.timeframe === primary)
+      ? timeframes
+      : [{ timeframe: primary, weight: 1 }, ...timeframes];
+  }
+
+  // "5m:1,1h:2,4h:3" -> [{ timeframe, weight }]; throws on unknown timeframes or bad weights
+  static parseTimeframes(spec) {
+    return String(spec).split(',').map(item => item.trim()).filter(Boolean).map(item => {
+      const [timeframe, weightText] = item.split(':');
+      const weight = weightText === undefined ? 1 : Number(weightText);
+      if (!CandleStore.isValidTimeframe(timeframe)) {
+        throw new Error(`Unknown confluence timeframe: ${timeframe}`);
+      }
+      if (!isFinite(weight) || weight <= 0) {
+        throw new Error(`Confluence weight for ${timeframe} must be a positive number`);
+      }
+      return { timeframe, weight };
+    });
+  }
+
+  // Human-readable alignment such as "5m BUY ✅ · 1h BUY ✅ · 4h NEUTRAL ➖"
+  static describe(confluence, direction) {
+    return confluence.timeframes.map(tf => {
+      if (!tf.available) return `${tf.timeframe} n/a`;
+      let mark = '➖';
+      if (tf.signal === direction) mark = '✅';
+      else if (tf.signal !== 'NEUTRAL') mark = '❌';
+      return `${tf.timeframe} ${tf.signal} ${mark}`;
+    }).join(' · ');
+  }
+
+  // Returns { signalData, series, confluence, minCandles } where series is the primary timeframe's
+  // candle series. signalData and confluence are null when that series has fewer than minCandles.
+  async analyze(symbol, currentPrice, strategy, params) {
+    const minCandles = strategy.minCandles(params);
+    const count = Math.max(this.historyLength, minCandles);
+
+    const results = await Promise.all(this.timeframes.map(async ({ timeframe, weight }) => {
+      const series = await AdvancedTechnicalAnalysis.loadSeries(this.candleStore, symbol, timeframe, count);
+      if (series.prices.length < minCandles) {
+        return { timeframe, weight, series, candles: series.prices.length, result: null };
+      }
+      const result = await strategy.evaluate({
+        currentPrice,
+        prices: series.prices,
+        highs: series.highs,
+        lows: series.lows,
+        opens: series.opens
+      }, params);
+      return { timeframe, weight, series, candles: series.prices.length, result };
+    }));
+
+    const primary = results.find(r => r.timeframe === this.primary);
+    if (!primary.result) return { signalData: null, series: primary.series, confluence: null, minCandles };
+
+    const available = results.filter(r => r.result);
+    const totalWeight = available.reduce((sum, r) => sum + r.weight, 0);
+    const direction = primary.result.signal;
+
+    const score = available.reduce((sum, r) =>
+      sum + r.weight * DIRECTIONS[r.result.signal] * r.result.confidence, 0) / totalWeight;
+    const agreement = direction === 'NEUTRAL'
+      ? null
+      : available.filter(r => r.result.signal === direction).reduce((sum, r) => sum + r.weight, 0) / totalWeight;
+
+    const confluence = {
+      primary: this.primary,
+      score: Math.round(score * 100) / 100,
+      agreement: agreement === null ? null : Math.round(agreement * 100) / 100,
+      aligned: available.length > 0 && available.every(r => r.result.signal === direction),
+      timeframes: results.map(r => ({
+        timeframe: r.timeframe,
+        weight: r.weight,
+        available: Boolean(r.result),
+        candles: r.candles,
+        signal: r.result ? r.result.signal : null,
+        strength: r.result ? r.result.strength : null,
+        confidence: r.result ? r.result.confidence : null,
+        points: r.result ? r.result.signal_points : null
+      }))
+    };
+
+    const signalData = { ...primary.result };
+    if (agreement !== null) {
+      signalData.confidence = Math.round(signalData.confidence * (0.5 + agreement / 2));
+      if (agreement < this.minAgreement) {
+        signalData.signal = 'NEUTRAL';
+        signalData.strength = 'HOLD';
+        signalData.filtered_by = signalData.filtered_by || 'timeframe_conflict';
+      }
+    }
+
+    return { signalData, series: primary.series, confluence, minCandles };
+  }
+}
+
+ConfluenceAnalyzer.DIRECTIONS = DIRECTIONS;
+
+module.exports = ConfluenceAnalyzer;
@@ -0,0 +1,11 @@
+const { Pool } = require('pg');
+
+// Postgres pool shared by the server and the command-line scripts
+const createPool = (env = process.env) => new Pool({
+  connectionString: env.DATABASE_URL,
+  ssl: {
+    rejectUnauthorized: false
+  }
+});
+
+module.exports = { createPool };
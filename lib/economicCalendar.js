@@ -0,0 +1,330 @@
+// Economic events (NFP, CPI, rate decisions...) stored in `economic_events`, pushed through the
+// API or imported from CSV / ICS exports. An event puts every instrument quoted in its currency
+// at news risk from `beforeMinutes` before to `afterMinutes` after its release: USD events hit
+// EUR/USD, USD/JPY, XAU/USD and the USD-quoted stocks alike.
+//
+// CSV: a header row naming the columns, in any order
+//   time (ISO 8601) or date + time, currency, impact, title (or event)
+// ICS: one VEVENT per release; currency from X-CURRENCY or a "USD ..." SUMMARY prefix,
+//   impact from X-IMPACT, CATEGORIES or PRIORITY
+// Times without a zone are taken as UTC.
+const IMPACTS = ['LOW', 'MEDIUM', 'HIGH'];
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+// ISO 4217 codes an ICS SUMMARY prefix is read as, so "CPI m/m" or "GDP q/q" keep their titles
+const SUMMARY_CURRENCIES = new Set([
+  'USD', 'EUR', 'GBP', 'JPY', 'CHF', 'CAD', 'AUD', 'NZD', 'CNY', 'CNH', 'HKD', 'SGD', 'SEK', 'NOK',
+  'DKK', 'PLN', 'CZK', 'HUF', 'TRY', 'ZAR', 'MXN', 'BRL', 'INR', 'KRW', 'RUB', 'ILS', 'THB'
+]);
+
+const impactRank = (impact) => IMPACTS.indexOf(impact);
+
+// "High", "high impact expected", "H" and "3" all mean HIGH
+const parseImpact = (value) => {
+  const text = String(value || '').trim().toLowerCase();
+  if (!text) return null;
+  if (text === '3' || text.startsWith('h')) return 'HIGH';
+  if (text === '2' || text.startsWith('m')) return 'MEDIUM';
+  if (text === '1' || text.startsWith('l')) return 'LOW';
+  return null;
+};
+
+const parseTime = (value) => {
+  const text = String(value || '').trim();
+  if (!text) return null;
+  const hasZone = /(Z|[+-]\d{2}:?\d{2})$/i.test(text);
+  const date = new Date(hasZone ? text : `${text.replace(' ', 'T')}Z`);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// Offset of a time zone from UTC at an instant, in milliseconds
+const zoneOffset = (ms, timeZone) => {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(new Date(ms)).forEach(part => {
+    parts[part.type] = parseInt(part.value, 10);
+  });
+  return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - ms;
+};
+
+// Wall-clock time in a zone -> instant; the second pass settles DST transitions
+const zonedToUtc = (wallClockMs, timeZone) => {
+  let ms = wallClockMs - zoneOffset(wallClockMs, timeZone);
+  ms = wallClockMs - zoneOffset(ms, timeZone);
+  return new Date(ms);
+};
+
+// 20240105T133000Z, 20240105T083000 (with TZID) or 20240105 (all-day)
+const parseIcsDate = (value, timeZone) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/.exec(String(value).trim());
+  if (!match) return null;
+  const [, year, month, day, hour = '0', minute = '0', second = '0', utc] = match;
+  const wallClock = Date.UTC(+year, +month - 1, +day, +hour, +minute, +second);
+  if (utc || !timeZone) return new Date(wallClock);
+  try {
+    return zonedToUtc(wallClock, timeZone);
+  } catch (error) {
+    return null;
+  }
+};
+
+// Split CSV text into rows of fields, honouring quoted fields with commas, quotes and newlines
+const csvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(fields => fields.some(value => value.trim()));
+};
+
+const CSV_COLUMNS = {
+  time: ['time', 'datetime', 'timestamp'],
+  date: ['date'],
+  currency: ['currency', 'ccy'],
+  impact: ['impact', 'importance'],
+  title: ['title', 'event', 'name']
+};
+
+const parseCsv = (text) => {
+  const [header = [], ...rows] = csvRows(String(text || ''));
+  const names = header.map(name => name.trim().toLowerCase());
+  const index = {};
+  Object.entries(CSV_COLUMNS).forEach(([column, aliases]) => {
+    index[column] = names.findIndex(name => aliases.includes(name));
+  });
+
+  const events = [];
+  const errors = [];
+  if (index.time < 0 || index.currency < 0 || index.impact < 0 || index.title < 0) {
+    errors.push({ line: 1, error: 'header must name the time, currency, impact and title columns' });
+    return { events, errors };
+  }
+
+  rows.forEach((fields, i) => {
+    const value = (column) => (index[column] >= 0 ? (fields[index[column]] || '').trim() : '');
+    const time = index.date >= 0 ? `${value('date')}T${value('time')}` : value('time');
+    events.push({ line: i + 2, title: value('title'), currency: value('currency'), impact: value('impact'), time });
+  });
+  return { events, errors };
+};
+
+const unescapeIcs = (value) => value.replace(/\\([\\;,nN])/g, (_, char) => (char.toLowerCase() === 'n' ? '\n' : char));
+
+const parseIcs = (text) => {
+  // Continuation lines start with a space or tab
+  const lines = String(text || '').replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const events = [];
+  const errors = [];
+  let current = null;
+
+  lines.forEach((line, i) => {
+    if (line === 'BEGIN:VEVENT') {
+      current = { line: i + 1, props: {} };
+      return;
+    }
+    if (line === 'END:VEVENT' && current) {
+      events.push(current);
+      current = null;
+      return;
+    }
+    if (!current) return;
+
+    const separator = line.indexOf(':');
+    if (separator < 0) return;
+    const [name, ...params] = line.slice(0, separator).split(';');
+    current.props[name.toUpperCase()] = {
+      value: line.slice(separator + 1),
+      params: Object.fromEntries(params.map(param => param.split('=')).map(([key, val]) => [key.toUpperCase(), val]))
+    };
+  });
+
+  return {
+    events: events.map(({ line, props }) => {
+      const prop = (name) => (props[name] ? unescapeIcs(props[name].value).trim() : '');
+      let title = prop('SUMMARY');
+      let currency = prop('X-CURRENCY');
+      const prefix = /^\W*([A-Z]{3})\b\s*[-:]?\s*/.exec(title);
+      if (prefix && SUMMARY_CURRENCIES.has(prefix[1]) && (!currency || currency === prefix[1])) {
+        currency = prefix[1];
+        title = title.slice(prefix[0].length);
+      }
+
+      let impact = parseImpact(prop('X-IMPACT')) ||
+        prop('CATEGORIES').split(',').map(parseImpact).find(Boolean);
+      const priority = parseInt(prop('PRIORITY'), 10);
+      if (!impact && priority >= 1) impact = priority <= 4 ? 'HIGH' : priority === 5 ? 'MEDIUM' : 'LOW';
+
+      const start = props.DTSTART;
+      const time = start ? parseIcsDate(start.value, start.params.TZID) : null;
+      return { line, title, currency, impact, time: time ? time.toISOString() : '' };
+    }),
+    errors
+  };
+};
+
+class EconomicCalendar {
+  constructor(pool, { beforeMinutes = 30, afterMinutes = 30, minImpact = 'MEDIUM', blockImpact = 'HIGH' } = {}) {
+    this.pool = pool;
+    this.beforeMinutes = beforeMinutes;
+    this.afterMinutes = afterMinutes;
+    this.minImpact = minImpact;
+    this.blockImpact = blockImpact;
+  }
+
+  static formatEvent(row) {
+    return {
+      id: row.id,
+      title: row.title,
+      currency: row.currency,
+      impact: row.impact,
+      time: row.event_time,
+      source: row.source,
+      createdAt: row.created_at
+    };
+  }
+
+  // Returns { title, currency, impact, time: Date } or an error message
+  static normalize(data) {
+    if (!data || typeof data !== 'object') return 'event must be an object';
+    const title = typeof data.title === 'string' ? data.title.trim() : '';
+    if (!title || title.length > 200) return 'title must be a non-empty string of up to 200 characters';
+    const currency = String(data.currency || '').trim().toUpperCase();
+    if (!CURRENCY_PATTERN.test(currency)) return 'currency must be a three-letter code such as "USD"';
+    const impact = parseImpact(data.impact);
+    if (!impact) return `impact must be one of: ${IMPACTS.join(', ')}`;
+    const time = parseTime(data.time);
+    if (!time) return 'time must be an ISO 8601 date-time';
+    return { title, currency, impact, time };
+  }
+
+  // Currencies whose news moves an instrument: both legs of a pair, else its quote currency
+  static currenciesFor(market) {
+    if (market.symbol.includes('/')) return market.symbol.split('/');
+    return market.quoteCurrency ? [market.quoteCurrency] : [];
+  }
+
+  // Insert normalized events; re-importing the same release updates its impact
+  async addEvents(events, source = 'api') {
+    const stored = [];
+    for (const event of events) {
+      const result = await this.pool.query(
+        `INSERT INTO economic_events (title, currency, impact, event_time, source)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (currency, title, event_time) DO UPDATE SET impact = EXCLUDED.impact, source = EXCLUDED.source
+         RETURNING *`,
+        [event.title, event.currency, event.impact, event.time, source]
+      );
+      stored.push(EconomicCalendar.formatEvent(result.rows[0]));
+    }
+    return stored;
+  }
+
+  // Parse a CSV or ICS export; rows that fail validation are reported, the rest are stored
+  async import(text, format) {
+    const parsed = format === 'ics' ? parseIcs(text) : parseCsv(text);
+    const errors = [...parsed.errors];
+    const valid = [];
+
+    parsed.events.forEach(({ line, ...data }) => {
+      const event = EconomicCalendar.normalize(data);
+      if (typeof event === 'string') {
+        errors.push({ line, error: event });
+      } else {
+        valid.push(event);
+      }
+    });
+
+    const stored = await this.addEvents(valid, format);
+    return { imported: stored.length, errors };
+  }
+
+  async list({ from, to, currency = null, impact = null, limit = 500 } = {}) {
+    const result = await this.pool.query(
+      `SELECT * FROM economic_events
+       WHERE event_time >= $1 AND event_time <= $2
+         AND ($3::text IS NULL OR currency = $3)
+         AND ($4::text IS NULL OR impact = $4)
+       ORDER BY event_time
+       LIMIT $5`,
+      [from, to, currency, impact, limit]
+    );
+    return result.rows.map(EconomicCalendar.formatEvent);
+  }
+
+  async remove(id) {
+    const result = await this.pool.query('DELETE FROM economic_events WHERE id = $1', [id]);
+    return result.rowCount > 0;
+  }
+
+  // Events whose window covers `date` for an instrument. `newsRisk` flags signals,
+  // `blockTrading` is set while a high-impact window is open.
+  async riskFor(market, date = new Date()) {
+    const currencies = EconomicCalendar.currenciesFor(market);
+    if (currencies.length === 0) return { newsRisk: false, blockTrading: false, events: [] };
+
+    const impacts = IMPACTS.filter(impact => impactRank(impact) >= impactRank(this.minImpact));
+    const result = await this.pool.query(
+      `SELECT * FROM economic_events
+       WHERE currency = ANY($1) AND impact = ANY($2)
+         AND event_time >= $3 AND event_time <= $4
+       ORDER BY event_time`,
+      [
+        currencies,
+        impacts,
+        new Date(date.getTime() - this.afterMinutes * 60 * 1000),
+        new Date(date.getTime() + this.beforeMinutes * 60 * 1000)
+      ]
+    );
+
+    const events = result.rows.map(EconomicCalendar.formatEvent);
+    return {
+      newsRisk: events.length > 0,
+      blockTrading: events.some(event => impactRank(event.impact) >= impactRank(this.blockImpact)),
+      events
+    };
+  }
+}
+
+EconomicCalendar.IMPACTS = IMPACTS;
+EconomicCalendar.parseCsv = parseCsv;
+EconomicCalendar.parseIcs = parseIcs;
+
+module.exports = EconomicCalendar;
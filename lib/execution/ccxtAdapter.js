@@ -0,0 +1,306 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const ccxt = require('ccxt');
+const states = require('./orderStates');
+const { logger } = require('../logger');
+
+const log = logger.child({ component: 'execution' });
+
+// Places orders on a ccxt exchange and tracks them in `exchange_orders`.
+// Every order gets a client order ID before it is sent, so a retry never places it twice
+// and an order whose response was lost can be found again during reconciliation.
+// Emits 'order' with the stored order whenever its status or fill changes.
+const DEFAULT_OPTIONS = {
+  symbolMap: {},
+  // An order still unknown to the exchange after this long is treated as never placed
+  pendingTimeoutMs: 5 * 60 * 1000
+};
+
+const toNumber = (value) => (value === null || value === undefined ? null : parseFloat(value));
+
+class CcxtExecutionAdapter extends EventEmitter {
+  constructor(pool, exchange, options = {}) {
+    super();
+    this.pool = pool;
+    this.exchange = exchange;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.marketsLoaded = false;
+  }
+
+  get exchangeId() {
+    return this.exchange.id;
+  }
+
+  // Signal orders get a deterministic ID so the same signal can only be executed once
+  static clientOrderId(signal = {}) {
+    if (signal.id && signal.signal) {
+      return `fsp-${signal.id}-${signal.signal.toLowerCase()}`;
+    }
+    return `fsp-${crypto.randomBytes(8).toString('hex')}`;
+  }
+
+  static formatOrder(row) {
+    return {
+      id: row.id,
+      clientOrderId: row.client_order_id,
+      exchangeOrderId: row.exchange_order_id,
+      exchange: row.exchange,
+      signalId: row.signal_id,
+      symbol: row.symbol,
+      side: row.side,
+      type: row.type,
+      amount: toNumber(row.amount),
+      price: toNumber(row.price),
+      filled: toNumber(row.filled) || 0,
+      averagePrice: toNumber(row.average_price),
+      status: row.status,
+      error: row.error,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  formatSymbol(symbol) {
+    return this.options.symbolMap[symbol] || symbol;
+  }
+
+  async loadMarkets() {
+    if (!this.marketsLoaded) {
+      await this.exchange.loadMarkets();
+      this.marketsLoaded = true;
+    }
+  }
+
+  async getOrder(clientOrderId) {
+    const result = await this.pool.query('SELECT * FROM exchange_orders WHERE client_order_id = $1', [clientOrderId]);
+    return result.rows[0] ? CcxtExecutionAdapter.formatOrder(result.rows[0]) : null;
+  }
+
+  async getOrders({ status = null, symbol = null, limit = 100 } = {}) {
+    const result = await this.pool.query(
+      `SELECT * FROM exchange_orders
+       WHERE ($1::varchar IS NULL OR status = $1)
+         AND ($2::varchar IS NULL OR symbol = $2)
+       ORDER BY created_at DESC
+       LIMIT $3`,
+      [status, symbol, limit]
+    );
+    return result.rows.map(CcxtExecutionAdapter.formatOrder);
+  }
+
+  // Move a stored order to a new state; illegal transitions are ignored with a warning
+  async transition(order, status, fields = {}) {
+    const changed = order.status !== status ||
+      (fields.filled !== undefined && fields.filled !== order.filled) ||
+      (fields.exchangeOrderId !== undefined && fields.exchangeOrderId !== order.exchangeOrderId);
+    if (!changed || states.isTerminal(order.status)) {
+      return order;
+    }
+    if (order.status !== status && !states.canTransition(order.status, status)) {
+      log.warn('Ignoring invalid order transition', { clientOrderId: order.clientOrderId, from: order.status, to: status });
+      return order;
+    }
+
+    // Guarded on the previous status so concurrent updates cannot skip a state
+    const result = await this.pool.query(
+      `UPDATE exchange_orders
+       SET status = $3,
+           exchange_order_id = COALESCE($4, exchange_order_id),
+           filled = COALESCE($5, filled),
+           average_price = COALESCE($6, average_price),
+           error = $7,
+           updated_at = NOW()
+       WHERE client_order_id = $1 AND status = $2
+       RETURNING *`,
+      [
+        order.clientOrderId, order.status, status,
+        fields.exchangeOrderId || null,
+        fields.filled === undefined ? null : fields.filled,
+        fields.averagePrice || null,
+        fields.error || null
+      ]
+    );
+
+    if (result.rows.length === 0) {
+      return this.getOrder(order.clientOrderId);
+    }
+
+    const updated = CcxtExecutionAdapter.formatOrder(result.rows[0]);
+    this.emit('order', updated);
+    return updated;
+  }
+
+  applyExchangeOrder(order, exchangeOrder) {
+    return this.transition(order, states.fromExchangeOrder(exchangeOrder), {
+      exchangeOrderId: exchangeOrder.id ? String(exchangeOrder.id) : undefined,
+      filled: exchangeOrder.filled || 0,
+      averagePrice: exchangeOrder.average || exchangeOrder.price
+    });
+  }
+
+  // Submit an order. Calling again with the same client order ID returns the stored order
+  // instead of sending a second one.
+  async placeOrder({ symbol, side, amount, type = 'market', price = null, signalId = null, clientOrderId = null }) {
+    await this.loadMarkets();
+
+    const exchangeSymbol = this.formatSymbol(symbol);
+    const id = clientOrderId || CcxtExecutionAdapter.clientOrderId();
+    const quantity = this.exchange.amountToPrecision
+      ? parseFloat(this.exchange.amountToPrecision(exchangeSymbol, amount))
+      : amount;
+
+    const inserted = await this.pool.query(
+      `INSERT INTO exchange_orders (client_order_id, exchange, signal_id, symbol, side, type, amount, price, status)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       ON CONFLICT (client_order_id) DO NOTHING
+       RETURNING *`,
+      [id, this.exchangeId, signalId, symbol, side, type, quantity, price, states.PENDING]
+    );
+
+    if (inserted.rows.length === 0) {
+      return this.getOrder(id);
+    }
+
+    const order = CcxtExecutionAdapter.formatOrder(inserted.rows[0]);
+    this.emit('order', order);
+
+    try {
+      const exchangeOrder = await this.exchange.createOrder(
+        exchangeSymbol, type, side, quantity, type === 'limit' ? price : undefined, { clientOrderId: id }
+      );
+      return this.applyExchangeOrder(order, exchangeOrder);
+    } catch (error) {
+      // The request may have reached the exchange; leave it pending for reconciliation
+      if (error instanceof ccxt.NetworkError) {
+        log.error('Order outcome unknown, will reconcile', { clientOrderId: id, error: error.message });
+        await this.pool.query(
+          'UPDATE exchange_orders SET error = $2, updated_at = NOW() WHERE client_order_id = $1',
+          [id, error.message]
+        );
+        return this.getOrder(id);
+      }
+
+      log.error('Order rejected', { clientOrderId: id, error: error.message });
+      return this.transition(order, states.REJECTED, { error: error.message });
+    }
+  }
+
+  // Locate an order by client order ID when its exchange ID is unknown
+  async findOnExchange(order) {
+    const symbol = this.formatSymbol(order.symbol);
+    const open = await this.exchange.fetchOpenOrders(symbol);
+    let match = open.find(o => o.clientOrderId === order.clientOrderId);
+    if (!match && this.exchange.has.fetchClosedOrders) {
+      const closed = await this.exchange.fetchClosedOrders(symbol);
+      match = closed.find(o => o.clientOrderId === order.clientOrderId);
+    }
+    return match || null;
+  }
+
+  // Refresh one open order from the exchange
+  async syncOrder(order) {
+    let exchangeOrder = null;
+    if (order.exchangeOrderId) {
+      try {
+        exchangeOrder = await this.exchange.fetchOrder(order.exchangeOrderId, this.formatSymbol(order.symbol));
+      } catch (error) {
+        if (!(error instanceof ccxt.OrderNotFound)) throw error;
+      }
+    } else {
+      exchangeOrder = await this.findOnExchange(order);
+    }
+
+    if (exchangeOrder) {
+      return this.applyExchangeOrder(order, exchangeOrder);
+    }
+
+    const age = Date.now() - new Date(order.createdAt).getTime();
+    if (age > this.options.pendingTimeoutMs) {
+      return this.transition(order, states.REJECTED, { error: 'Order not found on exchange' });
+    }
+    return order;
+  }
+
+  async cancelOrder(clientOrderId) {
+    let order = await this.getOrder(clientOrderId);
+    if (!order || states.isTerminal(order.status)) return order;
+
+    await this.loadMarkets();
+    if (!order.exchangeOrderId) {
+      order = await this.syncOrder(order);
+      if (states.isTerminal(order.status) || !order.exchangeOrderId) return order;
+    }
+
+    try {
+      const exchangeOrder = await this.exchange.cancelOrder(order.exchangeOrderId, this.formatSymbol(order.symbol));
+      const cancelled = { ...exchangeOrder, status: exchangeOrder.status === 'open' ? 'canceled' : exchangeOrder.status };
+      return this.applyExchangeOrder(order, cancelled);
+    } catch (error) {
+      // Filled or cancelled in the meantime; take the exchange's word for it
+      if (error instanceof ccxt.OrderNotFound) {
+        return this.syncOrder(order);
+      }
+      throw error;
+    }
+  }
+
+  // Bring every open order in line with the exchange and report exchange orders we do not know
+  async reconcile(symbols = []) {
+    await this.loadMarkets();
+
+    const open = await this.pool.query(
+      `SELECT * FROM exchange_orders WHERE exchange = $1 AND status = ANY($2) ORDER BY created_at`,
+      [this.exchangeId, states.OPEN_STATUSES]
+    );
+
+    const report = { checked: 0, updated: 0, failed: 0, untracked: [] };
+    for (const row of open.rows) {
+      const order = CcxtExecutionAdapter.formatOrder(row);
+      report.checked++;
+      try {
+        const synced = await this.syncOrder(order);
+        if (synced.status !== order.status || synced.filled !== order.filled) report.updated++;
+      } catch (error) {
+        report.failed++;
+        log.error('Order reconciliation failed', { clientOrderId: order.clientOrderId, error: error.message });
+      }
+    }
+
+    const wanted = new Set([...symbols, ...open.rows.map(row => row.symbol)]);
+    for (const symbol of wanted) {
+      try {
+        const exchangeOrders = await this.exchange.fetchOpenOrders(this.formatSymbol(symbol));
+        if (exchangeOrders.length === 0) continue;
+
+        const known = await this.pool.query(
+          `SELECT client_order_id, exchange_order_id FROM exchange_orders WHERE exchange = $1 AND symbol = $2`,
+          [this.exchangeId, symbol]
+        );
+        const clientIds = new Set(known.rows.map(row => row.client_order_id));
+        const exchangeIds = new Set(known.rows.map(row => row.exchange_order_id));
+
+        exchangeOrders
+          .filter(o => !clientIds.has(o.clientOrderId) && !exchangeIds.has(String(o.id)))
+          .forEach(o => report.untracked.push({
+            id: o.id,
+            clientOrderId: o.clientOrderId || null,
+            symbol,
+            side: o.side,
+            type: o.type,
+            amount: o.amount,
+            filled: o.filled
+          }));
+      } catch (error) {
+        report.failed++;
+        log.error('Could not fetch open exchange orders', { symbol, error: error.message });
+      }
+    }
+
+    if (report.untracked.length) {
+      log.warn('Open exchange orders are not tracked locally', { count: report.untracked.length });
+    }
+    return report;
+  }
+}
+
+module.exports = CcxtExecutionAdapter;
@@ -0,0 +1,45 @@
+// Per-symbol choice between the paper engine and live exchange execution, stored in `execution_modes`
+const MODES = ['paper', 'live'];
+const DEFAULT_MODE = 'paper';
+
+class ExecutionModeStore {
+  constructor(pool) {
+    this.pool = pool;
+    this.modes = new Map();
+  }
+
+  async load() {
+    const result = await this.pool.query('SELECT symbol, mode, updated_at FROM execution_modes');
+    this.modes.clear();
+    result.rows.forEach(row => this.modes.set(row.symbol, row));
+  }
+
+  getMode(symbol) {
+    const stored = this.modes.get(symbol);
+    return stored ? stored.mode : DEFAULT_MODE;
+  }
+
+  list(symbols) {
+    return symbols.map(symbol => {
+      const stored = this.modes.get(symbol);
+      return { symbol, mode: this.getMode(symbol), updated_at: stored ? stored.updated_at : null };
+    });
+  }
+
+  async setMode(symbol, mode) {
+    const result = await this.pool.query(
+      `INSERT INTO execution_modes (symbol, mode, updated_at)
+       VALUES ($1, $2, NOW())
+       ON CONFLICT (symbol) DO UPDATE SET mode = EXCLUDED.mode, updated_at = NOW()
+       RETURNING symbol, mode, updated_at`,
+      [symbol, mode]
+    );
+    this.modes.set(symbol, result.rows[0]);
+    return result.rows[0];
+  }
+}
+
+ExecutionModeStore.MODES = MODES;
+ExecutionModeStore.DEFAULT_MODE = DEFAULT_MODE;
+
+module.exports = ExecutionModeStore;
@@ -0,0 +1,66 @@
+const ccxt = require('ccxt');
+const MockExchange = require('./mockExchange');
+const CcxtExecutionAdapter = require('./ccxtAdapter');
+const ExecutionModeStore = require('./executionModeStore');
+const LivePositionManager = require('./livePositions');
+const orderStates = require('./orderStates');
+
+// "BTC/USD=BTC/USDT,ETH/USD=ETH/USDT" -> { 'BTC/USD': 'BTC/USDT', ... }
+const parseSymbolMap = (value = '') => {
+  const map = {};
+  value.split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    const [symbol, exchangeSymbol] = entry.split('=').map(part => part.trim());
+    if (!symbol || !exchangeSymbol) {
+      throw new Error(`Invalid exchange symbol mapping: ${entry}`);
+    }
+    map[symbol] = exchangeSymbol;
+  });
+  return map;
+};
+
+// Build the exchange used for live orders from environment settings:
+//   EXCHANGE_ID          ccxt exchange id (e.g. "kraken"), or "mock" for the local mock exchange
+//   EXCHANGE_API_KEY     API credentials
+//   EXCHANGE_SECRET
+//   EXCHANGE_PASSWORD    passphrase, for exchanges that need one
+//   EXCHANGE_SANDBOX     "false" to use production endpoints; sandbox is the default
+// Returns null when no exchange is configured, which keeps every symbol on paper.
+const createExchange = (env = process.env, { getPrice } = {}) => {
+  const id = (env.EXCHANGE_ID || '').trim().toLowerCase();
+  if (!id) return null;
+
+  if (id === 'mock') {
+    return new MockExchange({ getPrice, fillRatio: parseFloat(env.MOCK_EXCHANGE_FILL_RATIO) || 1 });
+  }
+
+  if (!ccxt.exchanges.includes(id)) {
+    throw new Error(`Unknown ccxt exchange: ${id}`);
+  }
+
+  const exchange = new ccxt[id]({
+    apiKey: env.EXCHANGE_API_KEY,
+    secret: env.EXCHANGE_SECRET,
+    password: env.EXCHANGE_PASSWORD,
+    enableRateLimit: true
+  });
+
+  if (env.EXCHANGE_SANDBOX !== 'false') {
+    try {
+      exchange.setSandboxMode(true);
+    } catch (error) {
+      throw new Error(`${id} has no sandbox environment; set EXCHANGE_SANDBOX=false to trade on production`);
+    }
+  }
+
+  return exchange;
+};
+
+module.exports = {
+  createExchange,
+  parseSymbolMap,
+  MockExchange,
+  CcxtExecutionAdapter,
+  ExecutionModeStore,
+  LivePositionManager,
+  orderStates
+};
@@ -0,0 +1,238 @@
+const EventEmitter = require('events');
+const CcxtExecutionAdapter = require('./ccxtAdapter');
+const states = require('./orderStates');
+const { logger } = require('../logger');
+
+const log = logger.child({ component: 'live-positions' });
+
+// Spot positions opened through the execution adapter, tracked in `live_positions`.
+// Spot accounts cannot go short, so positions are long only:
+//
+//   BUY signal while flat        market buy; the position holds what fills, at the average price
+//   SELL signal while long       market sell of the position
+//   SELL signal while flat       nothing to sell
+//   price through stop / target  market sell, checked on every quote
+//
+// A position moves OPENING -> OPEN -> CLOSING -> CLOSED. An entry that is cancelled or rejected
+// without a fill ends CLOSED (NOT_FILLED); an exit that is cancelled or rejected reopens the
+// position with whatever did not sell. Emits 'position' when a position opens or closes.
+const STATUSES = ['OPENING', 'OPEN', 'CLOSING', 'CLOSED'];
+
+const toNumber = (value) => (value === null || value === undefined ? null : parseFloat(value));
+
+class LivePositionManager extends EventEmitter {
+  constructor(pool, adapter) {
+    super();
+    this.pool = pool;
+    this.adapter = adapter;
+    // symbol -> row of its position that is not CLOSED
+    this.positions = new Map();
+    // Order updates are applied one at a time, in the order they were emitted
+    this.updates = Promise.resolve();
+
+    adapter.on('order', order => {
+      this.updates = this.updates
+        .then(() => this.onOrder(order))
+        .catch(error => log.error('Live position update failed', { clientOrderId: order.clientOrderId, error: error.message }));
+    });
+  }
+
+  // Same shape as the paper engine's positions, so the risk manager can count both
+  static formatPosition(row) {
+    return {
+      id: row.id,
+      exchange: row.exchange,
+      signalId: row.signal_id,
+      symbol: row.symbol,
+      type: 'BUY',
+      status: row.status,
+      quantity: toNumber(row.quantity) || 0,
+      entryPrice: toNumber(row.entry_price),
+      stopLoss: toNumber(row.stop_loss),
+      targetPrice: toNumber(row.target_price),
+      entryOrderId: row.entry_order_id,
+      exitOrderId: row.exit_order_id,
+      exitPrice: toNumber(row.exit_price),
+      exitReason: row.exit_reason,
+      pnl: toNumber(row.pnl),
+      openedAt: row.created_at,
+      closedAt: row.closed_at
+    };
+  }
+
+  async load() {
+    const result = await this.pool.query(
+      `SELECT * FROM live_positions WHERE exchange = $1 AND status <> 'CLOSED'`,
+      [this.adapter.exchangeId]
+    );
+    this.positions.clear();
+    result.rows.forEach(row => this.positions.set(row.symbol, row));
+  }
+
+  // Every position not yet closed, including entries still waiting for a fill
+  getOpenPositions() {
+    return Array.from(this.positions.values()).map(LivePositionManager.formatPosition);
+  }
+
+  getOpenPosition(symbol) {
+    const row = this.positions.get(symbol);
+    return row ? LivePositionManager.formatPosition(row) : null;
+  }
+
+  async getPositions({ status = null, limit = 100 } = {}) {
+    const result = await this.pool.query(
+      `SELECT * FROM live_positions
+       WHERE exchange = $1 AND ($2::varchar IS NULL OR status = $2)
+       ORDER BY created_at DESC, id DESC
+       LIMIT $3`,
+      [this.adapter.exchangeId, status, limit]
+    );
+    return result.rows.map(LivePositionManager.formatPosition);
+  }
+
+  async update(row, fields) {
+    const columns = Object.keys(fields);
+    const result = await this.pool.query(
+      `UPDATE live_positions
+       SET ${columns.map((column, i) => `${column} = $${i + 2}`).join(', ')}
+       WHERE id = $1
+       RETURNING *`,
+      [row.id, ...Object.values(fields)]
+    );
+    const updated = result.rows[0];
+    if (updated.status === 'CLOSED') {
+      this.positions.delete(updated.symbol);
+    } else {
+      this.positions.set(updated.symbol, updated);
+    }
+    return updated;
+  }
+
+  // Buy `amount` worth of the signal's symbol with the risk manager's stop and target.
+  // Returns the entry order, or null when the symbol already has a position.
+  async open(signal, { amount, stopLoss, targetPrice }) {
+    if (this.positions.has(signal.symbol)) return null;
+
+    const clientOrderId = CcxtExecutionAdapter.clientOrderId(signal);
+    const inserted = await this.pool.query(
+      `INSERT INTO live_positions (exchange, signal_id, symbol, status, stop_loss, target_price, entry_order_id)
+       VALUES ($1, $2, $3, 'OPENING', $4, $5, $6)
+       RETURNING *`,
+      [this.adapter.exchangeId, signal.id || null, signal.symbol, stopLoss, targetPrice, clientOrderId]
+    );
+    this.positions.set(signal.symbol, inserted.rows[0]);
+
+    return this.adapter.placeOrder({
+      symbol: signal.symbol,
+      side: 'buy',
+      amount: amount / signal.price,
+      signalId: signal.id,
+      clientOrderId
+    });
+  }
+
+  // Sell the filled quantity of an open position. Returns the exit order, or null when there is
+  // nothing to sell or an exit is already on its way.
+  async close(symbol, reason) {
+    const row = this.positions.get(symbol);
+    if (!row || row.status !== 'OPEN') return null;
+
+    // Random ID: an exit that fails is retried with a new order
+    const clientOrderId = CcxtExecutionAdapter.clientOrderId();
+    const closing = await this.pool.query(
+      `UPDATE live_positions
+       SET status = 'CLOSING', exit_order_id = $2, exit_reason = $3
+       WHERE id = $1 AND status = 'OPEN'
+       RETURNING *`,
+      [row.id, clientOrderId, reason]
+    );
+    if (closing.rows.length === 0) return null;
+    this.positions.set(symbol, closing.rows[0]);
+
+    log.info('Closing live position', { symbol, reason, quantity: toNumber(row.quantity) });
+    return this.adapter.placeOrder({
+      symbol,
+      side: 'sell',
+      amount: toNumber(row.quantity),
+      signalId: row.signal_id,
+      clientOrderId
+    });
+  }
+
+  // Close the symbol's position once the price reaches its stop or target
+  async checkLevels(symbol, price) {
+    const row = this.positions.get(symbol);
+    if (!row || row.status !== 'OPEN') return null;
+
+    const stopLoss = toNumber(row.stop_loss);
+    const targetPrice = toNumber(row.target_price);
+    if (stopLoss !== null && price <= stopLoss) return this.close(symbol, 'STOP_LOSS');
+    if (targetPrice !== null && price >= targetPrice) return this.close(symbol, 'TAKE_PROFIT');
+    return null;
+  }
+
+  async onOrder(order) {
+    const row = Array.from(this.positions.values())
+      .find(r => r.entry_order_id === order.clientOrderId || r.exit_order_id === order.clientOrderId);
+    if (!row) return;
+
+    if (row.entry_order_id === order.clientOrderId) {
+      await this.onEntryOrder(row, order);
+    } else {
+      await this.onExitOrder(row, order);
+    }
+  }
+
+  async onEntryOrder(row, order) {
+    // Fills that arrive after an exit was sent are left to reconciliation
+    if (!['OPENING', 'OPEN'].includes(row.status)) return;
+
+    if (order.filled > 0) {
+      const updated = await this.update(row, {
+        status: 'OPEN',
+        quantity: order.filled,
+        entry_price: order.averagePrice
+      });
+      if (row.status === 'OPENING') {
+        log.info('Live position opened', { symbol: row.symbol, quantity: order.filled, entryPrice: order.averagePrice });
+        this.emit('position', LivePositionManager.formatPosition(updated));
+      }
+    } else if (states.isTerminal(order.status)) {
+      await this.update(row, { status: 'CLOSED', exit_reason: 'NOT_FILLED', closed_at: new Date() });
+    }
+  }
+
+  async onExitOrder(row, order) {
+    if (row.status !== 'CLOSING') return;
+
+    const quantity = toNumber(row.quantity);
+    if (order.status === states.FILLED) {
+      const entryPrice = toNumber(row.entry_price);
+      const closed = await this.update(row, {
+        status: 'CLOSED',
+        exit_price: order.averagePrice,
+        pnl: (order.averagePrice - entryPrice) * order.filled,
+        closed_at: new Date()
+      });
+      log.info('Live position closed', { symbol: row.symbol, exitReason: row.exit_reason, pnl: toNumber(closed.pnl) });
+      this.emit('position', LivePositionManager.formatPosition(closed));
+    } else if (states.isTerminal(order.status)) {
+      log.warn('Live position exit failed, position reopened', {
+        symbol: row.symbol,
+        clientOrderId: order.clientOrderId,
+        status: order.status,
+        error: order.error
+      });
+      await this.update(row, {
+        status: 'OPEN',
+        quantity: Math.max(0, quantity - order.filled),
+        exit_order_id: null,
+        exit_reason: null
+      });
+    }
+  }
+}
+
+LivePositionManager.STATUSES = STATUSES;
+
+module.exports = LivePositionManager;
@@ -0,0 +1,171 @@
+const ccxt = require('ccxt');
+
+// In-memory exchange implementing the subset of the ccxt unified API used by the
+// execution adapter. Prices come from `getPrice(symbol)`; market orders fill
+// `fillRatio` of their amount immediately and the rest on the next poll, so the
+// partially filled state can be exercised locally.
+class MockExchange {
+  constructor({ symbols = ['BTC/USD', 'ETH/USD'], getPrice = () => null, fillRatio = 1 } = {}) {
+    this.id = 'mock';
+    this.name = 'Mock Exchange';
+    this.has = { createOrder: true, cancelOrder: true, fetchOrder: true, fetchOpenOrders: true, fetchClosedOrders: true };
+    this.symbols = symbols;
+    this.getPrice = getPrice;
+    this.fillRatio = fillRatio;
+    this.orders = new Map();
+    this.nextId = 1;
+    this.pendingErrors = [];
+  }
+
+  // Make the next request throw, e.g. new ccxt.NetworkError('timeout')
+  failNextRequest(error) {
+    this.pendingErrors.push(error);
+  }
+
+  // Simulated network errors are raised after the order is accepted, like a lost response
+  checkFailure() {
+    const error = this.pendingErrors.shift();
+    if (error) throw error;
+  }
+
+  async loadMarkets() {
+    const markets = {};
+    this.symbols.forEach(symbol => {
+      const [base, quote] = symbol.split('/');
+      markets[symbol] = { id: symbol.replace('/', ''), symbol, base, quote, spot: true, active: true };
+    });
+    this.markets = markets;
+    return markets;
+  }
+
+  amountToPrecision(symbol, amount) {
+    return Number(amount).toFixed(8);
+  }
+
+  requireSymbol(symbol) {
+    if (!this.symbols.includes(symbol)) {
+      throw new ccxt.BadSymbol(`mock does not have market symbol ${symbol}`);
+    }
+  }
+
+  requireOrder(id) {
+    const order = this.orders.get(String(id));
+    if (!order) {
+      throw new ccxt.OrderNotFound(`mock order ${id} not found`);
+    }
+    return order;
+  }
+
+  fill(order, amount, price) {
+    const quantity = Math.min(amount, order.amount - order.filled);
+    if (quantity <= 0) return;
+    order.cost += quantity * price;
+    order.filled += quantity;
+    order.remaining = order.amount - order.filled;
+    order.average = order.cost / order.filled;
+    order.trades.push({ amount: quantity, price, timestamp: Date.now() });
+    if (order.remaining <= 1e-12) {
+      order.remaining = 0;
+      order.status = 'closed';
+    }
+  }
+
+  // Advance open orders against the current price
+  match() {
+    this.orders.forEach(order => {
+      if (order.status !== 'open') return;
+      const price = this.getPrice(order.symbol);
+      if (!price) return;
+
+      const marketable = order.type === 'market' ||
+        (order.side === 'buy' ? price <= order.price : price >= order.price);
+      if (marketable) {
+        this.fill(order, order.remaining, order.type === 'market' ? price : order.price);
+      }
+    });
+  }
+
+  async createOrder(symbol, type, side, amount, price = undefined, params = {}) {
+    this.requireSymbol(symbol);
+    if (!(amount > 0)) {
+      throw new ccxt.InvalidOrder(`mock order amount must be positive, got ${amount}`);
+    }
+    if (type === 'limit' && !(price > 0)) {
+      throw new ccxt.InvalidOrder('mock limit orders require a price');
+    }
+
+    const clientOrderId = params.clientOrderId;
+    if (clientOrderId && Array.from(this.orders.values()).some(o => o.clientOrderId === clientOrderId)) {
+      throw new ccxt.InvalidOrder(`mock duplicate clientOrderId ${clientOrderId}`);
+    }
+
+    const marketPrice = this.getPrice(symbol);
+    if (type === 'market' && !marketPrice) {
+      throw new ccxt.InvalidOrder(`mock has no price for ${symbol}`);
+    }
+
+    const now = Date.now();
+    const order = {
+      id: String(this.nextId++),
+      clientOrderId,
+      timestamp: now,
+      datetime: new Date(now).toISOString(),
+      symbol,
+      type,
+      side,
+      price: type === 'limit' ? price : undefined,
+      average: undefined,
+      amount,
+      filled: 0,
+      remaining: amount,
+      cost: 0,
+      status: 'open',
+      fee: { cost: 0, currency: symbol.split('/')[1] },
+      trades: []
+    };
+    this.orders.set(order.id, order);
+
+    if (type === 'market') {
+      this.fill(order, amount * this.fillRatio, marketPrice);
+    } else {
+      this.match();
+    }
+
+    this.checkFailure();
+    return { ...order };
+  }
+
+  async fetchOrder(id, symbol = undefined) {
+    this.checkFailure();
+    this.match();
+    return { ...this.requireOrder(id) };
+  }
+
+  async fetchOpenOrders(symbol = undefined) {
+    this.checkFailure();
+    this.match();
+    return Array.from(this.orders.values())
+      .filter(o => o.status === 'open' && (!symbol || o.symbol === symbol))
+      .map(o => ({ ...o }));
+  }
+
+  async fetchClosedOrders(symbol = undefined) {
+    this.checkFailure();
+    this.match();
+    return Array.from(this.orders.values())
+      .filter(o => o.status !== 'open' && (!symbol || o.symbol === symbol))
+      .map(o => ({ ...o }));
+  }
+
+  async cancelOrder(id, symbol = undefined) {
+    this.checkFailure();
+    const order = this.requireOrder(id);
+    if (order.status !== 'open') {
+      throw new ccxt.OrderNotFound(`mock order ${id} is already ${order.status}`);
+    }
+    order.status = 'canceled';
+    return { ...order };
+  }
+}
+
+module.exports = MockExchange;
@@ -0,0 +1,60 @@
+// Order lifecycle shared by every execution adapter:
+//
+//   PENDING -> PARTIALLY_FILLED -> FILLED
+//      |              |
+//      +-> CANCELLED <+
+//      +-> REJECTED
+const PENDING = 'PENDING';
+const PARTIALLY_FILLED = 'PARTIALLY_FILLED';
+const FILLED = 'FILLED';
+const CANCELLED = 'CANCELLED';
+const REJECTED = 'REJECTED';
+
+const TRANSITIONS = {
+  [PENDING]: [PARTIALLY_FILLED, FILLED, CANCELLED, REJECTED],
+  [PARTIALLY_FILLED]: [PARTIALLY_FILLED, FILLED, CANCELLED],
+  [FILLED]: [],
+  [CANCELLED]: [],
+  [REJECTED]: []
+};
+
+const STATUSES = Object.keys(TRANSITIONS);
+const OPEN_STATUSES = [PENDING, PARTIALLY_FILLED];
+
+const isTerminal = (status) => TRANSITIONS[status] && TRANSITIONS[status].length === 0;
+
+const canTransition = (from, to) => Boolean(TRANSITIONS[from]) && TRANSITIONS[from].includes(to);
+
+// States an order may be in before moving to `to`, used to guard concurrent updates
+const previousStates = (to) => STATUSES.filter(from => canTransition(from, to));
+
+// Map a ccxt unified order onto our lifecycle
+const fromExchangeOrder = (order) => {
+  const filled = order.filled || 0;
+  switch (order.status) {
+    case 'closed':
+      return FILLED;
+    case 'canceled':
+    case 'cancelled':
+    case 'expired':
+      return CANCELLED;
+    case 'rejected':
+      return REJECTED;
+    default:
+      return filled > 0 ? PARTIALLY_FILLED : PENDING;
+  }
+};
+
+module.exports = {
+  PENDING,
+  PARTIALLY_FILLED,
+  FILLED,
+  CANCELLED,
+  REJECTED,
+  STATUSES,
+  OPEN_STATUSES,
+  isTerminal,
+  canTransition,
+  previousStates,
+  fromExchangeOrder
+};
@@ -0,0 +1,212 @@
+const MarketCalendar = require('./marketCalendar');
+
+// Tradable instruments stored in `instruments`: metadata, per-provider symbol codes,
+// the reference price used by the mock provider, enabled flag and trading schedule.
+// Seeded with the default markets the first time the table is empty.
+const TYPES = ['forex', 'crypto', 'stock', 'index', 'commodity'];
+const SYMBOL_PATTERN = /^[A-Z0-9.]{1,12}(\/[A-Z0-9]{1,12})?$/;
+
+const DEFAULT_INSTRUMENTS = [
+  { symbol: 'EUR/USD', name: 'Euro/US Dollar', type: 'forex', pipSize: 0.0001, contractSize: 100000, quoteCurrency: 'USD', providerSymbols: { finnhub: 'OANDA:EUR_USD' }, referencePrice: 1.0850, volatility: 0.0002 },
+  { symbol: 'GBP/USD', name: 'British Pound/US Dollar', type: 'forex', pipSize: 0.0001, contractSize: 100000, quoteCurrency: 'USD', providerSymbols: { finnhub: 'OANDA:GBP_USD' }, referencePrice: 1.2650, volatility: 0.0003 },
+  { symbol: 'USD/JPY', name: 'US Dollar/Japanese Yen', type: 'forex', pipSize: 0.01, contractSize: 100000, quoteCurrency: 'JPY', providerSymbols: { finnhub: 'OANDA:USD_JPY' }, referencePrice: 147.50, volatility: 0.015 },
+  { symbol: 'USD/CHF', name: 'US Dollar/Swiss Franc', type: 'forex', pipSize: 0.0001, contractSize: 100000, quoteCurrency: 'CHF', providerSymbols: { finnhub: 'OANDA:USD_CHF' }, referencePrice: 0.8800, volatility: 0.0002 },
+  { symbol: 'AUD/USD', name: 'Australian Dollar/US Dollar', type: 'forex', pipSize: 0.0001, contractSize: 100000, quoteCurrency: 'USD', providerSymbols: { finnhub: 'OANDA:AUD_USD' }, referencePrice: 0.6520, volatility: 0.0004 },
+  { symbol: 'USD/CAD', name: 'US Dollar/Canadian Dollar', type: 'forex', pipSize: 0.0001, contractSize: 100000, quoteCurrency: 'CAD', providerSymbols: { finnhub: 'OANDA:USD_CAD' }, referencePrice: 1.3500, volatility: 0.0003 },
+  { symbol: 'XAU/USD', name: 'Gold/US Dollar', type: 'forex', pipSize: 0.1, contractSize: 100, quoteCurrency: 'USD', providerSymbols: { finnhub: 'OANDA:XAU_USD' }, referencePrice: 2025.50, volatility: 0.5 },
+  { symbol: 'BTC/USD', name: 'Bitcoin/US Dollar', type: 'crypto', pipSize: 0.01, contractSize: 1, quoteCurrency: 'USD', providerSymbols: { finnhub: 'BINANCE:BTCUSDT' }, referencePrice: 42500, volatility: 50 },
+  { symbol: 'ETH/USD', name: 'Ethereum/US Dollar', type: 'crypto', pipSize: 0.01, contractSize: 1, quoteCurrency: 'USD', providerSymbols: { finnhub: 'BINANCE:ETHUSDT' }, referencePrice: 2550, volatility: 5 },
+  { symbol: 'AAPL', name: 'Apple Inc', type: 'stock', pipSize: 0.01, contractSize: 1, quoteCurrency: 'USD', providerSymbols: {}, referencePrice: 185.50, volatility: 0.1 },
+  { symbol: 'TSLA', name: 'Tesla Inc', type: 'stock', pipSize: 0.01, contractSize: 1, quoteCurrency: 'USD', providerSymbols: {}, referencePrice: 245.75, volatility: 0.2 },
+  { symbol: 'GOOGL', name: 'Alphabet Inc', type: 'stock', pipSize: 0.01, contractSize: 1, quoteCurrency: 'USD', providerSymbols: {}, referencePrice: 138.20, volatility: 0.12 },
+  { symbol: 'MSFT', name: 'Microsoft Corporation', type: 'stock', pipSize: 0.01, contractSize: 1, quoteCurrency: 'USD', providerSymbols: {}, referencePrice: 375.80, volatility: 0.11 }
+];
+
+// API field -> column
+const COLUMNS = {
+  name: 'name',
+  type: 'type',
+  pipSize: 'pip_size',
+  contractSize: 'contract_size',
+  quoteCurrency: 'quote_currency',
+  providerSymbols: 'provider_symbols',
+  referencePrice: 'reference_price',
+  volatility: 'volatility',
+  enabled: 'enabled',
+  schedule: 'schedule'
+};
+
+const toNumber = (value) => (value === null || value === undefined ? null : parseFloat(value));
+
+// "EUR/USD", "EUR-USD", "eurusd" -> "EURUSD"
+const symbolKey = (value) => String(value || '').replace(/[^a-z0-9]/gi, '').toUpperCase();
+
+class InstrumentStore {
+  constructor(pool) {
+    this.pool = pool;
+    this.instruments = new Map();
+  }
+
+  static formatInstrument(row) {
+    return {
+      symbol: row.symbol,
+      name: row.name,
+      type: row.type,
+      pipSize: toNumber(row.pip_size),
+      contractSize: toNumber(row.contract_size),
+      quoteCurrency: row.quote_currency,
+      providerSymbols: row.provider_symbols || {},
+      referencePrice: toNumber(row.reference_price),
+      volatility: toNumber(row.volatility),
+      enabled: row.enabled,
+      schedule: row.schedule,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  // Returns an error message, or null when the fields are valid.
+  // `partial` validates only the fields present, for updates.
+  static validate(data, { partial = false } = {}) {
+    if (!data || typeof data !== 'object') return 'Request body must be an object';
+
+    if (!partial) {
+      if (!SYMBOL_PATTERN.test(String(data.symbol || ''))) {
+        return 'symbol must be upper case, e.g. "EUR/USD" or "AAPL"';
+      }
+      if (!data.name || !data.type) return 'name and type are required';
+    }
+
+    const unknown = Object.keys(data).find(key => key !== 'symbol' && !COLUMNS[key]);
+    if (unknown) return `Unknown field: ${unknown}`;
+
+    if (data.name !== undefined && (typeof data.name !== 'string' || !data.name.trim() || data.name.length > 100)) {
+      return 'name must be a non-empty string of up to 100 characters';
+    }
+    if (data.type !== undefined && !TYPES.includes(data.type)) {
+      return `type must be one of: ${TYPES.join(', ')}`;
+    }
+    if (data.schedule !== undefined && data.schedule !== null && !MarketCalendar.SCHEDULES.includes(data.schedule)) {
+      return `schedule must be one of: ${MarketCalendar.SCHEDULES.join(', ')}`;
+    }
+    for (const key of ['pipSize', 'contractSize', 'referencePrice', 'volatility']) {
+      if (data[key] !== undefined && data[key] !== null && !(typeof data[key] === 'number' && data[key] > 0)) {
+        return `${key} must be a positive number`;
+      }
+    }
+    if (data.quoteCurrency !== undefined && data.quoteCurrency !== null && !/^[A-Z]{3,5}$/.test(data.quoteCurrency)) {
+      return 'quoteCurrency must be a currency code such as "USD"';
+    }
+    if (data.enabled !== undefined && typeof data.enabled !== 'boolean') {
+      return 'enabled must be a boolean';
+    }
+    if (data.providerSymbols !== undefined) {
+      const codes = data.providerSymbols;
+      if (!codes || typeof codes !== 'object' || Array.isArray(codes) ||
+        Object.values(codes).some(code => typeof code !== 'string' || !code)) {
+        return 'providerSymbols must map provider names to symbol codes';
+      }
+    }
+    return null;
+  }
+
+  static toRow(data) {
+    const row = {};
+    Object.entries(COLUMNS).forEach(([field, column]) => {
+      if (data[field] === undefined) return;
+      row[column] = field === 'providerSymbols' ? JSON.stringify(data[field]) : data[field];
+    });
+    return row;
+  }
+
+  // Insert the default markets into an empty table
+  async seed() {
+    const existing = await this.pool.query('SELECT COUNT(*) FROM instruments');
+    if (parseInt(existing.rows[0].count) > 0) return 0;
+
+    for (const instrument of DEFAULT_INSTRUMENTS) {
+      await this.insert(instrument);
+    }
+    return DEFAULT_INSTRUMENTS.length;
+  }
+
+  async load() {
+    const result = await this.pool.query('SELECT * FROM instruments ORDER BY created_at, symbol');
+    this.instruments.clear();
+    result.rows.forEach(row => this.instruments.set(row.symbol, InstrumentStore.formatInstrument(row)));
+  }
+
+  list() {
+    return Array.from(this.instruments.values());
+  }
+
+  enabled() {
+    return this.list().filter(instrument => instrument.enabled);
+  }
+
+  get(symbol) {
+    return this.instruments.get(symbol) || null;
+  }
+
+  // Match a route parameter such as "EUR/USD", "EUR-USD" or "eurusd" to an instrument
+  find(param) {
+    const key = symbolKey(param);
+    return this.list().find(instrument => symbolKey(instrument.symbol) === key) || null;
+  }
+
+  // Symbol code a market data provider uses for an instrument, if it differs from ours
+  providerSymbol(symbol, provider) {
+    const instrument = this.get(symbol);
+    return (instrument && instrument.providerSymbols[provider]) || null;
+  }
+
+  async insert(data) {
+    const row = { symbol: data.symbol, ...InstrumentStore.toRow(data) };
+    const columns = Object.keys(row);
+    const result = await this.pool.query(
+      `INSERT INTO instruments (${columns.join(', ')})
+       VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')})
+       RETURNING *`,
+      Object.values(row)
+    );
+    const instrument = InstrumentStore.formatInstrument(result.rows[0]);
+    this.instruments.set(instrument.symbol, instrument);
+    return instrument;
+  }
+
+  // Symbols are compared without punctuation, so "EURUSD" cannot shadow "EUR/USD"
+  async create(data) {
+    if (this.find(data.symbol)) return null;
+    return this.insert(data);
+  }
+
+  async update(symbol, data) {
+    const row = InstrumentStore.toRow(data);
+    const columns = Object.keys(row);
+    if (columns.length === 0) return this.get(symbol);
+
+    const result = await this.pool.query(
+      `UPDATE instruments
+       SET ${columns.map((column, i) => `${column} = $${i + 2}`).join(', ')}, updated_at = NOW()
+       WHERE symbol = $1
+       RETURNING *`,
+      [symbol, ...Object.values(row)]
+    );
+    if (result.rows.length === 0) return null;
+
+    const instrument = InstrumentStore.formatInstrument(result.rows[0]);
+    this.instruments.set(instrument.symbol, instrument);
+    return instrument;
+  }
+
+  async remove(symbol) {
+    const result = await this.pool.query('DELETE FROM instruments WHERE symbol = $1', [symbol]);
+    this.instruments.delete(symbol);
+    return result.rowCount > 0;
+  }
+}
+
+InstrumentStore.TYPES = TYPES;
+InstrumentStore.DEFAULT_INSTRUMENTS = DEFAULT_INSTRUMENTS;
+
+module.exports = InstrumentStore;
@@ -0,0 +1,215 @@
+const { logger, withLogContext } = require('./logger');
+
+const log = logger.child({ component: 'jobs' });
+
+// Runs a job over a list of items (one per symbol) with bounded parallelism and records
+// every run in `job_runs`.
+//
+//   concurrency       items processed at the same time
+//   itemTimeoutMs     an item still running after this is recorded as failed; the worker gets an
+//                     AbortSignal so it can stop before writing anything
+//   itemIntervalMs    minimum time between two runs of the same item; younger items are skipped
+//                     unless the run is forced
+//   overlap           what a run does while another run of the same job is active:
+//                     'skip' records a SKIPPED run and returns, 'queue' waits and runs next.
+//                     Queued callers share a single follow-up run.
+const STATUSES = ['RUNNING', 'SUCCEEDED', 'PARTIAL', 'FAILED', 'SKIPPED', 'INTERRUPTED'];
+const OVERLAP_POLICIES = ['skip', 'queue'];
+const MAX_ERROR_LENGTH = 500;
+
+class JobTimeoutError extends Error {
+  constructor(ms) {
+    super(`Timed out after ${ms}ms`);
+    this.name = 'JobTimeoutError';
+  }
+}
+
+class JobRunner {
+  constructor(pool, { concurrency = 4, itemTimeoutMs = 30000, itemIntervalMs = 0, overlap = 'skip' } = {}) {
+    this.pool = pool;
+    this.concurrency = Math.max(1, concurrency);
+    this.itemTimeoutMs = itemTimeoutMs;
+    this.itemIntervalMs = itemIntervalMs;
+    this.overlap = OVERLAP_POLICIES.includes(overlap) ? overlap : 'skip';
+    // job name -> promise of the active run / of the queued follow-up run
+    this.active = new Map();
+    this.queued = new Map();
+    // `${job}:${key}` -> when the item last started
+    this.lastStarted = new Map();
+  }
+
+  static formatRun(row) {
+    return {
+      id: row.id,
+      job: row.job,
+      trigger: row.trigger,
+      status: row.status,
+      startedAt: row.started_at,
+      finishedAt: row.finished_at,
+      durationMs: row.duration_ms,
+      itemsTotal: row.items_total,
+      itemsSucceeded: row.items_succeeded,
+      itemsFailed: row.items_failed,
+      itemsSkipped: row.items_skipped,
+      errors: row.errors || []
+    };
+  }
+
+  activeJobs() {
+    return Array.from(this.active.keys());
+  }
+
+  // Runs left RUNNING by a process that stopped mid-run
+  async recoverInterrupted() {
+    const result = await this.pool.query(
+      `UPDATE job_runs
+       SET status = 'INTERRUPTED', finished_at = NOW()
+       WHERE status = 'RUNNING'`
+    );
+    return result.rowCount;
+  }
+
+  // Run `worker(item, { signal })` for every item. `key(item)` names the item in errors and
+  // interval tracking. Resolves to { run, results } where results holds the workers' return
+  // values in item order (null for failed and skipped items); a skipped overlapping run has
+  // results null.
+  async run(job, items, worker, { key = String, trigger = 'schedule', force = false, overlap = this.overlap } = {}) {
+    if (this.active.has(job)) {
+      if (overlap === 'skip') {
+        log.warn('Job already running, skipping', { job, trigger });
+        return { run: await this.recordSkipped(job, trigger), results: null };
+      }
+      if (!this.queued.has(job)) {
+        const next = this.active.get(job)
+          .catch(() => {})
+          .then(() => {
+            this.queued.delete(job);
+            return this.start(job, items, worker, { key, trigger, force });
+          });
+        this.queued.set(job, next);
+      }
+      return this.queued.get(job);
+    }
+    return this.start(job, items, worker, { key, trigger, force });
+  }
+
+  start(job, items, worker, options) {
+    const running = this.execute(job, items, worker, options)
+      .finally(() => this.active.delete(job));
+    this.active.set(job, running);
+    return running;
+  }
+
+  async execute(job, items, worker, { key, trigger, force }) {
+    const startedAt = Date.now();
+    const inserted = await this.pool.query(
+      `INSERT INTO job_runs (job, trigger, status, items_total)
+       VALUES ($1, $2, 'RUNNING', $3)
+       RETURNING id`,
+      [job, trigger, items.length]
+    );
+    const runId = inserted.rows[0].id;
+
+    const results = new Array(items.length).fill(null);
+    const errors = [];
+    let succeeded = 0;
+    let skipped = 0;
+    let next = 0;
+
+    const runItem = async (item, index) => {
+      const name = key(item);
+      const intervalKey = `${job}:${name}`;
+      const last = this.lastStarted.get(intervalKey);
+      if (!force && this.itemIntervalMs > 0 && last && Date.now() - last < this.itemIntervalMs) {
+        skipped++;
+        return;
+      }
+      this.lastStarted.set(intervalKey, Date.now());
+
+      try {
+        results[index] = await withLogContext({ symbol: name }, () => this.withTimeout(signal => worker(item, { signal })));
+        succeeded++;
+      } catch (error) {
+        errors.push({ item: name, error: error.message.slice(0, MAX_ERROR_LENGTH) });
+        log.error('Job item failed', { job, runId, item: name, error: error.message });
+      }
+    };
+
+    const lanes = Array.from({ length: Math.min(this.concurrency, items.length) }, async () => {
+      while (next < items.length) {
+        const index = next++;
+        await runItem(items[index], index);
+      }
+    });
+    await Promise.all(lanes);
+
+    let status = 'SUCCEEDED';
+    if (errors.length > 0) status = succeeded > 0 ? 'PARTIAL' : 'FAILED';
+
+    let run = null;
+    try {
+      const updated = await this.pool.query(
+        `UPDATE job_runs
+         SET status = $2, finished_at = NOW(), duration_ms = $3,
+             items_succeeded = $4, items_failed = $5, items_skipped = $6, errors = $7
+         WHERE id = $1
+         RETURNING *`,
+        [runId, status, Date.now() - startedAt, succeeded, errors.length, skipped, JSON.stringify(errors)]
+      );
+      run = JobRunner.formatRun(updated.rows[0]);
+    } catch (error) {
+      log.error('Job run could not be recorded', { job, runId, error: error.message });
+    }
+
+    log.info('Job finished', { job, runId, status, succeeded, failed: errors.length, skipped, durationMs: Date.now() - startedAt });
+    return { run, results };
+  }
+
+  // Resolve with fn's result, or reject once itemTimeoutMs has passed and abort fn's signal
+  withTimeout(fn) {
+    if (!this.itemTimeoutMs) return fn(new AbortController().signal);
+
+    const controller = new AbortController();
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        controller.abort();
+        reject(new JobTimeoutError(this.itemTimeoutMs));
+      }, this.itemTimeoutMs);
+    });
+    return Promise.race([fn(controller.signal), timeout]).finally(() => clearTimeout(timer));
+  }
+
+  async recordSkipped(job, trigger) {
+    const result = await this.pool.query(
+      `INSERT INTO job_runs (job, trigger, status, finished_at, duration_ms)
+       VALUES ($1, $2, 'SKIPPED', NOW(), 0)
+       RETURNING *`,
+      [job, trigger]
+    );
+    return JobRunner.formatRun(result.rows[0]);
+  }
+
+  async getRuns({ job = null, status = null, limit = 50 } = {}) {
+    const result = await this.pool.query(
+      `SELECT * FROM job_runs
+       WHERE ($1::text IS NULL OR job = $1)
+         AND ($2::text IS NULL OR status = $2)
+       ORDER BY started_at DESC, id DESC
+       LIMIT $3`,
+      [job, status, limit]
+    );
+    return result.rows.map(JobRunner.formatRun);
+  }
+
+  async getRun(id) {
+    const result = await this.pool.query('SELECT * FROM job_runs WHERE id = $1', [id]);
+    return result.rows.length > 0 ? JobRunner.formatRun(result.rows[0]) : null;
+  }
+}
+
+JobRunner.STATUSES = STATUSES;
+JobRunner.OVERLAP_POLICIES = OVERLAP_POLICIES;
+JobRunner.JobTimeoutError = JobTimeoutError;
+
+module.exports = JobRunner;
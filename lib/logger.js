@@ -0,0 +1,69 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Structured JSON logging: one line per entry on stdout, e.g.
+//   {"time":"...","level":"info","msg":"Signal generated","component":"signals","cycleId":"...","symbol":"EUR/USD"}
+// LOG_LEVEL (debug, info, warn, error) sets the threshold, default info.
+// Fields set with withLogContext() (such as the signal cycle's correlation id) are added to every
+// entry written inside the callback, including from awaited calls in other modules.
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const context = new AsyncLocalStorage();
+
+const serializeError = (error) => {
+  const serialized = { name: error.name, message: error.message, stack: error.stack };
+  if (error.code !== undefined) serialized.code = error.code;
+  return serialized;
+};
+
+class Logger {
+  constructor({ level = 'info', bindings = {}, stream = process.stdout } = {}) {
+    this.threshold = LEVELS[level] || LEVELS.info;
+    this.bindings = bindings;
+    this.stream = stream;
+  }
+
+  // Logger whose entries always carry `bindings`, e.g. { component: 'webhooks' }
+  child(bindings) {
+    const child = Object.create(this);
+    child.bindings = { ...this.bindings, ...bindings };
+    return child;
+  }
+
+  write(level, msg, fields = {}) {
+    if (LEVELS[level] < this.threshold) return;
+
+    const entry = { time: new Date().toISOString(), level, msg, ...this.bindings, ...context.getStore() };
+    Object.entries(fields).forEach(([key, value]) => {
+      entry[key] = value instanceof Error ? serializeError(value) : value;
+    });
+
+    try {
+      this.stream.write(`${JSON.stringify(entry)}\n`);
+    } catch (error) {
+      // Unserializable fields must not take the caller down
+      this.stream.write(`${JSON.stringify({ time: entry.time, level, msg, logError: error.message })}\n`);
+    }
+  }
+
+  debug(msg, fields) {
+    this.write('debug', msg, fields);
+  }
+
+  info(msg, fields) {
+    this.write('info', msg, fields);
+  }
+
+  warn(msg, fields) {
+    this.write('warn', msg, fields);
+  }
+
+  error(msg, fields) {
+    this.write('error', msg, fields);
+  }
+}
+
+// Run `fn` with extra fields attached to everything it logs
+const withLogContext = (fields, fn) => context.run({ ...context.getStore(), ...fields }, fn);
+
+const logger = new Logger({ level: process.env.LOG_LEVEL });
+
+module.exports = { logger, withLogContext, Logger, LEVELS };
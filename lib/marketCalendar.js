@@ -0,0 +1,255 @@
+// Trading schedules:
+//   forex      Sunday 17:00 to Friday 17:00 New York time, tagged with the Sydney/Tokyo/London/New York sessions
+//   us_equity  NYSE regular hours 09:30-16:00 New York time, closed on exchange holidays, early close at 13:00
+//   always     never closes, tagged with the same world sessions as forex
+// An instrument without an explicit schedule gets one from its type: crypto trades always,
+// stocks on US equity hours and everything else on forex hours.
+const SCHEDULES = ['forex', 'us_equity', 'always'];
+
+const FOREX_SESSIONS = [
+  { name: 'SYDNEY', timeZone: 'Australia/Sydney', open: 7 * 60, close: 16 * 60 },
+  { name: 'TOKYO', timeZone: 'Asia/Tokyo', open: 9 * 60, close: 18 * 60 },
+  { name: 'LONDON', timeZone: 'Europe/London', open: 8 * 60, close: 17 * 60 },
+  { name: 'NEW_YORK', timeZone: 'America/New_York', open: 8 * 60, close: 17 * 60 }
+];
+
+const EQUITY_SESSIONS = [
+  { name: 'PRE_MARKET', open: 4 * 60, close: 9 * 60 + 30 },
+  { name: 'REGULAR', open: 9 * 60 + 30, close: 16 * 60 },
+  { name: 'AFTER_HOURS', open: 16 * 60, close: 20 * 60 }
+];
+
+const NEW_YORK = 'America/New_York';
+const FOREX_ROLLOVER = 17 * 60;
+const EARLY_CLOSE = 13 * 60;
+const STEP_MINUTES = 15;
+const SEARCH_DAYS = 8;
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+const formatters = new Map();
+
+// Wall-clock date, weekday and minute of day in a time zone
+const zonedParts = (date, timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      weekday: 'short',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit'
+    }));
+  }
+
+  const parts = {};
+  formatters.get(timeZone).formatToParts(date).forEach(part => {
+    parts[part.type] = part.value;
+  });
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    year: parseInt(parts.year, 10),
+    weekday: WEEKDAYS[parts.weekday],
+    minutes: parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10)
+  };
+};
+
+const isoDate = (year, month, day) => {
+  const d = new Date(Date.UTC(year, month - 1, day));
+  return d.toISOString().slice(0, 10);
+};
+
+// nth weekday of a month (n = -1 for the last one), as YYYY-MM-DD
+const nthWeekday = (year, month, weekday, n) => {
+  if (n > 0) {
+    const first = new Date(Date.UTC(year, month - 1, 1)).getUTCDay();
+    return isoDate(year, month, 1 + ((weekday - first + 7) % 7) + (n - 1) * 7);
+  }
+  const lastDay = new Date(Date.UTC(year, month, 0));
+  const offset = (lastDay.getUTCDay() - weekday + 7) % 7;
+  return isoDate(year, month, lastDay.getUTCDate() - offset);
+};
+
+// Saturday holidays are observed on Friday, Sunday holidays on Monday
+const observed = (year, month, day) => {
+  const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+  if (weekday === 6) return isoDate(year, month, day - 1);
+  if (weekday === 0) return isoDate(year, month, day + 1);
+  return isoDate(year, month, day);
+};
+
+const isWeekday = (iso) => {
+  const weekday = new Date(`${iso}T00:00:00Z`).getUTCDay();
+  return weekday !== 0 && weekday !== 6;
+};
+
+// Gregorian Easter Sunday (anonymous algorithm)
+const easterSunday = (year) => {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return { month, day };
+};
+
+// NYSE full closures and early closes for a year
+const nyseCalendar = (year) => {
+  const closed = new Set();
+  const early = new Set();
+
+  // New Year's Day falling on a Saturday is not observed on the previous Friday
+  const newYear = observed(year, 1, 1);
+  if (newYear.startsWith(String(year))) closed.add(newYear);
+
+  const easter = easterSunday(year);
+  const goodFriday = new Date(Date.UTC(year, easter.month - 1, easter.day - 2));
+
+  closed.add(nthWeekday(year, 1, 1, 3)); // Martin Luther King Jr. Day
+  closed.add(nthWeekday(year, 2, 1, 3)); // Presidents' Day
+  closed.add(goodFriday.toISOString().slice(0, 10));
+  closed.add(nthWeekday(year, 5, 1, -1)); // Memorial Day
+  if (year >= 2022) closed.add(observed(year, 6, 19)); // Juneteenth
+  closed.add(observed(year, 7, 4));
+  closed.add(nthWeekday(year, 9, 1, 1)); // Labor Day
+  const thanksgiving = nthWeekday(year, 11, 4, 4);
+  closed.add(thanksgiving);
+  closed.add(observed(year, 12, 25));
+
+  const dayAfterThanksgiving = new Date(`${thanksgiving}T00:00:00Z`);
+  dayAfterThanksgiving.setUTCDate(dayAfterThanksgiving.getUTCDate() + 1);
+  [isoDate(year, 7, 3), dayAfterThanksgiving.toISOString().slice(0, 10), isoDate(year, 12, 24)]
+    .filter(iso => isWeekday(iso) && !closed.has(iso))
+    .forEach(iso => early.add(iso));
+
+  return { closed, early };
+};
+
+class MarketCalendar {
+  constructor({ extraHolidays = [] } = {}) {
+    this.extraHolidays = new Set(extraHolidays);
+    this.years = new Map();
+  }
+
+  equityCalendar(year) {
+    if (!this.years.has(year)) {
+      this.years.set(year, nyseCalendar(year));
+    }
+    return this.years.get(year);
+  }
+
+  isEquityHoliday(date) {
+    return this.extraHolidays.has(date) || this.equityCalendar(parseInt(date.slice(0, 4), 10)).closed.has(date);
+  }
+
+  static isForexOpen(date) {
+    const ny = zonedParts(date, NEW_YORK);
+    if (ny.weekday === 6) return false;
+    if (ny.weekday === 0) return ny.minutes >= FOREX_ROLLOVER;
+    if (ny.weekday === 5) return ny.minutes < FOREX_ROLLOVER;
+    return true;
+  }
+
+  // World trading sessions active at a moment, by each centre's local business hours
+  static worldSessions(date) {
+    return FOREX_SESSIONS
+      .filter(session => {
+        const local = zonedParts(date, session.timeZone);
+        return local.weekday >= 1 && local.weekday <= 5 && local.minutes >= session.open && local.minutes < session.close;
+      })
+      .map(session => session.name);
+  }
+
+  equityStatus(date) {
+    const ny = zonedParts(date, NEW_YORK);
+    if (ny.weekday === 0 || ny.weekday === 6 || this.isEquityHoliday(ny.date)) {
+      return { open: false, sessions: [], earlyClose: false };
+    }
+
+    const earlyClose = this.equityCalendar(ny.year).early.has(ny.date);
+    const sessions = EQUITY_SESSIONS
+      .map(session => (session.name === 'REGULAR' && earlyClose ? { ...session, close: EARLY_CLOSE } : session))
+      .filter(session => ny.minutes >= session.open && ny.minutes < session.close)
+      .map(session => session.name);
+
+    return { open: sessions.includes('REGULAR'), sessions, earlyClose };
+  }
+
+  static scheduleFor(market) {
+    if (market.schedule) return market.schedule;
+    if (market.type === 'crypto') return 'always';
+    if (market.type === 'stock') return 'us_equity';
+    return 'forex';
+  }
+
+  isOpen(market, date = new Date()) {
+    switch (MarketCalendar.scheduleFor(market)) {
+      case 'always':
+        return true;
+      case 'us_equity':
+        return this.equityStatus(date).open;
+      default:
+        return MarketCalendar.isForexOpen(date);
+    }
+  }
+
+  // Open/closed state and active sessions; `session` is the label stored with signals
+  getStatus(market, date = new Date()) {
+    const schedule = MarketCalendar.scheduleFor(market);
+    let open;
+    let sessions;
+
+    if (schedule === 'us_equity') {
+      ({ open, sessions } = this.equityStatus(date));
+    } else {
+      open = schedule === 'always' || MarketCalendar.isForexOpen(date);
+      sessions = open ? MarketCalendar.worldSessions(date) : [];
+    }
+
+    let session = sessions.length ? sessions.join('+') : 'OFF_HOURS';
+    if (!open) session = 'CLOSED';
+
+    return { symbol: market.symbol, type: market.type, schedule, open, session, sessions };
+  }
+
+  // Next time the market opens (when closed) or closes (when open), to the quarter hour.
+  // Returns null for markets that never close.
+  nextChange(market, date = new Date()) {
+    if (MarketCalendar.scheduleFor(market) === 'always') return null;
+
+    const open = this.isOpen(market, date);
+    const stepMs = STEP_MINUTES * 60 * 1000;
+    let time = Math.ceil((date.getTime() + 1) / stepMs) * stepMs;
+    const limit = date.getTime() + SEARCH_DAYS * 24 * 60 * 60 * 1000;
+
+    for (; time <= limit; time += stepMs) {
+      if (this.isOpen(market, new Date(time)) !== open) {
+        return { [open ? 'nextClose' : 'nextOpen']: new Date(time).toISOString() };
+      }
+    }
+    return null;
+  }
+
+  // Session names a filter may use for an instrument
+  static sessionNames(market) {
+    return MarketCalendar.scheduleFor(market) === 'us_equity'
+      ? EQUITY_SESSIONS.map(session => session.name)
+      : FOREX_SESSIONS.map(session => session.name);
+  }
+}
+
+MarketCalendar.SCHEDULES = SCHEDULES;
+MarketCalendar.FOREX_SESSIONS = FOREX_SESSIONS;
+MarketCalendar.EQUITY_SESSIONS = EQUITY_SESSIONS;
+
+module.exports = MarketCalendar;
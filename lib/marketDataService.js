@@ -0,0 +1,78 @@
+const { logger } = require('./logger');
+const metrics = require('./metrics');
+const { ProviderUnavailableError } = require('./providers/quoteProvider');
+
+const log = logger.child({ component: 'market-data' });
+
+// Real Market Data Service with an ordered provider failover chain and a short quote cache
+class RealMarketDataService {
+  constructor({ providers = [], mockProvider = null, cacheTtlMs = 10000 } = {}) {
+    this.providers = providers;
+    this.mockProvider = mockProvider;
+    this.cacheTtlMs = cacheTtlMs;
+    this.cache = new Map();
+    this.cacheHits = 0;
+    this.cacheMisses = 0;
+  }
+
+  get sources() {
+    return this.providers.map(p => p.name);
+  }
+
+  // Live quote from the first provider that answers. Falls back to mock data only
+  // when a mock provider was configured; otherwise throws.
+  async getRealTimePrice(symbol) {
+    const cached = this.cache.get(symbol);
+    if (cached && cached.expiresAt > Date.now()) {
+      this.cacheHits++;
+      return cached.quote;
+    }
+    this.cacheMisses++;
+
+    const errors = [];
+    for (const provider of this.providers) {
+      if (!provider.isConfigured()) continue;
+
+      const stopTimer = metrics.providerRequestDuration.startTimer({ provider: provider.name });
+      try {
+        const quote = await provider.getQuote(symbol);
+        stopTimer({ outcome: 'success' });
+        this.cache.set(symbol, { quote, expiresAt: Date.now() + this.cacheTtlMs });
+        return quote;
+      } catch (error) {
+        errors.push(error.message);
+        // Benched or rate limited: no request was made, so no latency or error to record
+        if (error instanceof ProviderUnavailableError) {
+          log.debug('Quote provider skipped', { provider: provider.name, symbol, reason: error.message });
+          continue;
+        }
+        stopTimer({ outcome: 'error' });
+        metrics.providerErrors.inc({ provider: provider.name });
+        log.warn('Quote provider failed', { provider: provider.name, symbol, error: error.message });
+      }
+    }
+
+    if (this.mockProvider) {
+      metrics.mockFallbacks.inc({ symbol });
+      log.warn('Using mock data', { symbol });
+      return this.mockProvider.getQuote(symbol);
+    }
+
+    throw new Error(`No live quote for ${symbol}${errors.length ? `: ${errors.join('; ')}` : ' (no provider configured)'}`);
+  }
+
+  getHealth() {
+    return {
+      providers: this.providers.map(p => p.getHealth()),
+      mock: this.mockProvider ? this.mockProvider.getHealth() : { enabled: false },
+      cache: {
+        ttlMs: this.cacheTtlMs,
+        entries: this.cache.size,
+        hits: this.cacheHits,
+        misses: this.cacheMisses
+      }
+    };
+  }
+}
+
+module.exports = RealMarketDataService;
@@ -0,0 +1,87 @@
+const client = require('prom-client');
+
+// Prometheus metrics served on /metrics. Modules record into the metrics below; gauges
+// that mirror live state read it through sources registered by the server with setSource().
+const PREFIX = 'forex_bot_';
+const register = new client.Registry();
+const sources = {};
+
+client.collectDefaultMetrics({ register, prefix: PREFIX });
+
+const signalCycleDuration = new client.Histogram({
+  name: `${PREFIX}signal_cycle_duration_seconds`,
+  help: 'Duration of a signal generation cycle over all instruments',
+  buckets: [1, 5, 10, 20, 30, 60, 120, 300],
+  registers: [register]
+});
+
+const signalsGenerated = new client.Counter({
+  name: `${PREFIX}signals_generated_total`,
+  help: 'Signals stored, by symbol and signal type',
+  labelNames: ['symbol', 'signal'],
+  registers: [register]
+});
+
+const providerRequestDuration = new client.Histogram({
+  name: `${PREFIX}provider_request_duration_seconds`,
+  help: 'Latency of market data provider quote requests',
+  labelNames: ['provider', 'outcome'],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [register]
+});
+
+const providerErrors = new client.Counter({
+  name: `${PREFIX}provider_errors_total`,
+  help: 'Failed market data provider quote requests',
+  labelNames: ['provider'],
+  registers: [register]
+});
+
+const mockFallbacks = new client.Counter({
+  name: `${PREFIX}mock_fallbacks_total`,
+  help: 'Quotes served by the mock provider because no live provider answered',
+  labelNames: ['symbol'],
+  registers: [register]
+});
+
+const telegramSendFailures = new client.Counter({
+  name: `${PREFIX}telegram_send_failures_total`,
+  help: 'Telegram messages that could not be delivered',
+  registers: [register]
+});
+
+const websocketClients = new client.Gauge({
+  name: `${PREFIX}websocket_clients`,
+  help: 'Connected WebSocket clients',
+  registers: [register],
+  collect() {
+    if (sources.websocketClients) this.set(sources.websocketClients());
+  }
+});
+
+const paperEquity = new client.Gauge({
+  name: `${PREFIX}paper_equity`,
+  help: 'Paper account equity: balance plus unrealized P&L of open positions',
+  registers: [register],
+  collect() {
+    if (sources.paperEquity) this.set(sources.paperEquity());
+  }
+});
+
+// Live value behind a gauge: 'websocketClients' or 'paperEquity'
+const setSource = (name, fn) => {
+  sources[name] = fn;
+};
+
+module.exports = {
+  register,
+  setSource,
+  signalCycleDuration,
+  signalsGenerated,
+  providerRequestDuration,
+  providerErrors,
+  mockFallbacks,
+  telegramSendFailures,
+  websocketClients,
+  paperEquity
+};
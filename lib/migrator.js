@@ -0,0 +1,163 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+// Versioned schema migrations. Each file in migrations/ is named <version>_<name>.js and exports
+//   up    SQL string or async (client) => {}, applied by `migrate`
+//   down  SQL string or async (client) => {}, applied by `rollback` (optional)
+// Applied versions are recorded in `schema_migrations`. Every run holds a Postgres advisory lock,
+// so instances starting together apply each migration once; each migration runs in its own transaction.
+const DEFAULT_DIRECTORY = path.join(__dirname, '..', 'migrations');
+const FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+// Arbitrary key shared by every process migrating this database
+const LOCK_ID = 728491;
+
+class Migrator {
+  constructor(pool, { directory = DEFAULT_DIRECTORY, lockId = LOCK_ID, log = logger.child({ component: 'migrations' }) } = {}) {
+    this.pool = pool;
+    this.directory = directory;
+    this.lockId = lockId;
+    this.log = log;
+  }
+
+  // Migration files ordered by version
+  loadMigrations() {
+    const migrations = fs.readdirSync(this.directory)
+      .map(file => ({ file, match: FILE_PATTERN.exec(file) }))
+      .filter(({ match }) => match)
+      .map(({ file, match }) => {
+        const definition = require(path.join(this.directory, file));
+        if (!definition.up) {
+          throw new Error(`Migration ${file} has no "up"`);
+        }
+        return { version: parseInt(match[1], 10), name: match[2], file, up: definition.up, down: definition.down };
+      })
+      .sort((a, b) => a.version - b.version);
+
+    migrations.forEach((migration, i) => {
+      if (i > 0 && migrations[i - 1].version === migration.version) {
+        throw new Error(`Duplicate migration version ${migration.version}: ${migrations[i - 1].file}, ${migration.file}`);
+      }
+    });
+    return migrations;
+  }
+
+  async ensureTable(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name VARCHAR(200) NOT NULL,
+        applied_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+  }
+
+  async appliedVersions(client) {
+    const result = await client.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+    return result.rows;
+  }
+
+  // Run `fn` on a dedicated connection while holding the migration lock
+  async withLock(fn) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('SELECT pg_advisory_lock($1)', [this.lockId]);
+      try {
+        await this.ensureTable(client);
+        return await fn(client);
+      } finally {
+        await client.query('SELECT pg_advisory_unlock($1)', [this.lockId]);
+      }
+    } finally {
+      client.release();
+    }
+  }
+
+  async run(client, migration, direction) {
+    const step = migration[direction];
+    await client.query('BEGIN');
+    try {
+      if (typeof step === 'function') {
+        await step(client);
+      } else {
+        await client.query(step);
+      }
+
+      if (direction === 'up') {
+        await client.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [migration.version, migration.name]);
+      } else {
+        await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+      }
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      error.message = `Migration ${migration.file} (${direction}) failed: ${error.message}`;
+      throw error;
+    }
+  }
+
+  // Apply pending migrations up to and including `to` (default: all). Returns the applied migrations.
+  async migrate({ to = Infinity } = {}) {
+    const migrations = this.loadMigrations();
+    return this.withLock(async client => {
+      const applied = new Set((await this.appliedVersions(client)).map(row => row.version));
+      const pending = migrations.filter(m => !applied.has(m.version) && m.version <= to);
+
+      for (const migration of pending) {
+        this.log.info('Applying migration', { migration: migration.file });
+        await this.run(client, migration, 'up');
+      }
+      return pending.map(({ version, name }) => ({ version, name }));
+    });
+  }
+
+  // Revert the last `steps` applied migrations, or every migration above version `to`
+  async rollback({ steps = 1, to = null } = {}) {
+    const migrations = this.loadMigrations();
+    const byVersion = new Map(migrations.map(m => [m.version, m]));
+
+    return this.withLock(async client => {
+      const applied = (await this.appliedVersions(client)).map(row => row.version).reverse();
+      const targets = to === null ? applied.slice(0, steps) : applied.filter(version => version > to);
+
+      // Check every step first so a missing file or down does not leave a partial rollback
+      targets.forEach(version => {
+        const migration = byVersion.get(version);
+        if (!migration) throw new Error(`Migration file for applied version ${version} not found`);
+        if (!migration.down) throw new Error(`Migration ${migration.file} cannot be rolled back (no "down")`);
+      });
+
+      for (const version of targets) {
+        const migration = byVersion.get(version);
+        this.log.info('Reverting migration', { migration: migration.file });
+        await this.run(client, migration, 'down');
+      }
+      return targets.map(version => ({ version, name: byVersion.get(version).name }));
+    });
+  }
+
+  // Every known migration with its state; applied versions without a file are listed as missing
+  async status() {
+    const migrations = this.loadMigrations();
+    return this.withLock(async client => {
+      const applied = new Map((await this.appliedVersions(client)).map(row => [row.version, row]));
+      const rows = migrations.map(({ version, name }) => ({
+        version,
+        name,
+        state: applied.has(version) ? 'applied' : 'pending',
+        appliedAt: applied.has(version) ? applied.get(version).applied_at : null
+      }));
+
+      applied.forEach((row, version) => {
+        if (!migrations.some(m => m.version === version)) {
+          rows.push({ version, name: row.name, state: 'missing', appliedAt: row.applied_at });
+        }
+      });
+      return rows.sort((a, b) => a.version - b.version);
+    });
+  }
+}
+
+Migrator.LOCK_ID = LOCK_ID;
+
+module.exports = Migrator;
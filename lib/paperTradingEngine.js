@@ -0,0 +1,232 @@
+const EventEmitter = require('events');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'paper-trading' });
+
+// Paper Trading Engine with persistent positions in the `trades` table.
+// Emits 'opened' and 'closed' with the trade after each position change.
+const DEFAULT_OPTIONS = {
+  account: 'default',
+  initialBalance: 10000,
+  stopLossPct: 1,
+  takeProfitPct: 2
+};
+
+const toNumber = (value) => (value === null || value === undefined ? null : parseFloat(value));
+
+class PaperTradingEngine extends EventEmitter {
+  constructor(pool, options = {}) {
+    super();
+    this.pool = pool;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.accountId = null;
+    this.balance = this.options.initialBalance;
+    this.positions = new Map();
+  }
+
+  // Load the account balance and open positions so they survive restarts
+  async init() {
+    const account = await this.pool.query(
+      `INSERT INTO paper_accounts (name, initial_balance, balance)
+       VALUES ($1, $2, $2)
+       ON CONFLICT (name) DO UPDATE SET name = EXCLUDED.name
+       RETURNING id, balance`,
+      [this.options.account, this.options.initialBalance]
+    );
+    this.accountId = account.rows[0].id;
+    this.balance = toNumber(account.rows[0].balance);
+
+    const open = await this.pool.query(
+      `SELECT * FROM trades WHERE status = 'OPEN' AND account_id = $1 ORDER BY created_at`,
+      [this.accountId]
+    );
+    this.positions.clear();
+    open.rows.forEach(row => this.positions.set(row.id, PaperTradingEngine.formatTrade(row)));
+  }
+
+  static formatTrade(row) {
+    return {
+      id: row.id,
+      signalId: row.signal_id,
+      symbol: row.symbol,
+      type: row.signal_type,
+      status: row.status,
+      entryPrice: toNumber(row.entry_price),
+      quantity: toNumber(row.quantity),
+      stopLoss: toNumber(row.stop_loss),
+      targetPrice: toNumber(row.target_price),
+      currentPrice: toNumber(row.current_price),
+      unrealizedPnl: toNumber(row.unrealized_pnl) || 0,
+      exitPrice: toNumber(row.exit_price),
+      exitReason: row.exit_reason,
+      pnl: toNumber(row.pnl),
+      openedAt: row.created_at,
+      closedAt: row.closed_at
+    };
+  }
+
+  static directionSign(type) {
+    return type === 'BUY' ? 1 : -1;
+  }
+
+  static calculatePnl(position, price) {
+    return PaperTradingEngine.directionSign(position.type) * (price - position.entryPrice) * position.quantity;
+  }
+
+  getOpenPosition(symbol) {
+    for (const position of this.positions.values()) {
+      if (position.symbol === symbol) return position;
+    }
+    return null;
+  }
+
+  // Open a position for a BUY/SELL signal. `amount` is the notional in account currency.
+  // An open position in the same direction is kept; an opposite one is closed first.
+  async executeTrade(signal, amount = 1000) {
+    try {
+      if (signal.signal !== 'BUY' && signal.signal !== 'SELL') return null;
+
+      const existing = this.getOpenPosition(signal.symbol);
+      if (existing) {
+        if (existing.type === signal.signal) return null;
+        await this.closePosition(existing.id, signal.price, 'OPPOSITE_SIGNAL');
+      }
+
+      const sign = PaperTradingEngine.directionSign(signal.signal);
+      const entryPrice = signal.price;
+      const quantity = amount / entryPrice;
+      const stopLoss = signal.stopLoss || entryPrice * (1 - sign * this.options.stopLossPct / 100);
+      const targetPrice = signal.targetPrice || entryPrice * (1 + sign * this.options.takeProfitPct / 100);
+
+      const result = await this.pool.query(
+        `INSERT INTO trades (account_id, signal_id, symbol, signal_type, entry_price, quantity, target_price, stop_loss, current_price, unrealized_pnl, status)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $5, 0, 'OPEN')
+         RETURNING *`,
+        [this.accountId, signal.id || null, signal.symbol, signal.signal, entryPrice, quantity, targetPrice, stopLoss]
+      );
+
+      const position = PaperTradingEngine.formatTrade(result.rows[0]);
+      this.positions.set(position.id, position);
+      this.emit('opened', position);
+      return position;
+    } catch (error) {
+      log.error('Trade execution failed', { symbol: signal.symbol, error });
+      return null;
+    }
+  }
+
+  // Mark a symbol's open position to the latest price and close it on stop-loss or take-profit
+  async updateMarketPrice(symbol, price) {
+    const position = this.getOpenPosition(symbol);
+    if (!position) return null;
+
+    const isLong = position.type === 'BUY';
+    if (position.stopLoss !== null && (isLong ? price <= position.stopLoss : price >= position.stopLoss)) {
+      return this.closePosition(position.id, price, 'STOP_LOSS');
+    }
+    if (position.targetPrice !== null && (isLong ? price >= position.targetPrice : price <= position.targetPrice)) {
+      return this.closePosition(position.id, price, 'TAKE_PROFIT');
+    }
+
+    position.currentPrice = price;
+    position.unrealizedPnl = PaperTradingEngine.calculatePnl(position, price);
+    await this.pool.query(
+      `UPDATE trades SET current_price = $2, unrealized_pnl = $3 WHERE id = $1 AND status = 'OPEN'`,
+      [position.id, price, position.unrealizedPnl]
+    );
+    return position;
+  }
+
+  // Close an open position and book the realized P&L against the account balance
+  async closePosition(id, price, reason = 'MANUAL') {
+    const position = this.positions.get(id);
+    if (!position) return null;
+
+    const pnl = PaperTradingEngine.calculatePnl(position, price);
+    const client = await this.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+      const result = await client.query(
+        `UPDATE trades
+         SET status = 'CLOSED', exit_price = $2, current_price = $2, pnl = $3,
+             unrealized_pnl = 0, exit_reason = $4, closed_at = NOW()
+         WHERE id = $1 AND status = 'OPEN'
+         RETURNING *`,
+        [id, price, pnl, reason]
+      );
+
+      // Another caller closed it first
+      if (result.rows.length === 0) {
+        await client.query('ROLLBACK');
+        this.positions.delete(id);
+        return null;
+      }
+
+      const account = await client.query(
+        `UPDATE paper_accounts SET balance = balance + $2, updated_at = NOW() WHERE id = $1 RETURNING balance`,
+        [this.accountId, pnl]
+      );
+      await client.query('COMMIT');
+
+      this.balance = toNumber(account.rows[0].balance);
+      this.positions.delete(id);
+
+      const trade = PaperTradingEngine.formatTrade(result.rows[0]);
+      this.emit('closed', trade);
+      return trade;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  getOpenPositions() {
+    return Array.from(this.positions.values());
+  }
+
+  async getTradeHistory(limit = 100) {
+    const result = await this.pool.query(
+      `SELECT * FROM trades WHERE account_id = $1 ORDER BY created_at DESC LIMIT $2`,
+      [this.accountId, limit]
+    );
+    return result.rows.map(PaperTradingEngine.formatTrade);
+  }
+
+  getUnrealizedPnl() {
+    return this.getOpenPositions().reduce((sum, p) => sum + (p.unrealizedPnl || 0), 0);
+  }
+
+  getEquity() {
+    return this.balance + this.getUnrealizedPnl();
+  }
+
+  async getPortfolio() {
+    const stats = await this.pool.query(
+      `SELECT
+         COUNT(*) AS total_trades,
+         COUNT(*) FILTER (WHERE status = 'CLOSED' AND pnl > 0) AS winning_trades,
+         COALESCE(SUM(pnl) FILTER (WHERE status = 'CLOSED'), 0) AS total_pnl
+       FROM trades
+       WHERE account_id = $1`,
+      [this.accountId]
+    );
+
+    const row = stats.rows[0];
+    const unrealizedPnl = this.getUnrealizedPnl();
+
+    return {
+      balance: this.balance,
+      equity: this.getEquity(),
+      openPositions: this.positions.size,
+      totalTrades: parseInt(row.total_trades),
+      winningTrades: parseInt(row.winning_trades),
+      totalPnl: toNumber(row.total_pnl),
+      unrealizedPnl
+    };
+  }
+}
+
+module.exports = PaperTradingEngine;
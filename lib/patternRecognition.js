@@ -0,0 +1,206 @@
+// Candlestick and chart pattern detection on OHLC bars.
+//
+// Candlestick patterns are read from the latest bars: bullish/bearish engulfing, pin bars
+// (hammer and shooting star), doji, morning/evening star and inside bar.
+// Structural patterns come from swing points: support and resistance levels where swings
+// cluster, double tops and bottoms confirmed by a close through the neckline, and breakouts
+// of the nearest level on the latest bar.
+//
+// Every detection carries a direction, the points it adds to the signal score and a reason.
+const DEFAULT_PATTERN_PARAMS = {
+  swingLookback: 3, // bars on each side a swing high/low must exceed
+  levelTolerancePct: 0.1, // swings this close (percent of price) form one level
+  doubleMinBars: 5, // minimum bars between the two peaks of a double top/bottom
+  candlePoints: 1,
+  strongCandlePoints: 2, // engulfing and morning/evening star
+  structurePoints: 2,
+  maxLevels: 3 // support and resistance levels reported on each side
+};
+
+const round = (value) => Math.round(value * 100000) / 100000;
+
+const body = (c) => Math.abs(c.close - c.open);
+const range = (c) => c.high - c.low;
+const upperWick = (c) => c.high - Math.max(c.open, c.close);
+const lowerWick = (c) => Math.min(c.open, c.close) - c.low;
+const isBullish = (c) => c.close > c.open;
+const isBearish = (c) => c.close < c.open;
+
+class PatternRecognition {
+  // Zip parallel series into bars; opens are optional
+  static toBars({ opens, highs, lows, closes }) {
+    return closes.map((close, i) => ({
+      open: opens ? opens[i] : null,
+      high: highs[i],
+      low: lows[i],
+      close
+    }));
+  }
+
+  // Bearish detections score negative points, neutral ones none
+  static detection(name, type, direction, points, reason, extra = {}) {
+    const signed = { bullish: points, bearish: -points, neutral: 0 }[direction];
+    return { name, type, direction, points: signed, reason, ...extra };
+  }
+
+  // Patterns completed by the latest bar
+  static detectCandlesticks(bars, params = {}) {
+    const p = { ...DEFAULT_PATTERN_PARAMS, ...params };
+    const found = [];
+    if (bars.length < 2 || bars[bars.length - 1].open === null) return found;
+
+    const [c1, c2, c3] = bars.slice(-3).length === 3 ? bars.slice(-3) : [null, ...bars.slice(-2)];
+    const last = c3;
+    const prev = c2;
+    const lastRange = range(last);
+    if (lastRange <= 0) return found;
+
+    if (isBearish(prev) && isBullish(last) && last.open <= prev.close && last.close >= prev.open && body(last) > body(prev)) {
+      found.push(this.detection('bullish_engulfing', 'candlestick', 'bullish', p.strongCandlePoints, 'Bullish engulfing candle'));
+    } else if (isBullish(prev) && isBearish(last) && last.open >= prev.close && last.close <= prev.open && body(last) > body(prev)) {
+      found.push(this.detection('bearish_engulfing', 'candlestick', 'bearish', p.strongCandlePoints, 'Bearish engulfing candle'));
+    }
+
+    if (body(last) <= lastRange * 0.1) {
+      found.push(this.detection('doji', 'candlestick', 'neutral', 0, 'Doji: indecision'));
+    } else if (lowerWick(last) >= body(last) * 2 && lowerWick(last) >= lastRange * 0.6) {
+      found.push(this.detection('hammer', 'candlestick', 'bullish', p.candlePoints, 'Hammer / bullish pin bar rejecting lower prices'));
+    } else if (upperWick(last) >= body(last) * 2 && upperWick(last) >= lastRange * 0.6) {
+      found.push(this.detection('shooting_star', 'candlestick', 'bearish', p.candlePoints, 'Shooting star / bearish pin bar rejecting higher prices'));
+    }
+
+    if (c1 && c1.open !== null && body(c1) > 0) {
+      const midpoint = (c1.open + c1.close) / 2;
+      const smallMiddle = body(c2) <= body(c1) * 0.3;
+      if (isBearish(c1) && smallMiddle && isBullish(c3) && c3.close > midpoint) {
+        found.push(this.detection('morning_star', 'candlestick', 'bullish', p.strongCandlePoints, 'Morning star reversal'));
+      } else if (isBullish(c1) && smallMiddle && isBearish(c3) && c3.close < midpoint) {
+        found.push(this.detection('evening_star', 'candlestick', 'bearish', p.strongCandlePoints, 'Evening star reversal'));
+      }
+    }
+
+    if (last.high < prev.high && last.low > prev.low) {
+      found.push(this.detection('inside_bar', 'candlestick', 'neutral', 0, 'Inside bar: consolidation inside the previous range'));
+    }
+    return found;
+  }
+
+  // Confirmed swing highs and lows; the last `lookback` bars cannot be confirmed yet.
+  // Of several equal extremes in a row the first one is the swing.
+  static findSwings(bars, lookback = DEFAULT_PATTERN_PARAMS.swingLookback) {
+    const highs = [];
+    const lows = [];
+    for (let i = lookback; i < bars.length - lookback; i++) {
+      const before = bars.slice(i - lookback, i);
+      const after = bars.slice(i + 1, i + lookback + 1);
+      const { high, low } = bars[i];
+      if (before.every(bar => bar.high < high) && after.every(bar => bar.high <= high)) highs.push({ index: i, price: high });
+      if (before.every(bar => bar.low > low) && after.every(bar => bar.low >= low)) lows.push({ index: i, price: low });
+    }
+    return { highs, lows };
+  }
+
+  // Cluster swing prices into levels in price order; touches counts the swings in a level
+  static clusterLevels(points, tolerancePct) {
+    const levels = [];
+    [...points].sort((a, b) => a.price - b.price).forEach(point => {
+      const level = levels[levels.length - 1];
+      if (level && Math.abs(point.price - level.price) / level.price * 100 <= tolerancePct) {
+        level.prices.push(point.price);
+        level.price = level.prices.reduce((sum, price) => sum + price, 0) / level.prices.length;
+      } else {
+        levels.push({ price: point.price, prices: [point.price] });
+      }
+    });
+    return levels.map(level => ({ price: level.price, touches: level.prices.length }));
+  }
+
+  // Support below and resistance above `price`, nearest first
+  static keyLevels(swings, price, params = {}) {
+    const p = { ...DEFAULT_PATTERN_PARAMS, ...params };
+    const levels = this.clusterLevels([...swings.highs, ...swings.lows], p.levelTolerancePct);
+    const format = level => ({ price: round(level.price), touches: level.touches });
+    return {
+      support: levels.filter(l => l.price < price).sort((a, b) => b.price - a.price).slice(0, p.maxLevels).map(format),
+      resistance: levels.filter(l => l.price > price).sort((a, b) => a.price - b.price).slice(0, p.maxLevels).map(format)
+    };
+  }
+
+  static detectDoubles(bars, swings, params = {}) {
+    const p = { ...DEFAULT_PATTERN_PARAMS, ...params };
+    const found = [];
+    const close = bars[bars.length - 1].close;
+    const close1 = bars.length > 1 ? bars[bars.length - 2].close : close;
+    const near = (a, b) => Math.abs(a - b) / b * 100 <= p.levelTolerancePct;
+
+    const [top1, top2] = swings.highs.slice(-2);
+    if (top2 && top2.index - top1.index >= p.doubleMinBars && near(top1.price, top2.price)) {
+      const neckline = Math.min(...bars.slice(top1.index, top2.index + 1).map(bar => bar.low));
+      // Only the bar that closes through the neckline completes the pattern
+      if (close < neckline && close1 >= neckline) {
+        found.push(this.detection('double_top', 'structure', 'bearish', p.structurePoints,
+          `Double top at ${round(top2.price)} confirmed below neckline ${round(neckline)}`, { level: round(neckline) }));
+      }
+    }
+
+    const [bottom1, bottom2] = swings.lows.slice(-2);
+    if (bottom2 && bottom2.index - bottom1.index >= p.doubleMinBars && near(bottom1.price, bottom2.price)) {
+      const neckline = Math.max(...bars.slice(bottom1.index, bottom2.index + 1).map(bar => bar.high));
+      if (close > neckline && close1 <= neckline) {
+        found.push(this.detection('double_bottom', 'structure', 'bullish', p.structurePoints,
+          `Double bottom at ${round(bottom2.price)} confirmed above neckline ${round(neckline)}`, { level: round(neckline) }));
+      }
+    }
+    return found;
+  }
+
+  // The latest bar closing through the nearest level the previous bar closed inside of
+  static detectBreakouts(bars, swings, params = {}) {
+    const p = { ...DEFAULT_PATTERN_PARAMS, ...params };
+    if (bars.length < 2) return [];
+
+    const close = bars[bars.length - 1].close;
+    const previous = bars[bars.length - 2].close;
+    const levels = this.keyLevels(swings, previous, p);
+    const found = [];
+
+    const resistance = levels.resistance[0];
+    if (resistance && close > resistance.price) {
+      found.push(this.detection('breakout', 'structure', 'bullish', p.structurePoints,
+        `Breakout above resistance ${resistance.price}`, { level: resistance.price }));
+    }
+    const support = levels.support[0];
+    if (support && close < support.price) {
+      found.push(this.detection('breakdown', 'structure', 'bearish', p.structurePoints,
+        `Breakdown below support ${support.price}`, { level: support.price }));
+    }
+    return found;
+  }
+
+  // Everything detected on the latest bar plus the key levels around the current price.
+  // `points` is the net score of all detections.
+  static analyze({ opens = null, highs, lows, closes }, currentPrice, params = {}) {
+    const p = { ...DEFAULT_PATTERN_PARAMS, ...params };
+    const bars = this.toBars({ opens, highs, lows, closes });
+    if (bars.length === 0) {
+      return { patterns: [], levels: { support: [], resistance: [] }, points: 0 };
+    }
+
+    const swings = this.findSwings(bars, p.swingLookback);
+    const patterns = [
+      ...this.detectCandlesticks(bars, p),
+      ...this.detectDoubles(bars, swings, p),
+      ...this.detectBreakouts(bars, swings, p)
+    ];
+
+    return {
+      patterns,
+      levels: this.keyLevels(swings, currentPrice, p),
+      points: patterns.reduce((sum, pattern) => sum + pattern.points, 0)
+    };
+  }
+}
+
+PatternRecognition.DEFAULT_PATTERN_PARAMS = DEFAULT_PATTERN_PARAMS;
+
+module.exports = PatternRecognition;
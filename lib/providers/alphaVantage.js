@@ -0,0 +1,76 @@
+const QuoteProvider = require('./quoteProvider');
+
+// Alpha Vantage quotes currency pairs and equities through different functions
+class AlphaVantageProvider extends QuoteProvider {
+  constructor(options = {}) {
+    super('alphavantage', {
+      baseUrl: 'https://www.alphavantage.co',
+      rateLimit: 5,
+      ...options
+    });
+  }
+
+  async fetchQuote(symbol) {
+    const code = this.formatSymbol(symbol);
+    return code.includes('/') ? this.fetchExchangeRate(symbol, code) : this.fetchGlobalQuote(symbol, code);
+  }
+
+  // Throttling and bad-key responses come back as 200 with a Note/Information/Error Message field
+  checkResponse(data, symbol) {
+    const message = data && (data.Note || data.Information || data['Error Message']);
+    if (!data || message) {
+      throw new Error(`alphavantage error for ${symbol}: ${message || 'empty response'}`);
+    }
+  }
+
+  async fetchExchangeRate(symbol, code) {
+    const [from, to] = code.split('/');
+    const data = await this.request('/query', {
+      function: 'CURRENCY_EXCHANGE_RATE',
+      from_currency: from,
+      to_currency: to,
+      apikey: this.apiKey
+    });
+    this.checkResponse(data, symbol);
+
+    const rate = data['Realtime Currency Exchange Rate'];
+    if (!rate) {
+      throw new Error(`alphavantage returned no rate for ${symbol}`);
+    }
+
+    const price = parseFloat(rate['5. Exchange Rate']);
+    return {
+      price,
+      change: null,
+      changePercent: null,
+      high: parseFloat(rate['9. Ask Price']) || price,
+      low: parseFloat(rate['8. Bid Price']) || price,
+      open: null
+    };
+  }
+
+  async fetchGlobalQuote(symbol, code) {
+    const data = await this.request('/query', {
+      function: 'GLOBAL_QUOTE',
+      symbol: code,
+      apikey: this.apiKey
+    });
+    this.checkResponse(data, symbol);
+
+    const quote = data['Global Quote'];
+    if (!quote || !quote['05. price']) {
+      throw new Error(`alphavantage returned no quote for ${symbol}`);
+    }
+
+    return {
+      price: parseFloat(quote['05. price']),
+      change: parseFloat(quote['09. change']),
+      changePercent: parseFloat(quote['10. change percent']),
+      high: parseFloat(quote['03. high']),
+      low: parseFloat(quote['04. low']),
+      open: parseFloat(quote['02. open'])
+    };
+  }
+}
+
+module.exports = AlphaVantageProvider;
@@ -0,0 +1,35 @@
+const QuoteProvider = require('./quoteProvider');
+
+// Forex and crypto need exchange-prefixed codes such as "OANDA:EUR_USD",
+// set per instrument under providerSymbols.finnhub
+class FinnhubProvider extends QuoteProvider {
+  constructor(options = {}) {
+    super('finnhub', {
+      baseUrl: 'https://finnhub.io/api/v1',
+      rateLimit: 60,
+      ...options
+    });
+  }
+
+  async fetchQuote(symbol) {
+    const data = await this.request('/quote', {
+      symbol: this.formatSymbol(symbol),
+      token: this.apiKey
+    });
+
+    if (!data || !data.c) {
+      throw new Error(`finnhub returned no quote for ${symbol}`);
+    }
+
+    return {
+      price: data.c,
+      change: data.d,
+      changePercent: data.dp,
+      high: data.h,
+      low: data.l,
+      open: data.o
+    };
+  }
+}
+
+module.exports = FinnhubProvider;
@@ -0,0 +1,51 @@
+const FinnhubProvider = require('./finnhub');
+const TwelveDataProvider = require('./twelveData');
+const AlphaVantageProvider = require('./alphaVantage');
+
+const PROVIDERS = {
+  finnhub: { Provider: FinnhubProvider, env: 'FINNHUB' },
+  twelvedata: { Provider: TwelveDataProvider, env: 'TWELVEDATA' },
+  alphavantage: { Provider: AlphaVantageProvider, env: 'ALPHAVANTAGE' }
+};
+
+const DEFAULT_ORDER = 'finnhub,twelvedata,alphavantage';
+
+// Build the failover chain from environment settings:
+//   MARKET_DATA_PROVIDERS   ordered, comma-separated provider names
+//   <NAME>_API_KEY          API key (e.g. FINNHUB_API_KEY)
+//   <NAME>_BASE_URL         override the API host, e.g. a local HTTP stub
+//   <NAME>_RATE_LIMIT       requests per minute
+//   MARKET_DATA_TIMEOUT_MS  per-request timeout
+// `instruments` supplies each provider's symbol codes.
+const createProviders = (env = process.env, { instruments = null } = {}) => {
+  const order = (env.MARKET_DATA_PROVIDERS || DEFAULT_ORDER)
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+
+  return order.map(name => {
+    const entry = PROVIDERS[name];
+    if (!entry) {
+      throw new Error(`Unknown market data provider: ${name}`);
+    }
+
+    const options = {
+      apiKey: env[`${entry.env}_API_KEY`],
+      instruments,
+      timeout: parseInt(env.MARKET_DATA_TIMEOUT_MS, 10) || 5000
+    };
+    if (env[`${entry.env}_BASE_URL`]) options.baseUrl = env[`${entry.env}_BASE_URL`];
+    if (env[`${entry.env}_RATE_LIMIT`]) options.rateLimit = parseInt(env[`${entry.env}_RATE_LIMIT`], 10);
+
+    return new entry.Provider(options);
+  });
+};
+
+module.exports = {
+  createProviders,
+  FinnhubProvider,
+  TwelveDataProvider,
+  AlphaVantageProvider,
+  MockProvider: require('./mock'),
+  QuoteProvider: require('./quoteProvider')
+};
@@ -0,0 +1,124 @@
+const axios = require('axios');
+const RateLimiter = require('./rateLimiter');
+
+// Consecutive failures before a provider is benched, and for how long
+const FAILURE_THRESHOLD = 3;
+const COOLDOWN_MS = 60 * 1000;
+
+// Thrown when a provider is skipped without making a request (benched or rate limited)
+class ProviderUnavailableError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ProviderUnavailableError';
+  }
+}
+
+// Base class for market data adapters. Subclasses implement fetchQuote(symbol)
+// and return { price, change, changePercent, high, low, open, timestamp }.
+// Provider-specific symbol codes come from the instrument store.
+class QuoteProvider {
+  constructor(name, { apiKey, baseUrl, timeout = 5000, rateLimit = 60, instruments = null } = {}) {
+    this.name = name;
+    this.apiKey = apiKey;
+    this.baseUrl = baseUrl;
+    this.timeout = timeout;
+    this.instruments = instruments;
+    this.limiter = new RateLimiter(rateLimit);
+    this.stats = {
+      requests: 0,
+      successes: 0,
+      failures: 0,
+      rateLimited: 0,
+      consecutiveFailures: 0,
+      lastLatencyMs: null,
+      lastSuccessAt: null,
+      lastFailureAt: null,
+      lastError: null
+    };
+    this.benchedUntil = 0;
+  }
+
+  isConfigured() {
+    return Boolean(this.apiKey);
+  }
+
+  formatSymbol(symbol) {
+    return (this.instruments && this.instruments.providerSymbol(symbol, this.name)) || symbol;
+  }
+
+  async request(path, params) {
+    const response = await axios.get(`${this.baseUrl}${path}`, { params, timeout: this.timeout });
+    return response.data;
+  }
+
+  // Returns a normalized quote, or throws when the provider is unavailable or the call fails
+  async getQuote(symbol) {
+    if (!this.isConfigured()) {
+      throw new Error(`${this.name} is not configured`);
+    }
+    if (Date.now() < this.benchedUntil) {
+      throw new ProviderUnavailableError(`${this.name} is cooling down after repeated failures`);
+    }
+    if (!this.limiter.tryAcquire()) {
+      this.stats.rateLimited++;
+      throw new ProviderUnavailableError(`${this.name} rate limit reached`);
+    }
+
+    const started = Date.now();
+    this.stats.requests++;
+
+    try {
+      const quote = await this.fetchQuote(symbol);
+      if (!quote || !isFinite(quote.price) || quote.price <= 0) {
+        throw new Error(`${this.name} returned no price for ${symbol}`);
+      }
+
+      this.stats.successes++;
+      this.stats.consecutiveFailures = 0;
+      this.stats.lastSuccessAt = new Date().toISOString();
+      return {
+        ...quote,
+        timestamp: quote.timestamp || new Date().toISOString(),
+        source: this.name
+      };
+    } catch (error) {
+      this.stats.failures++;
+      this.stats.consecutiveFailures++;
+      this.stats.lastFailureAt = new Date().toISOString();
+      this.stats.lastError = error.message;
+      if (this.stats.consecutiveFailures >= FAILURE_THRESHOLD) {
+        this.benchedUntil = Date.now() + COOLDOWN_MS;
+      }
+      throw error;
+    } finally {
+      this.stats.lastLatencyMs = Date.now() - started;
+    }
+  }
+
+  getHealth() {
+    let status = 'healthy';
+    if (!this.isConfigured()) {
+      status = 'unconfigured';
+    } else if (Date.now() < this.benchedUntil) {
+      status = 'down';
+    } else if (this.stats.consecutiveFailures > 0) {
+      status = 'degraded';
+    }
+
+    return {
+      name: this.name,
+      status,
+      configured: this.isConfigured(),
+      baseUrl: this.baseUrl,
+      timeoutMs: this.timeout,
+      rateLimitPerMinute: this.limiter.limit,
+      rateLimitRemaining: this.limiter.remaining(),
+      benchedUntil: this.benchedUntil > Date.now() ? new Date(this.benchedUntil).toISOString() : null,
+      ...this.stats
+    };
+  }
+}
+
+QuoteProvider.ProviderUnavailableError = ProviderUnavailableError;
+
+module.exports = QuoteProvider;
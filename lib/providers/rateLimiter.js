@@ -0,0 +1,30 @@
+// Sliding-window limiter: at most `limit` calls per `intervalMs`
+class RateLimiter {
+  constructor(limit, intervalMs = 60000) {
+    this.limit = limit;
+    this.intervalMs = intervalMs;
+    this.calls = [];
+  }
+
+  prune(now) {
+    while (this.calls.length && now - this.calls[0] >= this.intervalMs) {
+      this.calls.shift();
+    }
+  }
+
+  tryAcquire(now = Date.now()) {
+    if (!this.limit) return true;
+    this.prune(now);
+    if (this.calls.length >= this.limit) return false;
+    this.calls.push(now);
+    return true;
+  }
+
+  remaining(now = Date.now()) {
+    if (!this.limit) return null;
+    this.prune(now);
+    return this.limit - this.calls.length;
+  }
+}
+
+module.exports = RateLimiter;
@@ -0,0 +1,36 @@
+const QuoteProvider = require('./quoteProvider');
+
+// Twelve Data accepts our "EUR/USD" style symbols as they are
+class TwelveDataProvider extends QuoteProvider {
+  constructor(options = {}) {
+    super('twelvedata', {
+      baseUrl: 'https://api.twelvedata.com',
+      rateLimit: 8,
+      ...options
+    });
+  }
+
+  async fetchQuote(symbol) {
+    const data = await this.request('/quote', {
+      symbol: this.formatSymbol(symbol),
+      apikey: this.apiKey
+    });
+
+    if (!data || data.status === 'error') {
+      throw new Error(`twelvedata error for ${symbol}: ${(data && data.message) || 'empty response'}`);
+    }
+
+    // `timestamp` in the response is the start of the daily bar, not the time of the price, so it
+    // is left out and the quote gets the time it was received
+    return {
+      price: parseFloat(data.close),
+      change: parseFloat(data.change),
+      changePercent: parseFloat(data.percent_change),
+      high: parseFloat(data.high),
+      low: parseFloat(data.low),
+      open: parseFloat(data.open)
+    };
+  }
+}
+
+module.exports = TwelveDataProvider;
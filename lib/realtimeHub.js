@@ -0,0 +1,211 @@
+const WebSocket = require('ws');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'websocket' });
+
+// JSON protocol over a WebSocket mounted on the HTTP server.
+//
+// Client -> server:
+//   { "type": "subscribe", "channels": ["prices", "signals"], "symbols": ["EUR/USD"] }
+//   { "type": "unsubscribe", "channels": ["prices"], "symbols": ["EUR/USD"] }
+//   { "type": "ping" }
+// Omitting "symbols" (or passing "*") means every symbol. The portfolio channel is not symbol-scoped.
+// A channel subscribed for every symbol is unsubscribed as a whole: unsubscribing some of its
+// symbols is refused with an error and leaves every subscription as it was.
+//
+// Server -> client:
+//   welcome, subscribed, unsubscribed, snapshot, pong, error
+//   price_update (prices), new_signal (signals), trade_execution and order_update (trades),
+//   portfolio_update (portfolio), alert_triggered (alerts)
+const CHANNELS = ['prices', 'signals', 'trades', 'portfolio', 'alerts'];
+const ALL_SYMBOLS = '*';
+const HEARTBEAT_INTERVAL_MS = 30000;
+
+class RealtimeHub {
+  constructor({ server, path = '/ws', normalizeSymbol = (s) => s, getSnapshot = null, heartbeatMs = HEARTBEAT_INTERVAL_MS }) {
+    this.normalizeSymbol = normalizeSymbol;
+    this.getSnapshot = getSnapshot;
+    this.heartbeatMs = heartbeatMs;
+    this.clients = new Map();
+    this.wss = new WebSocket.Server({ server, path });
+
+    this.wss.on('connection', (ws) => this.handleConnection(ws));
+    this.heartbeat = setInterval(() => this.checkHeartbeats(), heartbeatMs);
+    this.wss.on('close', () => clearInterval(this.heartbeat));
+  }
+
+  handleConnection(ws) {
+    const client = { alive: true, subscriptions: new Map() };
+    this.clients.set(ws, client);
+    log.info('WebSocket client connected', { clients: this.clients.size });
+
+    ws.on('pong', () => {
+      client.alive = true;
+    });
+
+    ws.on('message', (raw) => {
+      client.alive = true;
+      this.handleMessage(ws, client, raw).catch(error => {
+        log.error('WebSocket message handling failed', { error: error.message });
+        this.send(ws, { type: 'error', error: 'Internal error' });
+      });
+    });
+
+    ws.on('close', () => {
+      this.clients.delete(ws);
+      log.info('WebSocket client disconnected', { clients: this.clients.size });
+    });
+
+    ws.on('error', (error) => {
+      log.warn('WebSocket client error', { error: error.message });
+    });
+
+    this.send(ws, { type: 'welcome', channels: CHANNELS, heartbeat_ms: this.heartbeatMs });
+  }
+
+  // Terminate clients that did not answer the previous ping
+  checkHeartbeats() {
+    this.clients.forEach((client, ws) => {
+      if (!client.alive) {
+        this.clients.delete(ws);
+        ws.terminate();
+        return;
+      }
+      client.alive = false;
+      ws.ping();
+    });
+  }
+
+  async handleMessage(ws, client, raw) {
+    let message;
+    try {
+      message = JSON.parse(raw.toString());
+    } catch (error) {
+      return this.send(ws, { type: 'error', error: 'Messages must be valid JSON' });
+    }
+
+    if (message.type === 'ping') {
+      return this.send(ws, { type: 'pong', timestamp: new Date().toISOString() });
+    }
+
+    if (message.type !== 'subscribe' && message.type !== 'unsubscribe') {
+      return this.send(ws, { type: 'error', error: `Unknown message type: ${message.type}` });
+    }
+
+    const parsed = this.parseSubscription(message);
+    if (parsed.error) {
+      return this.send(ws, { type: 'error', error: parsed.error });
+    }
+
+    if (message.type === 'unsubscribe') {
+      const error = this.unsubscribe(client, parsed.channels, parsed.symbols);
+      if (error) return this.send(ws, { type: 'error', error });
+      return this.send(ws, { type: 'unsubscribed', channels: parsed.channels, symbols: parsed.symbols });
+    }
+
+    this.subscribe(client, parsed.channels, parsed.symbols);
+    this.send(ws, { type: 'subscribed', channels: parsed.channels, symbols: parsed.symbols });
+
+    if (this.getSnapshot) {
+      for (const channel of parsed.channels) {
+        const data = await this.getSnapshot(channel, parsed.symbols === ALL_SYMBOLS ? null : parsed.symbols);
+        this.send(ws, { type: 'snapshot', channel, data });
+      }
+    }
+  }
+
+  parseSubscription(message) {
+    const channels = message.channels || (message.channel ? [message.channel] : CHANNELS);
+    if (!Array.isArray(channels) || channels.length === 0) {
+      return { error: 'channels must be a non-empty array' };
+    }
+    const unknown = channels.find(c => !CHANNELS.includes(c));
+    if (unknown) {
+      return { error: `Unknown channel: ${unknown}` };
+    }
+
+    const requested = message.symbols || (message.symbol ? [message.symbol] : ALL_SYMBOLS);
+    if (requested === ALL_SYMBOLS) {
+      return { channels, symbols: ALL_SYMBOLS };
+    }
+    if (!Array.isArray(requested)) {
+      return { error: 'symbols must be an array or "*"' };
+    }
+
+    const symbols = [];
+    for (const raw of requested) {
+      const symbol = this.normalizeSymbol(raw);
+      if (!symbol) {
+        return { error: `Unknown symbol: ${raw}` };
+      }
+      symbols.push(symbol);
+    }
+    return { channels, symbols };
+  }
+
+  subscribe(client, channels, symbols) {
+    channels.forEach(channel => {
+      if (symbols === ALL_SYMBOLS || channel === 'portfolio') {
+        client.subscriptions.set(channel, ALL_SYMBOLS);
+        return;
+      }
+      const current = client.subscriptions.get(channel);
+      if (current === ALL_SYMBOLS) return;
+      const set = current || new Set();
+      symbols.forEach(symbol => set.add(symbol));
+      client.subscriptions.set(channel, set);
+    });
+  }
+
+  // Returns an error message, or null once the subscriptions are removed
+  unsubscribe(client, channels, symbols) {
+    if (symbols !== ALL_SYMBOLS) {
+      const wildcard = channels.find(c => c !== 'portfolio' && client.subscriptions.get(c) === ALL_SYMBOLS);
+      if (wildcard) {
+        return `${wildcard} is subscribed for every symbol; unsubscribe the whole channel instead`;
+      }
+    }
+
+    channels.forEach(channel => {
+      const current = client.subscriptions.get(channel);
+      if (!current) return;
+      if (symbols === ALL_SYMBOLS || channel === 'portfolio') {
+        client.subscriptions.delete(channel);
+        return;
+      }
+      symbols.forEach(symbol => current.delete(symbol));
+      if (current.size === 0) client.subscriptions.delete(channel);
+    });
+    return null;
+  }
+
+  isSubscribed(client, channel, symbol) {
+    const subscription = client.subscriptions.get(channel);
+    if (!subscription) return false;
+    return subscription === ALL_SYMBOLS || !symbol || subscription.has(symbol);
+  }
+
+  send(ws, message) {
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify(message));
+    }
+  }
+
+  // Deliver an event to every client subscribed to the channel and symbol
+  publish(channel, symbol, message) {
+    const payload = JSON.stringify({ ...message, channel, symbol: symbol || undefined });
+    this.clients.forEach((client, ws) => {
+      if (ws.readyState === WebSocket.OPEN && this.isSubscribed(client, channel, symbol)) {
+        ws.send(payload);
+      }
+    });
+  }
+
+  get size() {
+    return this.clients.size;
+  }
+}
+
+RealtimeHub.CHANNELS = CHANNELS;
+
+module.exports = RealtimeHub;
@@ -0,0 +1,240 @@
+const AdvancedTechnicalAnalysis = require('./technicalAnalysis');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'risk' });
+
+// Sits between signal generation and the paper engine: sizes positions from equity at risk and
+// an ATR stop, and rejects trades that would break the position, exposure or daily loss limits.
+// Notional follows the engine's convention of quantity * price in account currency.
+// Positions held on the exchange (`livePositions`) count toward the position and exposure limits.
+const DEFAULT_OPTIONS = {
+  riskPerTradePct: 1,
+  atrPeriod: 14,
+  atrStopMultiplier: 2,
+  rewardRiskRatio: 2,
+  maxPositionPct: 200,
+  maxOpenPositions: 5,
+  maxCurrencyExposurePct: 400,
+  dailyLossLimitPct: 3
+};
+
+const toNumber = (value) => (value === null || value === undefined ? null : parseFloat(value));
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+// Trading days run midnight to midnight UTC, for the pause and the daily loss alike
+const tradingDay = (now = new Date()) => now.toISOString().slice(0, 10);
+const tradingDayStart = (now = new Date()) => new Date(`${tradingDay(now)}T00:00:00Z`);
+
+class RiskManager {
+  constructor(pool, tradingEngine, { livePositions = null, ...options } = {}) {
+    this.pool = pool;
+    this.tradingEngine = tradingEngine;
+    this.livePositions = livePositions;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.pausedOn = null;
+  }
+
+  // Signed notional per currency: buying EUR/USD is long EUR and short USD.
+  // Symbols without a currency pair count as exposure to the instrument itself.
+  static currencyLegs(symbol, type, notional) {
+    const sign = type === 'BUY' ? 1 : -1;
+    const [base, quote] = symbol.split('/');
+    const legs = { [base]: sign * notional };
+    if (quote) legs[quote] = (legs[quote] || 0) - sign * notional;
+    return legs;
+  }
+
+  // Paper positions plus positions on the exchange; live entries still waiting for a fill count
+  // as positions with no exposure yet
+  getOpenPositions() {
+    const live = this.livePositions ? this.livePositions.getOpenPositions() : [];
+    return [...this.tradingEngine.getOpenPositions(), ...live];
+  }
+
+  // Net exposure of the open positions, leaving out one symbol (its position is replaced or kept)
+  getExposure(excludeSymbol = null) {
+    const exposure = {};
+    this.getOpenPositions().forEach(position => {
+      if (position.symbol === excludeSymbol) return;
+      const notional = position.quantity * (position.entryPrice || 0);
+      const legs = RiskManager.currencyLegs(position.symbol, position.type, notional);
+      Object.entries(legs).forEach(([currency, amount]) => {
+        exposure[currency] = (exposure[currency] || 0) + amount;
+      });
+    });
+    return exposure;
+  }
+
+  // Realized P&L booked today plus the open positions' unrealized P&L
+  async getDailyPnl(now = new Date()) {
+    const result = await this.pool.query(
+      `SELECT COALESCE(SUM(pnl), 0) AS realized
+       FROM trades
+       WHERE account_id = $1 AND status = 'CLOSED' AND closed_at >= $2`,
+      [this.tradingEngine.accountId, tradingDayStart(now)]
+    );
+    const realized = toNumber(result.rows[0].realized);
+    const unrealized = this.tradingEngine.getOpenPositions().reduce((sum, p) => sum + (p.unrealizedPnl || 0), 0);
+    return { realized, unrealized, total: realized + unrealized };
+  }
+
+  // The limit is measured against the balance at the start of the day
+  async getDailyLoss(now = new Date()) {
+    const pnl = await this.getDailyPnl(now);
+    const startBalance = this.tradingEngine.balance - pnl.realized;
+    const limit = startBalance * this.options.dailyLossLimitPct / 100;
+    return { ...pnl, limit, breached: pnl.total <= -limit };
+  }
+
+  // Once the daily loss limit is hit, trading stays paused for the rest of the day
+  async isPaused() {
+    const now = new Date();
+    if (this.pausedOn === tradingDay(now)) return true;
+    this.pausedOn = null;
+
+    const daily = await this.getDailyLoss(now);
+    if (daily.breached) {
+      this.pausedOn = tradingDay(now);
+      log.warn('Daily loss limit reached, paper trading paused until tomorrow', { dailyPnl: daily.total, limit: daily.limit });
+      return true;
+    }
+    return false;
+  }
+
+  // Stop and target a position opened on `signal` would get, without any sizing or limit checks
+  async levels(signal, series = {}) {
+    const price = signal.price;
+    const sign = signal.signal === 'BUY' ? 1 : -1;
+
+    // Without enough candles for an ATR, fall back to the engine's percentage stop
+    const atr = series.highs && series.highs.length > this.options.atrPeriod
+      ? await AdvancedTechnicalAnalysis.calculateATR(series.highs, series.lows, series.closes, this.options.atrPeriod)
+      : null;
+    const stopDistance = atr
+      ? atr * this.options.atrStopMultiplier
+      : price * this.tradingEngine.options.stopLossPct / 100;
+
+    return {
+      atr,
+      stopDistance,
+      stopLoss: price - sign * stopDistance,
+      targetPrice: price + sign * stopDistance * this.options.rewardRiskRatio
+    };
+  }
+
+  // Position size and stop/target levels for a signal, or a rejection reason.
+  // `series` holds the highs, lows and closes used for the ATR stop distance.
+  async check(signal, series = {}) {
+    const reject = (reason, message, details = {}) => ({ approved: false, reason, message, details });
+
+    const existing = this.getOpenPositions().find(p => p.symbol === signal.symbol);
+    if (existing && existing.type === signal.signal) {
+      return reject('POSITION_OPEN', `${signal.symbol} already has an open ${existing.type} position`);
+    }
+
+    if (await this.isPaused()) {
+      return reject('DAILY_LOSS_LIMIT', `Daily loss limit of ${this.options.dailyLossLimitPct}% reached`);
+    }
+
+    // The signal's own symbol is left out: a position against it is closed before the review
+    const openPositions = this.getOpenPositions().filter(p => p.symbol !== signal.symbol).length;
+    if (openPositions >= this.options.maxOpenPositions) {
+      return reject('MAX_OPEN_POSITIONS', `${openPositions} positions open (max ${this.options.maxOpenPositions})`);
+    }
+
+    const { equity } = await this.tradingEngine.getPortfolio();
+    const price = signal.price;
+    const { atr, stopDistance, stopLoss, targetPrice } = await this.levels(signal, series);
+
+    const riskAmount = equity * this.options.riskPerTradePct / 100;
+    const maxNotional = equity * this.options.maxPositionPct / 100;
+    const amount = Math.min((riskAmount / stopDistance) * price, maxNotional);
+
+    if (!(amount > 0) || !isFinite(amount)) {
+      return reject('INVALID_SIZE', 'Could not size the position', { equity, stopDistance });
+    }
+
+    const maxExposure = equity * this.options.maxCurrencyExposurePct / 100;
+    const exposure = this.getExposure(signal.symbol);
+    const legs = RiskManager.currencyLegs(signal.symbol, signal.signal, amount);
+    for (const [currency, delta] of Object.entries(legs)) {
+      const current = exposure[currency] || 0;
+      const next = current + delta;
+      if (Math.abs(next) > maxExposure && Math.abs(next) > Math.abs(current)) {
+        return reject(
+          'CURRENCY_EXPOSURE',
+          `${currency} exposure would reach $${Math.abs(next).toFixed(2)} (max $${maxExposure.toFixed(2)})`,
+          { currency, current: round(current), next: round(next), max: round(maxExposure) }
+        );
+      }
+    }
+
+    return {
+      approved: true,
+      amount,
+      riskAmount,
+      atr,
+      stopLoss,
+      targetPrice
+    };
+  }
+
+  // Check a signal and log the rejection when it is refused
+  async review(signal, series) {
+    const decision = await this.check(signal, series);
+
+    // Keeping an existing position is not a rejection worth recording
+    if (!decision.approved && decision.reason !== 'POSITION_OPEN') {
+      await this.pool.query(
+        `INSERT INTO risk_rejections (account_id, signal_id, symbol, signal_type, reason, message, details)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+        [
+          this.tradingEngine.accountId, signal.id || null, signal.symbol, signal.signal,
+          decision.reason, decision.message, decision.details
+        ]
+      );
+    }
+    return decision;
+  }
+
+  async getRejections(limit = 50) {
+    const result = await this.pool.query(
+      `SELECT id, signal_id, symbol, signal_type, reason, message, details, created_at
+       FROM risk_rejections
+       WHERE account_id = $1
+       ORDER BY created_at DESC
+       LIMIT $2`,
+      [this.tradingEngine.accountId, limit]
+    );
+    return result.rows;
+  }
+
+  async getStatus() {
+    const [portfolio, daily, paused] = await Promise.all([
+      this.tradingEngine.getPortfolio(),
+      this.getDailyLoss(),
+      this.isPaused()
+    ]);
+
+    const exposure = {};
+    Object.entries(this.getExposure()).forEach(([currency, amount]) => {
+      exposure[currency] = round(amount);
+    });
+
+    return {
+      limits: this.options,
+      paused,
+      equity: round(portfolio.equity),
+      openPositions: portfolio.openPositions,
+      maxCurrencyExposure: round(portfolio.equity * this.options.maxCurrencyExposurePct / 100),
+      exposure,
+      dailyPnl: {
+        realized: round(daily.realized),
+        unrealized: round(daily.unrealized),
+        total: round(daily.total),
+        limit: round(daily.limit)
+      }
+    };
+  }
+}
+
+module.exports = RiskManager;
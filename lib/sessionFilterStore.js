@@ -0,0 +1,46 @@
+// Per-symbol trading session restrictions stored in `session_filters`,
+// e.g. only trade GBP/USD while the London session is open
+class SessionFilterStore {
+  constructor(pool) {
+    this.pool = pool;
+    this.filters = new Map();
+  }
+
+  async load() {
+    const result = await this.pool.query('SELECT symbol, sessions, updated_at FROM session_filters');
+    this.filters.clear();
+    result.rows.forEach(row => this.filters.set(row.symbol, row));
+  }
+
+  getSessions(symbol) {
+    const stored = this.filters.get(symbol);
+    return stored ? stored.sessions : [];
+  }
+
+  // A symbol without a filter may trade in any session
+  allows(symbol, activeSessions) {
+    const allowed = this.getSessions(symbol);
+    return allowed.length === 0 || activeSessions.some(session => allowed.includes(session));
+  }
+
+  // An empty list removes the filter
+  async setSessions(symbol, sessions) {
+    if (sessions.length === 0) {
+      await this.pool.query('DELETE FROM session_filters WHERE symbol = $1', [symbol]);
+      this.filters.delete(symbol);
+      return { symbol, sessions: [], updated_at: null };
+    }
+
+    const result = await this.pool.query(
+      `INSERT INTO session_filters (symbol, sessions, updated_at)
+       VALUES ($1, $2, NOW())
+       ON CONFLICT (symbol) DO UPDATE SET sessions = EXCLUDED.sessions, updated_at = NOW()
+       RETURNING symbol, sessions, updated_at`,
+      [symbol, JSON.stringify(sessions)]
+    );
+    this.filters.set(symbol, result.rows[0]);
+    return result.rows[0];
+  }
+}
+
+module.exports = SessionFilterStore;
@@ -0,0 +1,242 @@
+// Validated, paginated queries over stored signals, shared by /api/signals/history and
+// /api/signals/export.
+//
+// Query parameters:
+//   symbol, type                    instrument filters
+//   from, to                        ISO 8601 bounds on created_at (default: the last `days`, 7)
+//   signal, strength                comma-separated lists, e.g. signal=BUY,SELL
+//   minConfidence, maxConfidence    0-100
+//   source                          strategy that produced the signal
+//   sort, order                     created_at | confidence, asc | desc (default created_at desc)
+//   limit, cursor                   page size (max 1000) and the X-Next-Cursor header of the previous page
+//
+// Pages are keyset-paginated on (sort column, id), so a cursor stays valid while new signals arrive.
+const SIGNALS = ['BUY', 'SELL', 'NEUTRAL'];
+const STRENGTHS = ['STRONG BUY', 'BUY', 'HOLD', 'SELL', 'STRONG SELL'];
+const SORTS = { created_at: 'timestamp', confidence: 'numeric' };
+const ORDERS = ['asc', 'desc'];
+const DEFAULT_DAYS = 7;
+const MAX_DAYS = 3650;
+const MAX_LIMIT = 1000;
+const EXPORT_BATCH_SIZE = 1000;
+
+// Columns written to CSV exports; objects are embedded as JSON
+const CSV_COLUMNS = [
+  'id', 'created_at', 'symbol', 'name', 'type', 'signal', 'strength', 'confidence', 'price', 'rsi',
+  'strategy', 'strategy_version', 'session', 'news_risk',
+  'macd', 'bollinger_bands', 'stochastic', 'moving_average', 'contributions', 'indicators', 'confluence', 'patterns'
+];
+
+const parseList = (value) => String(value).split(',').map(item => item.trim().toUpperCase()).filter(Boolean);
+
+const parseDate = (value) => {
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+const encodeCursor = (cursor) => Buffer.from(JSON.stringify(cursor)).toString('base64url');
+
+const decodeCursor = (value) => {
+  try {
+    const cursor = JSON.parse(Buffer.from(String(value), 'base64url').toString('utf8'));
+    return cursor && typeof cursor.v === 'string' && Number.isInteger(cursor.id) ? cursor : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const csvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  let text;
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (typeof value === 'object') {
+    text = JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+class SignalHistory {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  // Returns { error } or the options for page() and stream().
+  // `normalizeSymbol` maps a symbol parameter to a known instrument, or null.
+  static parseQuery(query, { normalizeSymbol = symbol => symbol, maxLimit = MAX_LIMIT } = {}) {
+    const options = { sort: 'created_at', order: 'desc', limit: Math.min(100, maxLimit) };
+
+    if (query.symbol) {
+      options.symbol = normalizeSymbol(query.symbol);
+      if (!options.symbol) return { error: `Unknown symbol: ${query.symbol}` };
+    }
+    if (query.type) options.type = String(query.type);
+
+    if (query.from) {
+      options.from = parseDate(query.from);
+      if (!options.from) return { error: 'from must be an ISO 8601 date' };
+    } else {
+      const days = query.days === undefined ? DEFAULT_DAYS : Number(query.days);
+      if (!Number.isInteger(days) || days < 1 || days > MAX_DAYS) {
+        return { error: `days must be an integer between 1 and ${MAX_DAYS}` };
+      }
+      options.from = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    }
+    if (query.to) {
+      options.to = parseDate(query.to);
+      if (!options.to) return { error: 'to must be an ISO 8601 date' };
+      if (options.to < options.from) return { error: 'to must not be before from' };
+    }
+
+    if (query.signal) {
+      options.signals = parseList(query.signal);
+      const unknown = options.signals.find(signal => !SIGNALS.includes(signal));
+      if (unknown) return { error: `signal must be one of: ${SIGNALS.join(', ')}` };
+    }
+    if (query.strength) {
+      options.strengths = parseList(query.strength);
+      const unknown = options.strengths.find(strength => !STRENGTHS.includes(strength));
+      if (unknown) return { error: `strength must be one of: ${STRENGTHS.join(', ')}` };
+    }
+
+    for (const key of ['minConfidence', 'maxConfidence']) {
+      if (query[key] === undefined) continue;
+      const value = Number(query[key]);
+      if (query[key] === '' || !isFinite(value) || value < 0 || value > 100) {
+        return { error: `${key} must be a number between 0 and 100` };
+      }
+      options[key] = value;
+    }
+    if (options.minConfidence !== undefined && options.maxConfidence !== undefined &&
+      options.minConfidence > options.maxConfidence) {
+      return { error: 'minConfidence must not exceed maxConfidence' };
+    }
+
+    if (query.source) {
+      if (!/^[a-z0-9_-]{1,50}$/i.test(query.source)) return { error: 'source must be a strategy name' };
+      options.source = query.source;
+    }
+
+    if (query.sort) {
+      if (!SORTS[query.sort]) return { error: `sort must be one of: ${Object.keys(SORTS).join(', ')}` };
+      options.sort = query.sort;
+    }
+    if (query.order) {
+      const order = String(query.order).toLowerCase();
+      if (!ORDERS.includes(order)) return { error: 'order must be asc or desc' };
+      options.order = order;
+    }
+
+    if (query.limit !== undefined) {
+      const limit = Number(query.limit);
+      if (!Number.isInteger(limit) || limit < 1 || limit > maxLimit) {
+        return { error: `limit must be an integer between 1 and ${maxLimit}` };
+      }
+      options.limit = limit;
+    }
+
+    if (query.cursor) {
+      const cursor = decodeCursor(query.cursor);
+      if (!cursor) return { error: 'cursor is invalid' };
+      if (cursor.s !== options.sort || cursor.o !== options.order) {
+        return { error: 'cursor belongs to a different sort order' };
+      }
+      options.cursor = cursor;
+    }
+
+    return options;
+  }
+
+  // Parameterized SELECT for one page; every value goes through a placeholder
+  static buildQuery(options, cursor, limit) {
+    const conditions = [];
+    const params = [];
+    const param = (value) => {
+      params.push(value);
+      return `$${params.length}`;
+    };
+
+    conditions.push(`s.created_at >= ${param(options.from)}`);
+    if (options.to) conditions.push(`s.created_at <= ${param(options.to)}`);
+    if (options.symbol) conditions.push(`s.symbol = ${param(options.symbol)}`);
+    if (options.type) conditions.push(`s.type = ${param(options.type)}`);
+    if (options.signals) conditions.push(`s.signal = ANY(${param(options.signals)})`);
+    if (options.strengths) conditions.push(`s.strength = ANY(${param(options.strengths)})`);
+    if (options.minConfidence !== undefined) conditions.push(`s.confidence >= ${param(options.minConfidence)}`);
+    if (options.maxConfidence !== undefined) conditions.push(`s.confidence <= ${param(options.maxConfidence)}`);
+    if (options.source) conditions.push(`s.strategy = ${param(options.source)}`);
+
+    // The sort key is carried as text so the cursor keeps full timestamp precision
+    const column = `s.${options.sort}`;
+    const cast = SORTS[options.sort];
+    const direction = options.order === 'asc' ? '>' : '<';
+    if (cursor) {
+      const value = param(cursor.v);
+      const id = param(cursor.id);
+      conditions.push(`(${column} ${direction} ${value}::${cast} OR (${column} = ${value}::${cast} AND s.id ${direction} ${id}))`);
+    }
+
+    const order = options.order.toUpperCase();
+    const sql = `SELECT s.*, ${column}::text AS sort_key
+       FROM signals s
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY ${column} ${order}, s.id ${order}
+       LIMIT ${param(limit)}`;
+    return { sql, params };
+  }
+
+  // Rows still carry the helper sort_key, which cursors are built from
+  async fetch(options, cursor, limit) {
+    const { sql, params } = SignalHistory.buildQuery(options, cursor, limit);
+    const result = await this.pool.query(sql, params);
+    return result.rows;
+  }
+
+  static cursorAfter(options, row) {
+    return { s: options.sort, o: options.order, v: row.sort_key, id: row.id };
+  }
+
+  static stripSortKey({ sort_key: sortKey, ...row }) {
+    return row;
+  }
+
+  // One page plus the cursor of the next one (null on the last page)
+  async page(options) {
+    const rows = await this.fetch(options, options.cursor, options.limit + 1);
+    const hasMore = rows.length > options.limit;
+    if (hasMore) rows.pop();
+
+    return {
+      rows: rows.map(SignalHistory.stripSortKey),
+      nextCursor: hasMore ? encodeCursor(SignalHistory.cursorAfter(options, rows[rows.length - 1])) : null
+    };
+  }
+
+  // Every matching signal in batches, so exports never hold the whole range in memory
+  async * stream(options, batchSize = EXPORT_BATCH_SIZE) {
+    let cursor = options.cursor || null;
+    for (;;) {
+      const rows = await this.fetch(options, cursor, batchSize);
+      if (rows.length === 0) return;
+      yield rows.map(SignalHistory.stripSortKey);
+      if (rows.length < batchSize) return;
+      cursor = SignalHistory.cursorAfter(options, rows[rows.length - 1]);
+    }
+  }
+
+  static csvHeader() {
+    return `${CSV_COLUMNS.join(',')}\n`;
+  }
+
+  static csvRow(row) {
+    return `${CSV_COLUMNS.map(column => csvValue(row[column])).join(',')}\n`;
+  }
+}
+
+SignalHistory.SIGNALS = SIGNALS;
+SignalHistory.STRENGTHS = STRENGTHS;
+SignalHistory.EXPORT_FORMATS = ['csv', 'ndjson', 'json'];
+
+module.exports = SignalHistory;
@@ -0,0 +1,228 @@
+// Evaluates BUY/SELL signals against later 1m candles and aggregates hit rates
+const DEFAULT_OPTIONS = {
+  horizons: ['15m', '1h', '4h'],
+  targetPct: 0.5,
+  stopPct: 0.25,
+  batchSize: 200,
+  lookbackDays: 7
+};
+
+const CONFIDENCE_BUCKET_SQL = `
+  CASE
+    WHEN s.confidence >= 90 THEN '90-100'
+    WHEN s.confidence >= 80 THEN '80-89'
+    WHEN s.confidence >= 70 THEN '70-79'
+    WHEN s.confidence >= 60 THEN '60-69'
+    WHEN s.confidence >= 50 THEN '50-59'
+    ELSE '<50'
+  END
+`;
+
+// "15m", "1h", "4h", "1d" -> minutes
+const parseHorizon = (horizon) => {
+  const match = /^(\d+)([mhd])$/.exec(String(horizon).trim());
+  if (!match) return null;
+  const unit = { m: 1, h: 60, d: 1440 }[match[2]];
+  return parseInt(match[1], 10) * unit;
+};
+
+const toNumber = (value) => (value === null || value === undefined ? null : parseFloat(value));
+
+class SignalOutcomeTracker {
+  constructor(pool, candleStore, options = {}) {
+    this.pool = pool;
+    this.candleStore = candleStore;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.horizons = this.options.horizons.map(label => {
+      const minutes = parseHorizon(label);
+      if (!minutes) {
+        throw new Error(`Invalid signal outcome horizon: ${label}`);
+      }
+      return { label, minutes };
+    });
+  }
+
+  // Walk the candles after a signal; target and stop are checked against each bar's range,
+  // and when a bar touches both the stop is assumed to have come first.
+  // Moves are counted in pips only with the instrument's `pipSize`; without one they stay in price terms.
+  static evaluate(signal, candles, { targetPct, stopPct, pipSize: pip = null }) {
+    const entry = toNumber(signal.price);
+    const sign = signal.signal === 'BUY' ? 1 : -1;
+    const target = entry * (1 + sign * targetPct / 100);
+    const stop = entry * (1 - sign * stopPct / 100);
+
+    let hitTarget = false;
+    let hitStop = false;
+    let maxFavorable = 0;
+    let maxAdverse = 0;
+
+    for (const candle of candles) {
+      const favorable = sign > 0 ? candle.high - entry : entry - candle.low;
+      const adverse = sign > 0 ? entry - candle.low : candle.high - entry;
+      maxFavorable = Math.max(maxFavorable, favorable);
+      maxAdverse = Math.max(maxAdverse, adverse);
+
+      if (hitTarget || hitStop) continue;
+      const stopTouched = sign > 0 ? candle.low <= stop : candle.high >= stop;
+      const targetTouched = sign > 0 ? candle.high >= target : candle.low <= target;
+      if (stopTouched) {
+        hitStop = true;
+      } else if (targetTouched) {
+        hitTarget = true;
+      }
+    }
+
+    const exit = candles[candles.length - 1].close;
+    const move = sign * (exit - entry);
+
+    let outcome = move > 0 ? 'CORRECT' : 'WRONG';
+    if (hitTarget) outcome = 'TARGET';
+    if (hitStop) outcome = 'STOP';
+
+    return {
+      entry_price: entry,
+      exit_price: exit,
+      move_pct: (move / entry) * 100,
+      move_pips: pip ? move / pip : null,
+      max_favorable_pct: (maxFavorable / entry) * 100,
+      max_adverse_pct: (maxAdverse / entry) * 100,
+      direction_correct: move > 0,
+      hit_target: hitTarget,
+      hit_stop: hitStop,
+      outcome
+    };
+  }
+
+  async evaluatePending() {
+    let evaluated = 0;
+
+    for (const horizon of this.horizons) {
+      const pending = await this.pool.query(
+        `SELECT s.id, s.symbol, s.signal, s.price, s.created_at
+         FROM signals s
+         WHERE s.signal <> 'NEUTRAL'
+           AND s.created_at <= NOW() - make_interval(mins => $1)
+           AND s.created_at >= NOW() - make_interval(days => $2)
+           AND NOT EXISTS (
+             SELECT 1 FROM signal_outcomes o WHERE o.signal_id = s.id AND o.horizon = $3
+           )
+         ORDER BY s.created_at
+         LIMIT $4`,
+        [horizon.minutes, this.options.lookbackDays, horizon.label, this.options.batchSize]
+      );
+
+      for (const signal of pending.rows) {
+        const from = new Date(signal.created_at);
+        const to = new Date(from.getTime() + horizon.minutes * 60 * 1000);
+        const candles = await this.candleStore.getCandles(signal.symbol, '1m', { from, to, limit: horizon.minutes + 1 });
+
+        const instrument = this.options.instruments && this.options.instruments.get(signal.symbol);
+        // Recorded as NO_DATA so it is not retried every run; excluded from statistics
+        const result = candles.length
+          ? SignalOutcomeTracker.evaluate(signal, candles, { ...this.options, pipSize: instrument ? instrument.pipSize : null })
+          : { outcome: 'NO_DATA', entry_price: toNumber(signal.price) };
+
+        await this.pool.query(
+          `INSERT INTO signal_outcomes (
+             signal_id, horizon, horizon_minutes, entry_price, exit_price, move_pct, move_pips,
+             max_favorable_pct, max_adverse_pct, direction_correct, hit_target, hit_stop, outcome
+           ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+           ON CONFLICT (signal_id, horizon) DO NOTHING`,
+          [
+            signal.id, horizon.label, horizon.minutes, result.entry_price, result.exit_price,
+            result.move_pct, result.move_pips, result.max_favorable_pct, result.max_adverse_pct,
+            result.direction_correct, result.hit_target, result.hit_stop, result.outcome
+          ]
+        );
+        evaluated++;
+      }
+    }
+
+    return evaluated;
+  }
+
+  static formatBucket(row) {
+    const evaluated = parseInt(row.evaluated);
+    const rate = (count) => (evaluated ? Math.round((parseInt(count) / evaluated) * 10000) / 100 : null);
+    return {
+      key: row.key,
+      evaluated,
+      hitRate: rate(row.correct),
+      targetRate: rate(row.targets),
+      stopRate: rate(row.stops),
+      avgMovePct: row.avg_move_pct === null ? null : Math.round(toNumber(row.avg_move_pct) * 10000) / 10000,
+      avgMovePips: row.avg_move_pips === null ? null : Math.round(toNumber(row.avg_move_pips) * 10) / 10
+    };
+  }
+
+  static emptyBucket() {
+    return SignalOutcomeTracker.formatBucket({ key: 'all', evaluated: 0, avg_move_pct: null, avg_move_pips: null });
+  }
+
+  async groupBy(keySql, horizon, days, extraJoin = '', extraWhere = '') {
+    const result = await this.pool.query(
+      `SELECT ${keySql} AS key,
+         COUNT(*) AS evaluated,
+         COUNT(*) FILTER (WHERE o.direction_correct) AS correct,
+         COUNT(*) FILTER (WHERE o.hit_target) AS targets,
+         COUNT(*) FILTER (WHERE o.hit_stop) AS stops,
+         AVG(o.move_pct) AS avg_move_pct,
+         AVG(o.move_pips) AS avg_move_pips
+       FROM signal_outcomes o
+       JOIN signals s ON s.id = o.signal_id
+       ${extraJoin}
+       WHERE o.horizon = $1
+         AND o.outcome <> 'NO_DATA'
+         AND s.created_at >= NOW() - make_interval(days => $2)
+         ${extraWhere}
+       GROUP BY 1
+       ORDER BY 1`,
+      [horizon, days]
+    );
+    return result.rows.map(SignalOutcomeTracker.formatBucket);
+  }
+
+  // Accuracy for one horizon, broken down by symbol, strength, confidence and contributing indicator
+  async getPerformance({ horizon = this.horizons[0].label, days = 30 } = {}) {
+    const [overall, bySymbol, byStrength, byConfidence, byIndicator] = await Promise.all([
+      this.groupBy(`'all'`, horizon, days),
+      this.groupBy('s.symbol', horizon, days),
+      this.groupBy('s.strength', horizon, days),
+      this.groupBy(CONFIDENCE_BUCKET_SQL, horizon, days),
+      // An indicator counts for a signal when its points pushed in the signal's direction
+      this.groupBy(
+        'c.key',
+        horizon,
+        days,
+        'CROSS JOIN LATERAL jsonb_each_text(COALESCE(s.contributions, \'{}\'::jsonb)) c',
+        `AND ((s.signal = 'BUY' AND c.value::numeric > 0) OR (s.signal = 'SELL' AND c.value::numeric < 0))`
+      )
+    ]);
+
+    return {
+      horizon,
+      days,
+      targetPct: this.options.targetPct,
+      stopPct: this.options.stopPct,
+      overall: overall[0] || SignalOutcomeTracker.emptyBucket(),
+      bySymbol,
+      byStrength,
+      byConfidence,
+      byIndicator
+    };
+  }
+
+  // Overall hit rate per configured horizon
+  async getHitRates(days = 30) {
+    const rates = {};
+    for (const horizon of this.horizons) {
+      const [overall] = await this.groupBy(`'all'`, horizon.label, days);
+      rates[horizon.label] = overall || SignalOutcomeTracker.emptyBucket();
+    }
+    return rates;
+  }
+}
+
+SignalOutcomeTracker.parseHorizon = parseHorizon;
+
+module.exports = SignalOutcomeTracker;
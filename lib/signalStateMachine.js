@@ -0,0 +1,190 @@
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'signal-state' });
+
+// Tracks the signal state of every symbol in `signal_states`, so a repeated signal is not
+// notified and traded again on every cycle.
+//
+//   BUY/SELL with no open state     opens a PENDING state in that direction
+//   same direction again            a confirmation
+//   other direction or NEUTRAL      ends the open state (REVERSED / NEUTRAL) and, unless
+//                                   NEUTRAL, opens a new one
+//   no signal for expiryMs          the open state ends as EXPIRED before the next one is handled
+//
+// A PENDING state becomes ACTIVE once it has persisted for minPersistMs and the symbol's last
+// activation is at least cooldownMs ago. An ACTIVE state activated by a signal below
+// strongConfidence is activated again by the first confirmation at or above it, so an upgrade
+// from BUY to STRONG BUY is not lost. Activation is the only event that notifies and trades.
+const STATUSES = ['PENDING', 'ACTIVE', 'ENDED'];
+const EVENTS = ['OPENED', 'ACTIVATED', 'CONFIRMED', 'ENDED', 'NONE'];
+const DIRECTIONS = ['BUY', 'SELL'];
+
+class SignalStateMachine {
+  constructor(pool, { minPersistMs = 0, cooldownMs = 30 * 60 * 1000, expiryMs = 60 * 60 * 1000, strongConfidence = 70 } = {}) {
+    this.pool = pool;
+    this.minPersistMs = minPersistMs;
+    this.cooldownMs = cooldownMs;
+    this.expiryMs = expiryMs;
+    this.strongConfidence = strongConfidence;
+    // symbol -> open state row; symbol -> time of the last activation
+    this.states = new Map();
+    this.lastActivations = new Map();
+  }
+
+  static formatState(row, now = new Date()) {
+    return {
+      id: row.id,
+      symbol: row.symbol,
+      direction: row.direction,
+      status: row.status,
+      strength: row.strength,
+      confidence: row.confidence === null || row.confidence === undefined ? null : parseFloat(row.confidence),
+      confirmations: row.confirmations,
+      firstSignalId: row.first_signal_id,
+      lastSignalId: row.last_signal_id,
+      openedAt: row.opened_at,
+      activatedAt: row.activated_at,
+      activeForSeconds: row.status === 'ACTIVE'
+        ? Math.max(0, Math.floor((now - new Date(row.activated_at)) / 1000))
+        : null,
+      lastSeenAt: row.last_seen_at,
+      endedAt: row.ended_at,
+      endReason: row.end_reason
+    };
+  }
+
+  async load() {
+    const [open, activations] = await Promise.all([
+      this.pool.query("SELECT * FROM signal_states WHERE status <> 'ENDED'"),
+      this.pool.query(
+        `SELECT symbol, MAX(activated_at) AS activated_at
+         FROM signal_states
+         WHERE activated_at IS NOT NULL
+         GROUP BY symbol`
+      )
+    ]);
+    this.states.clear();
+    this.lastActivations.clear();
+    open.rows.forEach(row => this.states.set(row.symbol, row));
+    activations.rows.forEach(row => this.lastActivations.set(row.symbol, new Date(row.activated_at)));
+  }
+
+  // Open state of a symbol, or null
+  get(symbol, now = new Date()) {
+    const row = this.states.get(symbol);
+    return row ? SignalStateMachine.formatState(row, now) : null;
+  }
+
+  canActivate(row, now) {
+    if (now - new Date(row.opened_at) < this.minPersistMs) return false;
+    const last = this.lastActivations.get(row.symbol);
+    return !last || now - last >= this.cooldownMs;
+  }
+
+  async end(row, reason, now) {
+    const result = await this.pool.query(
+      `UPDATE signal_states
+       SET status = 'ENDED', ended_at = $2, end_reason = $3
+       WHERE id = $1
+       RETURNING *`,
+      [row.id, now, reason]
+    );
+    this.states.delete(row.symbol);
+    log.info('Signal state ended', { symbol: row.symbol, direction: row.direction, status: row.status, reason });
+    return result.rows[0];
+  }
+
+  async open(signal, now) {
+    const status = this.canActivate({ symbol: signal.symbol, opened_at: now }, now) ? 'ACTIVE' : 'PENDING';
+    const result = await this.pool.query(
+      `INSERT INTO signal_states (symbol, direction, status, strength, confidence, first_signal_id, last_signal_id, opened_at, activated_at, last_seen_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $6, $7, $8, $7)
+       RETURNING *`,
+      [signal.symbol, signal.signal, status, signal.strength, signal.confidence, signal.id, now, status === 'ACTIVE' ? now : null]
+    );
+    return this.track(result.rows[0]);
+  }
+
+  // An active state first activated below strongConfidence, confirmed by a signal at or above it
+  isUpgrade(row, signal) {
+    return row.status === 'ACTIVE' &&
+      !(parseFloat(row.confidence) >= this.strongConfidence) &&
+      signal.confidence >= this.strongConfidence;
+  }
+
+  // A pending state keeps the latest signal's strength; an active one only changes it on an upgrade
+  async confirm(row, signal, now) {
+    const activate = row.status === 'PENDING' && this.canActivate(row, now);
+    const restrength = row.status === 'PENDING' || this.isUpgrade(row, signal);
+    const result = await this.pool.query(
+      `UPDATE signal_states
+       SET confirmations = confirmations + 1, last_signal_id = $2, last_seen_at = $3,
+           status = CASE WHEN $4 THEN 'ACTIVE' ELSE status END,
+           activated_at = CASE WHEN $4 THEN $3 ELSE activated_at END,
+           strength = CASE WHEN $5 THEN $6 ELSE strength END,
+           confidence = CASE WHEN $5 THEN $7 ELSE confidence END
+       WHERE id = $1
+       RETURNING *`,
+      [row.id, signal.id, now, activate, restrength, signal.strength, signal.confidence]
+    );
+    return this.track(result.rows[0]);
+  }
+
+  track(row) {
+    this.states.set(row.symbol, row);
+    if (row.status === 'ACTIVE') this.lastActivations.set(row.symbol, new Date(row.activated_at));
+    return row;
+  }
+
+  // Apply a stored signal to its symbol's state. Returns { event, state, ended } where event is
+  // one of EVENTS, state the open state afterwards (or null) and ended the state this signal ended.
+  async observe(signal) {
+    const now = new Date(signal.created_at || Date.now());
+    let current = this.states.get(signal.symbol) || null;
+    let ended = null;
+
+    if (current && now - new Date(current.last_seen_at) > this.expiryMs) {
+      ended = await this.end(current, 'EXPIRED', now);
+      current = null;
+    }
+
+    let event = 'NONE';
+    if (current && current.direction === signal.signal) {
+      const wasPending = current.status === 'PENDING';
+      const upgrade = this.isUpgrade(current, signal);
+      current = await this.confirm(current, signal, now);
+      event = (wasPending && current.status === 'ACTIVE') || upgrade ? 'ACTIVATED' : 'CONFIRMED';
+    } else {
+      if (current) {
+        ended = await this.end(current, signal.signal === 'NEUTRAL' ? 'NEUTRAL' : 'REVERSED', now);
+        current = null;
+      }
+      if (DIRECTIONS.includes(signal.signal)) {
+        current = await this.open(signal, now);
+        event = current.status === 'ACTIVE' ? 'ACTIVATED' : 'OPENED';
+      } else if (ended) {
+        event = 'ENDED';
+      }
+    }
+
+    if (event === 'ACTIVATED') {
+      log.info('Signal state activated', {
+        symbol: signal.symbol,
+        direction: current.direction,
+        strength: signal.strength,
+        signalId: signal.id
+      });
+    }
+
+    return {
+      event,
+      state: current && SignalStateMachine.formatState(current, now),
+      ended: ended && SignalStateMachine.formatState(ended, now)
+    };
+  }
+}
+
+SignalStateMachine.STATUSES = STATUSES;
+SignalStateMachine.EVENTS = EVENTS;
+
+module.exports = SignalStateMachine;
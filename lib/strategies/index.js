@@ -0,0 +1,71 @@
+// Registry of named signal strategies.
+// A strategy exposes name, description, defaultParams, minCandles(params)
+// and evaluate({ currentPrice, prices, highs, lows, opens }, params).
+const DEFAULT_STRATEGY = 'multi-indicator';
+
+class StrategyRegistry {
+  constructor() {
+    this.strategies = new Map();
+  }
+
+  register(strategy) {
+    ['name', 'defaultParams', 'minCandles', 'evaluate'].forEach(key => {
+      if (!strategy[key]) {
+        throw new Error(`Strategy is missing "${key}"`);
+      }
+    });
+    this.strategies.set(strategy.name, strategy);
+    return this;
+  }
+
+  has(name) {
+    return this.strategies.has(name);
+  }
+
+  get(name) {
+    return this.strategies.get(name) || null;
+  }
+
+  list() {
+    return Array.from(this.strategies.values()).map(s => ({
+      name: s.name,
+      description: s.description,
+      defaultParams: s.defaultParams
+    }));
+  }
+
+  // Returns an error message, or null when the strategy and params are acceptable
+  validate(name, params = {}) {
+    const strategy = this.get(name);
+    if (!strategy) {
+      return `Unknown strategy: ${name}`;
+    }
+    if (typeof params !== 'object' || params === null || Array.isArray(params)) {
+      return 'params must be an object';
+    }
+
+    for (const [key, value] of Object.entries(params)) {
+      if (!Object.prototype.hasOwnProperty.call(strategy.defaultParams, key)) {
+        return `Unknown parameter for ${name}: ${key}`;
+      }
+      if (typeof value !== 'number' || !isFinite(value)) {
+        return `Parameter ${key} must be a number`;
+      }
+    }
+    return null;
+  }
+
+  resolveParams(name, params = {}) {
+    return { ...this.get(name).defaultParams, ...params };
+  }
+}
+
+const registry = new StrategyRegistry()
+  .register(require('./multiIndicator'))
+  .register(require('./trendFollowing'))
+  .register(require('./meanReversion'));
+
+registry.StrategyRegistry = StrategyRegistry;
+registry.DEFAULT_STRATEGY = DEFAULT_STRATEGY;
+
+module.exports = registry;
@@ -0,0 +1,75 @@
+const AdvancedTechnicalAnalysis = require('../technicalAnalysis');
+
+// Fades stretched prices back towards the Bollinger mid-band
+module.exports = {
+  name: 'mean-reversion',
+  description: 'Fades moves outside the Bollinger Bands when RSI and Stochastic are at extremes',
+  defaultParams: {
+    bbPeriod: 20,
+    bbStdDev: 2,
+    rsiPeriod: 14,
+    rsiOversold: 30,
+    rsiOverbought: 70,
+    stochPeriod: 14,
+    stochSlowing: 3,
+    stochSignal: 3,
+    stochOversold: 20,
+    stochOverbought: 80,
+    bandPoints: 3,
+    rsiPoints: 3,
+    stochPoints: 2,
+    signalThreshold: 5,
+    strongThreshold: 7
+  },
+
+  minCandles(params) {
+    return Math.max(params.bbPeriod, params.rsiPeriod + 1, params.stochPeriod + params.stochSlowing + params.stochSignal);
+  },
+
+  async evaluate({ currentPrice, prices, highs, lows }, params) {
+    const [bollinger, rsi, stochastic] = await Promise.all([
+      AdvancedTechnicalAnalysis.calculateBollingerBands(prices, params.bbPeriod, params.bbStdDev),
+      AdvancedTechnicalAnalysis.calculateRSI(prices, params.rsiPeriod),
+      AdvancedTechnicalAnalysis.calculateStochastic(
+        highs, lows, prices, params.stochPeriod, params.stochSlowing, params.stochSignal
+      )
+    ]);
+
+    const contributions = { bollinger: 0, rsi: 0, stochastic: 0 };
+
+    if (currentPrice < bollinger.lower) {
+      contributions.bollinger = params.bandPoints;
+    } else if (currentPrice > bollinger.upper) {
+      contributions.bollinger = -params.bandPoints;
+    }
+
+    if (rsi < params.rsiOversold) {
+      contributions.rsi = params.rsiPoints;
+    } else if (rsi > params.rsiOverbought) {
+      contributions.rsi = -params.rsiPoints;
+    }
+
+    if (stochastic.k < params.stochOversold && stochastic.d < params.stochOversold) {
+      contributions.stochastic = params.stochPoints;
+    } else if (stochastic.k > params.stochOverbought && stochastic.d > params.stochOverbought) {
+      contributions.stochastic = -params.stochPoints;
+    }
+
+    const signalPoints = Object.values(contributions).reduce((sum, points) => sum + points, 0);
+
+    const { signal, strength } = AdvancedTechnicalAnalysis.classifyPoints(
+      signalPoints, params.signalThreshold, params.strongThreshold
+    );
+
+    return {
+      signal,
+      strength,
+      confidence: Math.round(Math.max(30, Math.min(95, 50 + Math.abs(signalPoints) * 5))),
+      rsi: Math.round(rsi * 100) / 100,
+      bollinger_bands: bollinger,
+      stochastic,
+      signal_points: signalPoints,
+      contributions
+    };
+  }
+};
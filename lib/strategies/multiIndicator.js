@@ -0,0 +1,16 @@
+const AdvancedTechnicalAnalysis = require('../technicalAnalysis');
+
+// The original RSI/MACD/Bollinger/Stochastic point scorer
+module.exports = {
+  name: 'multi-indicator',
+  description: 'Scores RSI, MACD, Bollinger Bands and Stochastic and trades when the points agree',
+  defaultParams: AdvancedTechnicalAnalysis.DEFAULT_SCORING_PARAMS,
+
+  minCandles(params) {
+    return Math.max(params.macdSlow + params.macdSignal, params.bbPeriod, params.rsiPeriod + 1);
+  },
+
+  evaluate({ currentPrice, prices, highs, lows, opens }, params) {
+    return AdvancedTechnicalAnalysis.generateAdvancedSignal(currentPrice, prices, highs, lows, params, opens);
+  }
+};
@@ -0,0 +1,78 @@
+const AdvancedTechnicalAnalysis = require('../technicalAnalysis');
+
+// Follows EMA crossovers confirmed by MACD momentum, staying out of exhausted moves
+module.exports = {
+  name: 'trend-following',
+  description: 'Trades in the direction of the fast/slow EMA trend when MACD and RSI momentum confirm it',
+  defaultParams: {
+    emaFast: 20,
+    emaSlow: 50,
+    macdFast: 12,
+    macdSlow: 26,
+    macdSignal: 9,
+    rsiPeriod: 14,
+    rsiOversold: 30,
+    rsiOverbought: 70,
+    trendPoints: 3,
+    pricePoints: 1,
+    macdPoints: 2,
+    momentumPoints: 1,
+    signalThreshold: 5,
+    strongThreshold: 7
+  },
+
+  minCandles(params) {
+    return Math.max(params.emaSlow, params.macdSlow + params.macdSignal);
+  },
+
+  async evaluate({ currentPrice, prices }, params) {
+    const [emaFast, emaSlow, macd, rsi] = await Promise.all([
+      AdvancedTechnicalAnalysis.calculateEMA(prices, params.emaFast),
+      AdvancedTechnicalAnalysis.calculateEMA(prices, params.emaSlow),
+      AdvancedTechnicalAnalysis.calculateMACD(prices, params.macdFast, params.macdSlow, params.macdSignal),
+      AdvancedTechnicalAnalysis.calculateRSI(prices, params.rsiPeriod)
+    ]);
+
+    const contributions = { ema_trend: 0, price_vs_ema: 0, macd: 0, rsi: 0 };
+
+    if (emaFast !== null && emaSlow !== null) {
+      if (emaFast > emaSlow) {
+        contributions.ema_trend = params.trendPoints;
+        if (currentPrice > emaFast) contributions.price_vs_ema = params.pricePoints;
+      } else if (emaFast < emaSlow) {
+        contributions.ema_trend = -params.trendPoints;
+        if (currentPrice < emaFast) contributions.price_vs_ema = -params.pricePoints;
+      }
+    }
+
+    if (macd.histogram > 0) {
+      contributions.macd = params.macdPoints;
+    } else if (macd.histogram < 0) {
+      contributions.macd = -params.macdPoints;
+    }
+
+    // Momentum that is not yet overbought/oversold
+    if (rsi > 50 && rsi < params.rsiOverbought) {
+      contributions.rsi = params.momentumPoints;
+    } else if (rsi < 50 && rsi > params.rsiOversold) {
+      contributions.rsi = -params.momentumPoints;
+    }
+
+    const signalPoints = Object.values(contributions).reduce((sum, points) => sum + points, 0);
+
+    const { signal, strength } = AdvancedTechnicalAnalysis.classifyPoints(
+      signalPoints, params.signalThreshold, params.strongThreshold
+    );
+
+    return {
+      signal,
+      strength,
+      confidence: Math.round(Math.max(30, Math.min(95, 50 + Math.abs(signalPoints) * 5))),
+      rsi: Math.round(rsi * 100) / 100,
+      macd,
+      moving_average: { ema_fast: emaFast, ema_slow: emaSlow },
+      signal_points: signalPoints,
+      contributions
+    };
+  }
+};
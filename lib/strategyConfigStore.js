@@ -0,0 +1,78 @@
+// Per-symbol strategy assignments stored in `strategy_configs`, versioned in `strategy_config_history`
+class StrategyConfigStore {
+  constructor(pool, registry) {
+    this.pool = pool;
+    this.registry = registry;
+    this.configs = new Map();
+  }
+
+  async load() {
+    const result = await this.pool.query('SELECT symbol, strategy, params, version, updated_at FROM strategy_configs');
+    this.configs.clear();
+    result.rows.forEach(row => this.configs.set(row.symbol, row));
+  }
+
+  // Symbols without a stored assignment run the default strategy at version 0
+  getForSymbol(symbol) {
+    const stored = this.configs.get(symbol);
+    const name = stored && this.registry.has(stored.strategy) ? stored.strategy : this.registry.DEFAULT_STRATEGY;
+    const params = stored && stored.strategy === name ? stored.params : {};
+
+    return {
+      symbol,
+      strategy: name,
+      params: this.registry.resolveParams(name, params),
+      overrides: params,
+      version: stored && stored.strategy === name ? stored.version : 0,
+      updated_at: stored ? stored.updated_at : null
+    };
+  }
+
+  async setForSymbol(symbol, strategy, params = {}) {
+    const client = await this.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+      const result = await client.query(
+        `INSERT INTO strategy_configs (symbol, strategy, params, version, updated_at)
+         VALUES ($1, $2, $3, 1, NOW())
+         ON CONFLICT (symbol) DO UPDATE SET
+           strategy = EXCLUDED.strategy,
+           params = EXCLUDED.params,
+           version = strategy_configs.version + 1,
+           updated_at = NOW()
+         RETURNING symbol, strategy, params, version, updated_at`,
+        [symbol, strategy, JSON.stringify(params)]
+      );
+      const row = result.rows[0];
+
+      await client.query(
+        `INSERT INTO strategy_config_history (symbol, version, strategy, params)
+         VALUES ($1, $2, $3, $4)`,
+        [symbol, row.version, strategy, JSON.stringify(params)]
+      );
+      await client.query('COMMIT');
+
+      this.configs.set(symbol, row);
+      return this.getForSymbol(symbol);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async getHistory(symbol) {
+    const result = await this.pool.query(
+      `SELECT symbol, version, strategy, params, created_at
+       FROM strategy_config_history
+       WHERE symbol = $1
+       ORDER BY version DESC`,
+      [symbol]
+    );
+    return result.rows;
+  }
+}
+
+module.exports = StrategyConfigStore;
@@ -0,0 +1,425 @@
+const tulind = require('tulind');
+const { logger } = require('./logger');
+const PatternRecognition = require('./patternRecognition');
+
+const log = logger.child({ component: 'technical-analysis' });
+
+// Weights, periods and thresholds of the multi-indicator scorer
+const DEFAULT_SCORING_PARAMS = {
+  rsiPeriod: 14,
+  rsiStrongOversold: 25,
+  rsiOversold: 35,
+  rsiOverbought: 65,
+  rsiStrongOverbought: 75,
+  rsiStrongPoints: 3,
+  rsiPoints: 2,
+  macdFast: 12,
+  macdSlow: 26,
+  macdSignal: 9,
+  macdPoints: 3,
+  bbPeriod: 20,
+  bbStdDev: 2,
+  bbPoints: 2,
+  stochPeriod: 14,
+  stochSlowing: 3,
+  stochSignal: 3,
+  stochOversold: 20,
+  stochOverbought: 80,
+  stochPoints: 2,
+  // Trend indicators: 50/200 moving averages, Ichimoku cloud and Parabolic SAR
+  maFast: 50,
+  maSlow: 200,
+  maPoints: 1,
+  ichimokuConversion: 9,
+  ichimokuBase: 26,
+  ichimokuSpanB: 52,
+  ichimokuPoints: 1,
+  psarStep: 0.02,
+  psarMax: 0.2,
+  psarPoints: 1,
+  // Regime filters: no signals against an ADX trend this strong, none while ATR is below
+  // this percentage of the price
+  atrPeriod: 14,
+  adxPeriod: 14,
+  adxTrendThreshold: 25,
+  adxStrongTrend: 30,
+  minAtrPct: 0.01,
+  // Candlestick and chart patterns (see patternRecognition.js)
+  ...PatternRecognition.DEFAULT_PATTERN_PARAMS,
+  signalThreshold: 6,
+  strongThreshold: 8
+};
+
+const last = (series, offset = 0) => series[series.length - 1 - offset];
+const round = (value, digits = 5) => (value === null || value === undefined
+  ? null
+  : Math.round(value * Math.pow(10, digits)) / Math.pow(10, digits));
+
+// Advanced Technical Analysis with Multiple Indicators
+class AdvancedTechnicalAnalysis {
+  static async calculateRSI(prices, period = 14) {
+    return new Promise((resolve) => {
+      tulind.indicators.rsi.indicator([prices], [period], (err, results) => {
+        if (err || !results[0] || results[0].length === 0) {
+          resolve(50);
+        } else {
+          resolve(results[0][results[0].length - 1]);
+        }
+      });
+    });
+  }
+
+  static async calculateMACD(prices, fast = 12, slow = 26, signalPeriod = 9) {
+    return new Promise((resolve) => {
+      tulind.indicators.macd.indicator([prices], [fast, slow, signalPeriod], (err, results) => {
+        if (err || !results[0] || results[0].length === 0) {
+          resolve({ macd: 0, signal: 0, histogram: 0 });
+        } else {
+          const macd = results[0][results[0].length - 1];
+          const signal = results[1][results[1].length - 1];
+          const histogram = results[2][results[2].length - 1];
+          resolve({ macd, signal, histogram });
+        }
+      });
+    });
+  }
+
+  static async calculateBollingerBands(prices, period = 20, stdDev = 2) {
+    return new Promise((resolve) => {
+      tulind.indicators.bbands.indicator([prices], [period, stdDev], (err, results) => {
+        if (err || !results[0] || results[0].length === 0) {
+          resolve({ upper: 0, middle: 0, lower: 0 });
+        } else {
+          // tulind returns the bands as lower, middle, upper
+          resolve({
+            upper: results[2][results[2].length - 1],
+            middle: results[1][results[1].length - 1],
+            lower: results[0][results[0].length - 1]
+          });
+        }
+      });
+    });
+  }
+
+  static async calculateStochastic(highs, lows, closes, period = 14, slowing = 3, signalPeriod = 3) {
+    return new Promise((resolve) => {
+      tulind.indicators.stoch.indicator([highs, lows, closes], [period, slowing, signalPeriod], (err, results) => {
+        if (err || !results[0] || results[0].length === 0) {
+          resolve({ k: 50, d: 50 });
+        } else {
+          resolve({
+            k: results[0][results[0].length - 1],
+            d: results[1][results[1].length - 1]
+          });
+        }
+      });
+    });
+  }
+
+  static async calculateEMA(prices, period = 20) {
+    return new Promise((resolve) => {
+      tulind.indicators.ema.indicator([prices], [period], (err, results) => {
+        if (err || !results[0] || results[0].length === 0) {
+          resolve(null);
+        } else {
+          resolve(results[0][results[0].length - 1]);
+        }
+      });
+    });
+  }
+
+  static async calculateATR(highs, lows, closes, period = 14) {
+    return new Promise((resolve) => {
+      tulind.indicators.atr.indicator([highs, lows, closes], [period], (err, results) => {
+        if (err || !results[0] || results[0].length === 0) {
+          resolve(null);
+        } else {
+          resolve(results[0][results[0].length - 1]);
+        }
+      });
+    });
+  }
+
+  // Output series of a tulind indicator, or null when it fails or the input is too short
+  static runIndicator(name, inputs, options) {
+    return new Promise((resolve) => {
+      tulind.indicators[name].indicator(inputs, options, (err, results) => {
+        if (err || !results[0] || results[0].length === 0) {
+          resolve(null);
+        } else {
+          resolve(results);
+        }
+      });
+    });
+  }
+
+  static async calculateSMA(prices, period = 20) {
+    const results = await this.runIndicator('sma', [prices], [period]);
+    return results ? last(results[0]) : null;
+  }
+
+  // 50/200 SMA and EMA with the SMA trend and a golden/death cross on the latest bar
+  static async calculateMovingAverages(prices, fast = 50, slow = 200) {
+    // tulind seeds an EMA from the first price, so one shorter than its period is left out
+    const ema = period => (prices.length >= period ? this.runIndicator('ema', [prices], [period]) : null);
+    const [smaFast, smaSlow, emaFast, emaSlow] = await Promise.all([
+      this.runIndicator('sma', [prices], [fast]),
+      this.runIndicator('sma', [prices], [slow]),
+      ema(fast),
+      ema(slow)
+    ]);
+
+    const averages = {
+      sma_fast: smaFast ? last(smaFast[0]) : null,
+      sma_slow: smaSlow ? last(smaSlow[0]) : null,
+      ema_fast: emaFast ? last(emaFast[0]) : null,
+      ema_slow: emaSlow ? last(emaSlow[0]) : null,
+      trend: null,
+      cross: null
+    };
+    if (!smaFast || !smaSlow) return averages;
+
+    averages.trend = averages.sma_fast > averages.sma_slow ? 'bullish' : 'bearish';
+    if (smaSlow[0].length > 1) {
+      const wasAbove = last(smaFast[0], 1) > last(smaSlow[0], 1);
+      if (!wasAbove && averages.trend === 'bullish') averages.cross = 'golden';
+      if (wasAbove && averages.trend === 'bearish') averages.cross = 'death';
+    }
+    return averages;
+  }
+
+  // ADX with the directional indicators; +DI above -DI means an uptrend
+  static async calculateADX(highs, lows, closes, period = 14) {
+    const [adx, di] = await Promise.all([
+      this.runIndicator('adx', [highs, lows, closes], [period]),
+      this.runIndicator('di', [highs, lows, closes], [period])
+    ]);
+    if (!adx || !di) return null;
+    return { adx: last(adx[0]), plus_di: last(di[0]), minus_di: last(di[1]) };
+  }
+
+  // Ichimoku lines from rolling highs and lows. The cloud spans at the latest bar are the ones
+  // projected `base` bars ago.
+  static async calculateIchimoku(highs, lows, closes, conversion = 9, base = 26, spanB = 52) {
+    const midpoints = async (period) => {
+      const [high, low] = await Promise.all([
+        this.runIndicator('max', [highs], [period]),
+        this.runIndicator('min', [lows], [period])
+      ]);
+      return high && low ? high[0].map((value, i) => (value + low[0][i]) / 2) : null;
+    };
+    const [tenkan, kijun, spanBLine] = await Promise.all([midpoints(conversion), midpoints(base), midpoints(spanB)]);
+    if (!tenkan || !kijun || !spanBLine || spanBLine.length <= base || kijun.length <= base) return null;
+
+    const senkouA = (last(tenkan, base) + last(kijun, base)) / 2;
+    const senkouB = last(spanBLine, base);
+    const close = last(closes);
+    let position = 'inside';
+    if (close > Math.max(senkouA, senkouB)) position = 'above';
+    if (close < Math.min(senkouA, senkouB)) position = 'below';
+
+    return { tenkan: last(tenkan), kijun: last(kijun), senkou_a: senkouA, senkou_b: senkouB, position };
+  }
+
+  static async calculatePSAR(highs, lows, step = 0.02, max = 0.2) {
+    const results = await this.runIndicator('psar', [highs, lows], [step, max]);
+    return results ? last(results[0]) : null;
+  }
+
+  // Every indicator the scorer looks at, as stored with each signal and served by /api/indicators
+  static async calculateIndicators(currentPrice, { prices, highs, lows }, params = {}) {
+    const p = { ...DEFAULT_SCORING_PARAMS, ...params };
+    const [rsi, macd, bollinger, stochastic, atr, adx, movingAverage, ichimoku, psar] = await Promise.all([
+      this.calculateRSI(prices, p.rsiPeriod),
+      this.calculateMACD(prices, p.macdFast, p.macdSlow, p.macdSignal),
+      this.calculateBollingerBands(prices, p.bbPeriod, p.bbStdDev),
+      this.calculateStochastic(highs, lows, prices, p.stochPeriod, p.stochSlowing, p.stochSignal),
+      this.calculateATR(highs, lows, prices, p.atrPeriod),
+      this.calculateADX(highs, lows, prices, p.adxPeriod),
+      this.calculateMovingAverages(prices, p.maFast, p.maSlow),
+      this.calculateIchimoku(highs, lows, prices, p.ichimokuConversion, p.ichimokuBase, p.ichimokuSpanB),
+      this.calculatePSAR(highs, lows, p.psarStep, p.psarMax)
+    ]);
+
+    const atrPct = atr !== null && currentPrice ? (atr / currentPrice) * 100 : null;
+    return {
+      rsi: round(rsi, 2),
+      macd,
+      bollinger_bands: bollinger,
+      stochastic,
+      atr: { value: round(atr), percent: round(atrPct, 4) },
+      adx: adx && { adx: round(adx.adx, 2), plus_di: round(adx.plus_di, 2), minus_di: round(adx.minus_di, 2) },
+      moving_average: movingAverage,
+      ichimoku,
+      psar: psar === null ? null : { value: psar, trend: currentPrice > psar ? 'bullish' : 'bearish' },
+      regime: this.classifyRegime({ atrPct, adx }, p)
+    };
+  }
+
+  // Trend strength from ADX and volatility from ATR; null where the history is too short
+  static classifyRegime({ atrPct, adx }, params = {}) {
+    const p = { ...DEFAULT_SCORING_PARAMS, ...params };
+    const regime = { trend: null, direction: null, volatility: null };
+    if (adx) {
+      regime.trend = adx.adx >= p.adxStrongTrend ? 'strong' : adx.adx >= p.adxTrendThreshold ? 'trending' : 'ranging';
+      regime.direction = adx.plus_di >= adx.minus_di ? 'up' : 'down';
+    }
+    if (atrPct !== null) {
+      regime.volatility = atrPct < p.minAtrPct ? 'low' : 'normal';
+    }
+    return regime;
+  }
+
+  // Map signal points onto a signal and strength
+  static classifyPoints(points, threshold, strongThreshold) {
+    if (points >= threshold) {
+      return { signal: 'BUY', strength: points >= strongThreshold ? 'STRONG BUY' : 'BUY' };
+    }
+    if (points <= -threshold) {
+      return { signal: 'SELL', strength: points <= -strongThreshold ? 'STRONG SELL' : 'SELL' };
+    }
+    return { signal: 'NEUTRAL', strength: 'HOLD' };
+  }
+
+  // Load close, high and low series from the candle store
+  static async loadSeries(store, symbol, timeframe = '5m', count = 100) {
+    const candles = await store.getRecentCandles(symbol, timeframe, count);
+    return {
+      candles,
+      opens: candles.map(c => c.open),
+      prices: candles.map(c => c.close),
+      highs: candles.map(c => c.high),
+      lows: candles.map(c => c.low)
+    };
+  }
+
+  // `opens` is optional; without it only structural patterns are detected
+  static async generateAdvancedSignal(currentPrice, historicalPrices, highs, lows, params = {}, opens = null) {
+    try {
+      const p = { ...DEFAULT_SCORING_PARAMS, ...params };
+      const indicators = await this.calculateIndicators(
+        currentPrice,
+        { prices: historicalPrices, highs, lows },
+        p
+      );
+      const { macd, bollinger_bands: bollinger, stochastic, moving_average: movingAverage, ichimoku, psar, regime } = indicators;
+      const rsi = indicators.rsi;
+
+      let confidence = 50;
+      // Points each indicator added, so outcomes can be attributed per indicator
+      const contributions = {
+        rsi: 0, macd: 0, bollinger: 0, stochastic: 0, moving_average: 0, ichimoku: 0, psar: 0, candlestick: 0, structure: 0
+      };
+
+      // RSI Analysis (0-3 points)
+      if (rsi < p.rsiStrongOversold) {
+        contributions.rsi = p.rsiStrongPoints;
+        confidence += 20;
+      } else if (rsi < p.rsiOversold) {
+        contributions.rsi = p.rsiPoints;
+        confidence += 10;
+      } else if (rsi > p.rsiStrongOverbought) {
+        contributions.rsi = -p.rsiStrongPoints;
+        confidence += 20;
+      } else if (rsi > p.rsiOverbought) {
+        contributions.rsi = -p.rsiPoints;
+        confidence += 10;
+      }
+
+      // MACD Analysis (0-3 points)
+      if (macd.macd > macd.signal && macd.histogram > 0) {
+        contributions.macd = p.macdPoints;
+        confidence += 15;
+      } else if (macd.macd < macd.signal && macd.histogram < 0) {
+        contributions.macd = -p.macdPoints;
+        confidence += 15;
+      }
+
+      // Bollinger Bands Analysis (0-2 points)
+      if (currentPrice < bollinger.lower) {
+        contributions.bollinger = p.bbPoints; // Oversold, potential buy
+        confidence += 10;
+      } else if (currentPrice > bollinger.upper) {
+        contributions.bollinger = -p.bbPoints; // Overbought, potential sell
+        confidence += 10;
+      }
+
+      // Stochastic Analysis (0-2 points)
+      if (stochastic.k < p.stochOversold && stochastic.d < p.stochOversold) {
+        contributions.stochastic = p.stochPoints;
+        confidence += 10;
+      } else if (stochastic.k > p.stochOverbought && stochastic.d > p.stochOverbought) {
+        contributions.stochastic = -p.stochPoints;
+        confidence += 10;
+      }
+
+      // Trend confirmation (0-1 point each): 50/200 SMA, Ichimoku cloud, Parabolic SAR
+      if (movingAverage.trend) {
+        contributions.moving_average = movingAverage.trend === 'bullish' ? p.maPoints : -p.maPoints;
+      }
+      if (ichimoku && ichimoku.position !== 'inside') {
+        contributions.ichimoku = ichimoku.position === 'above' ? p.ichimokuPoints : -p.ichimokuPoints;
+      }
+      if (psar) {
+        contributions.psar = psar.trend === 'bullish' ? p.psarPoints : -p.psarPoints;
+      }
+
+      // Candlestick and structural patterns completed by the latest bar
+      const { patterns } = PatternRecognition.analyze({ opens, highs, lows, closes: historicalPrices }, currentPrice, p);
+      patterns.forEach(pattern => {
+        contributions[pattern.type] += pattern.points;
+      });
+
+      const signalPoints = Object.values(contributions).reduce((sum, points) => sum + points, 0);
+
+      // Determine final signal
+      let { signal, strength } = this.classifyPoints(signalPoints, p.signalThreshold, p.strongThreshold);
+
+      // Regime filters: never fade a strong ADX trend, stay out of dead markets
+      let filteredBy = null;
+      if (signal !== 'NEUTRAL' && regime.trend === 'strong' &&
+        (signal === 'BUY' ? regime.direction === 'down' : regime.direction === 'up')) {
+        filteredBy = 'counter_trend';
+      } else if (signal !== 'NEUTRAL' && regime.volatility === 'low') {
+        filteredBy = 'low_volatility';
+      }
+      if (filteredBy) {
+        signal = 'NEUTRAL';
+        strength = 'HOLD';
+      }
+
+      // Confidence calculation with multiple indicators
+      confidence = Math.max(30, Math.min(95, confidence + Math.abs(signalPoints) * 3));
+
+      return {
+        signal,
+        strength,
+        confidence: Math.round(confidence),
+        rsi,
+        macd,
+        bollinger_bands: bollinger,
+        stochastic,
+        moving_average: movingAverage,
+        signal_points: signalPoints,
+        contributions,
+        patterns,
+        reasons: patterns.map(pattern => pattern.reason),
+        filtered_by: filteredBy,
+        indicators
+      };
+
+    } catch (error) {
+      log.error('Technical analysis failed', { error });
+      return {
+        signal: 'NEUTRAL',
+        strength: 'HOLD',
+        confidence: 50,
+        rsi: 50
+      };
+    }
+  }
+}
+
+AdvancedTechnicalAnalysis.DEFAULT_SCORING_PARAMS = DEFAULT_SCORING_PARAMS;
+
+module.exports = AdvancedTechnicalAnalysis;
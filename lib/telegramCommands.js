@@ -0,0 +1,189 @@
+const TelegramNotificationService = require('./telegramService');
+const TelegramSubscriptionStore = require('./telegramSubscriptionStore');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'telegram' });
+
+const e = TelegramNotificationService.escapeMarkdown;
+
+const HELP_TEXT = [
+  '🤖 *Forex Signal Pro Bot*',
+  '',
+  e('/signals - latest signal for every market'),
+  e('/price <symbol> - live price'),
+  e('/portfolio - paper trading account'),
+  e('/history <symbol> - recent signals for a market'),
+  e('/subscribe <symbol|all> [minConfidence] - get signal alerts'),
+  e('/unsubscribe [symbol] - stop alerts (all if no symbol)'),
+  e('/subscriptions - list your alerts')
+].join('\n');
+
+const signalIcon = (signal) => (signal === 'BUY' ? '🟢' : signal === 'SELL' ? '🔴' : '🟡');
+
+const commandArgs = (ctx) => (ctx.message && ctx.message.text ? ctx.message.text.trim().split(/\s+/).slice(1) : []);
+
+// Register the interactive commands. Must run before bot.launch().
+const registerTelegramCommands = (bot, { pool, marketData, tradingEngine, subscriptions, findMarket }) => {
+  const reply = (ctx, text) => ctx.reply(text, { parse_mode: 'MarkdownV2', disable_web_page_preview: true });
+
+  // Wrap a handler so failures are logged and reported instead of swallowed
+  const command = (name, handler) => {
+    bot.command(name, async (ctx) => {
+      try {
+        await handler(ctx, commandArgs(ctx));
+      } catch (error) {
+        log.error('Telegram command failed', { command: name, error: error.message });
+        await ctx.reply('Something went wrong, please try again later.').catch(() => {});
+      }
+    });
+  };
+
+  const requireMarket = async (ctx, symbol, usage) => {
+    if (!symbol) {
+      await reply(ctx, `Usage: ${e(usage)}`);
+      return null;
+    }
+    const market = findMarket(symbol);
+    if (!market) {
+      await reply(ctx, `Unknown symbol: ${e(symbol)}`);
+    }
+    return market;
+  };
+
+  bot.start(ctx => reply(ctx, HELP_TEXT));
+  bot.help(ctx => reply(ctx, HELP_TEXT));
+
+  command('signals', async (ctx) => {
+    const result = await pool.query(`
+      SELECT DISTINCT ON (s.symbol) s.symbol, s.signal, s.strength, s.confidence, s.price, s.created_at
+      FROM signals s
+      ORDER BY s.symbol, s.created_at DESC
+    `);
+
+    if (result.rows.length === 0) {
+      return reply(ctx, 'No signals yet\\.');
+    }
+
+    const lines = result.rows.map(row =>
+      `${signalIcon(row.signal)} *${e(row.symbol)}* ${e(row.strength)} \\(${e(parseFloat(row.confidence))}%\\) @ ${e(parseFloat(row.price))}`
+    );
+    return reply(ctx, `📊 *Latest Signals*\n\n${lines.join('\n')}`);
+  });
+
+  command('price', async (ctx, [symbol]) => {
+    const market = await requireMarket(ctx, symbol, '/price <symbol>');
+    if (!market) return;
+
+    let quote;
+    try {
+      quote = await marketData.getRealTimePrice(market.symbol);
+    } catch (error) {
+      return reply(ctx, `No live price available for ${e(market.symbol)}`);
+    }
+
+    const change = quote.changePercent === null || quote.changePercent === undefined
+      ? ''
+      : ` \\(${e(quote.changePercent > 0 ? '+' : '')}${e(quote.changePercent)}%\\)`;
+    return reply(ctx,
+      `💰 *${e(market.symbol)}*: ${e(quote.price)}${change}\n` +
+      `📡 Source: ${e(quote.source)}${quote.mock ? ' \\(mock data\\)' : ''}`
+    );
+  });
+
+  command('portfolio', async (ctx) => {
+    const portfolio = await tradingEngine.getPortfolio();
+    const positions = tradingEngine.getOpenPositions();
+    const money = (value) => e(`$${(value || 0).toFixed(2)}`);
+
+    const lines = [
+      '💼 *Paper Portfolio*',
+      '',
+      `Balance: ${money(portfolio.balance)}`,
+      `Equity: ${money(portfolio.equity)}`,
+      `Realized P&L: ${money(portfolio.totalPnl)}`,
+      `Unrealized P&L: ${money(portfolio.unrealizedPnl)}`,
+      `Trades: ${e(portfolio.totalTrades)} \\(${e(portfolio.winningTrades)} winning\\)`
+    ];
+
+    if (positions.length) {
+      lines.push('', '*Open Positions*');
+      positions.forEach(p => {
+        lines.push(`${signalIcon(p.type)} ${e(p.symbol)} ${e(p.type)} @ ${e(p.entryPrice)} → ${money(p.unrealizedPnl)}`);
+      });
+    }
+
+    return reply(ctx, lines.join('\n'));
+  });
+
+  command('history', async (ctx, [symbol]) => {
+    const market = await requireMarket(ctx, symbol, '/history <symbol>');
+    if (!market) return;
+
+    const result = await pool.query(
+      `SELECT signal, strength, confidence, price, created_at
+       FROM signals
+       WHERE symbol = $1
+       ORDER BY created_at DESC
+       LIMIT 10`,
+      [market.symbol]
+    );
+
+    if (result.rows.length === 0) {
+      return reply(ctx, `No signals for ${e(market.symbol)} yet\\.`);
+    }
+
+    const lines = result.rows.map(row =>
+      `${signalIcon(row.signal)} ${e(new Date(row.created_at).toLocaleString())} ${e(row.strength)} ` +
+      `\\(${e(parseFloat(row.confidence))}%\\) @ ${e(parseFloat(row.price))}`
+    );
+    return reply(ctx, `📜 *${e(market.symbol)} History*\n\n${lines.join('\n')}`);
+  });
+
+  command('subscribe', async (ctx, [symbol, confidence]) => {
+    if (!symbol) {
+      return reply(ctx, `Usage: ${e('/subscribe <symbol|all> [minConfidence]')}`);
+    }
+
+    const all = symbol.toLowerCase() === 'all' || symbol === TelegramSubscriptionStore.ALL_SYMBOLS;
+    const market = all ? null : findMarket(symbol);
+    if (!all && !market) {
+      return reply(ctx, `Unknown symbol: ${e(symbol)}`);
+    }
+
+    const minConfidence = confidence === undefined ? TelegramSubscriptionStore.DEFAULT_MIN_CONFIDENCE : Number(confidence);
+    if (!isFinite(minConfidence) || minConfidence < 0 || minConfidence > 100) {
+      return reply(ctx, 'minConfidence must be a number between 0 and 100');
+    }
+
+    await subscriptions.subscribe(ctx.chat.id, all ? TelegramSubscriptionStore.ALL_SYMBOLS : market.symbol, minConfidence);
+    return reply(ctx, `✅ Subscribed to ${all ? 'all markets' : e(market.symbol)} with confidence ≥ ${e(minConfidence)}%`);
+  });
+
+  command('unsubscribe', async (ctx, [symbol]) => {
+    let target = null;
+    if (symbol) {
+      const all = symbol.toLowerCase() === 'all' || symbol === TelegramSubscriptionStore.ALL_SYMBOLS;
+      const market = all ? null : findMarket(symbol);
+      if (!all && !market) {
+        return reply(ctx, `Unknown symbol: ${e(symbol)}`);
+      }
+      target = all ? TelegramSubscriptionStore.ALL_SYMBOLS : market.symbol;
+    }
+
+    const removed = await subscriptions.unsubscribe(ctx.chat.id, target);
+    return reply(ctx, removed ? `🔕 Removed ${e(removed)} subscription${removed === 1 ? '' : 's'}` : 'No matching subscriptions');
+  });
+
+  command('subscriptions', async (ctx) => {
+    const rows = await subscriptions.listForChat(ctx.chat.id);
+    if (rows.length === 0) {
+      return reply(ctx, e('You have no subscriptions. Use /subscribe <symbol> to add one.'));
+    }
+    const lines = rows.map(row =>
+      `• ${row.symbol === TelegramSubscriptionStore.ALL_SYMBOLS ? 'All markets' : e(row.symbol)} \\(≥ ${e(parseFloat(row.min_confidence))}%\\)`
+    );
+    return reply(ctx, `🔔 *Your Subscriptions*\n\n${lines.join('\n')}`);
+  });
+};
+
+module.exports = registerTelegramCommands;
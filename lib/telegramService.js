@@ -0,0 +1,161 @@
+const { logger } = require('./logger');
+const metrics = require('./metrics');
+const ConfluenceAnalyzer = require('./confluence');
+
+const log = logger.child({ component: 'telegram' });
+
+// Telegram Notification Service
+// Characters that must be escaped in MarkdownV2 text
+const escapeMarkdown = (text) => String(text === undefined || text === null ? '' : text)
+  .replace(/[_*[\]()~`>#+\-=|{}.!\\]/g, '\\$&');
+
+// Telegram answers 403 once a user blocks the bot or a group removes it
+const isChatGone = (error) => error && error.response && error.response.error_code === 403;
+
+// Longest photo caption Telegram accepts; longer signal messages follow the chart as text
+const CAPTION_LIMIT = 1024;
+
+class TelegramNotificationService {
+  constructor(bot, chatId, subscriptions = null, { adminMinConfidence = 70 } = {}) {
+    this.bot = bot;
+    this.chatId = chatId;
+    this.subscriptions = subscriptions;
+    this.adminMinConfidence = adminMinConfidence;
+  }
+
+  async sendFailed(chatId, error) {
+    metrics.telegramSendFailures.inc();
+    log.error('Telegram send failed', { chatId, error: error.message });
+    if (isChatGone(error) && this.subscriptions) {
+      await this.subscriptions.removeChat(chatId).catch(() => {});
+    }
+  }
+
+  async sendMessage(chatId, message) {
+    try {
+      await this.bot.telegram.sendMessage(chatId, message, {
+        parse_mode: 'MarkdownV2',
+        disable_web_page_preview: true
+      });
+      return true;
+    } catch (error) {
+      await this.sendFailed(chatId, error);
+      return false;
+    }
+  }
+
+  // Chart with the message as its caption. `photo` is an upload ({ source, filename }) or the file id
+  // of one already sent; resolves to { sent, photo } with the file id to reuse for the next chat.
+  async sendChart(chatId, photo, message) {
+    const captioned = message.length <= CAPTION_LIMIT;
+    try {
+      const sent = await this.bot.telegram.sendPhoto(chatId, photo, captioned ? { caption: message, parse_mode: 'MarkdownV2' } : {});
+      const sizes = sent.photo || [];
+      const uploaded = sizes.length > 0 ? sizes[sizes.length - 1].file_id : photo;
+      return { sent: captioned || await this.sendMessage(chatId, message), photo: uploaded };
+    } catch (error) {
+      await this.sendFailed(chatId, error);
+      // The message still goes out when only the chart was refused
+      return { sent: !isChatGone(error) && await this.sendMessage(chatId, message), photo };
+    }
+  }
+
+  // Chats that should receive a signal: the admin for strong signals, plus every matching subscription
+  async getRecipients(signal) {
+    const recipients = new Set();
+    if (this.chatId && signal.confidence >= this.adminMinConfidence) {
+      recipients.add(String(this.chatId));
+    }
+    if (this.subscriptions) {
+      const chatIds = await this.subscriptions.findMatching(signal);
+      chatIds.forEach(chatId => recipients.add(String(chatId)));
+    }
+    return Array.from(recipients);
+  }
+
+  // `renderChart` resolves to a PNG buffer (or null) and is only called when someone receives the signal
+  async sendSignalNotification(signal, { renderChart = null } = {}) {
+    try {
+      if (signal.signal === 'NEUTRAL') return false;
+
+      const recipients = await this.getRecipients(signal);
+      if (recipients.length === 0) return false;
+
+      const message = this.formatSignalMessage(signal);
+      const chart = renderChart ? await renderChart() : null;
+      let photo = chart ? { source: chart, filename: `${signal.symbol.replace(/\W/g, '')}.png` } : null;
+      let sent = 0;
+      for (const chatId of recipients) {
+        if (photo) {
+          const result = await this.sendChart(chatId, photo, message);
+          photo = result.photo;
+          if (result.sent) sent++;
+        } else if (await this.sendMessage(chatId, message)) {
+          sent++;
+        }
+      }
+
+      log.info('Telegram signal notification sent', { symbol: signal.symbol, sent, recipients: recipients.length });
+      return sent > 0;
+    } catch (error) {
+      log.error('Telegram signal notification failed', { symbol: signal.symbol, error: error.message });
+      return false;
+    }
+  }
+
+  formatSignalMessage(signal) {
+    const signalIcon = signal.signal === 'BUY' ? '🟢' : signal.signal === 'SELL' ? '🔴' : '🟡';
+    const strengthIcon = signal.strength.includes('STRONG') ? '🔥' : '⚡';
+    const e = escapeMarkdown;
+
+    return `
+${signalIcon} *${e(signal.symbol)}* ${strengthIcon} *${e(signal.strength)}*
+
+📊 *Signal:* ${e(signal.signal)}
+🎯 *Confidence:* ${e(signal.confidence)}%
+💰 *Price:* $${e(signal.price)}${signal.session ? `\n🌍 *Session:* ${e(signal.session)}` : ''}${signal.news_risk ? `\n📰 *News risk:* ${e(signal.news_events.map(event => `${event.currency} ${event.title}`).join(', '))}` : ''}${signal.confluence ? `\n🧭 *Timeframes:* ${e(`${ConfluenceAnalyzer.describe(signal.confluence, signal.signal)} (score ${signal.confluence.score})`)}` : ''}${signal.patterns && signal.patterns.length ? `\n📐 *Patterns:* ${e(signal.patterns.map(pattern => pattern.reason).join('; '))}` : ''}
+
+*Technical Analysis:*
+📈 *RSI:* ${e(signal.rsi)}
+💹 *Signal Points:* ${e(signal.signal_points)}
+
+⏰ *Time:* ${e(new Date(signal.created_at).toLocaleString())}
+
+*Powered by Advanced AI Trading Bot* 🤖
+    `.trim();
+  }
+
+  formatAlertMessage(event) {
+    const e = escapeMarkdown;
+    return [
+      `🔔 *${e(event.alertName)}*`,
+      '',
+      e(event.message),
+      '',
+      `⏰ *Time:* ${e(new Date(event.firedAt).toLocaleString())}`
+    ].join('\n');
+  }
+
+  // Deliver a fired user alert to its chat, or to the admin when the rule has none
+  async sendAlert(event, chatId = null) {
+    const target = chatId || this.chatId;
+    if (!target) return false;
+    return this.sendMessage(target, this.formatAlertMessage(event));
+  }
+
+  async sendSystemAlert(message) {
+    try {
+      await this.bot.telegram.sendMessage(this.chatId, `🚨 *System Alert:* ${escapeMarkdown(message)}`, {
+        parse_mode: 'MarkdownV2'
+      });
+    } catch (error) {
+      metrics.telegramSendFailures.inc();
+      log.error('Telegram system alert failed', { error: error.message });
+    }
+  }
+}
+
+TelegramNotificationService.escapeMarkdown = escapeMarkdown;
+TelegramNotificationService.CAPTION_LIMIT = CAPTION_LIMIT;
+
+module.exports = TelegramNotificationService;
@@ -0,0 +1,55 @@
+// Per-chat signal subscriptions stored in `telegram_subscriptions`.
+// A symbol of '*' subscribes the chat to every instrument.
+const ALL_SYMBOLS = '*';
+const DEFAULT_MIN_CONFIDENCE = 70;
+
+class TelegramSubscriptionStore {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  async subscribe(chatId, symbol, minConfidence = DEFAULT_MIN_CONFIDENCE) {
+    const result = await this.pool.query(
+      `INSERT INTO telegram_subscriptions (chat_id, symbol, min_confidence)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (chat_id, symbol) DO UPDATE SET min_confidence = EXCLUDED.min_confidence
+       RETURNING chat_id, symbol, min_confidence, created_at`,
+      [String(chatId), symbol, minConfidence]
+    );
+    return result.rows[0];
+  }
+
+  // Without a symbol, every subscription of the chat is removed
+  async unsubscribe(chatId, symbol = null) {
+    const result = symbol
+      ? await this.pool.query('DELETE FROM telegram_subscriptions WHERE chat_id = $1 AND symbol = $2', [String(chatId), symbol])
+      : await this.pool.query('DELETE FROM telegram_subscriptions WHERE chat_id = $1', [String(chatId)]);
+    return result.rowCount;
+  }
+
+  async removeChat(chatId) {
+    return this.unsubscribe(chatId);
+  }
+
+  async listForChat(chatId) {
+    const result = await this.pool.query(
+      'SELECT symbol, min_confidence, created_at FROM telegram_subscriptions WHERE chat_id = $1 ORDER BY symbol',
+      [String(chatId)]
+    );
+    return result.rows;
+  }
+
+  async findMatching(signal) {
+    const result = await this.pool.query(
+      `SELECT DISTINCT chat_id FROM telegram_subscriptions
+       WHERE (symbol = $1 OR symbol = $2) AND min_confidence <= $3`,
+      [signal.symbol, ALL_SYMBOLS, signal.confidence]
+    );
+    return result.rows.map(row => row.chat_id);
+  }
+}
+
+TelegramSubscriptionStore.ALL_SYMBOLS = ALL_SYMBOLS;
+TelegramSubscriptionStore.DEFAULT_MIN_CONFIDENCE = DEFAULT_MIN_CONFIDENCE;
+
+module.exports = TelegramSubscriptionStore;
@@ -0,0 +1,311 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'webhooks' });
+
+// Outbound webhooks: endpoints in `webhook_endpoints` subscribe to events, every event
+// becomes one row per endpoint in `webhook_deliveries`.
+//
+// Each request is a JSON POST of { id, event, createdAt, data } with the headers
+//   X-Webhook-Id         event id, the same for every retry of a delivery
+//   X-Webhook-Event      event name
+//   X-Webhook-Timestamp  unix seconds when the request was sent
+//   X-Webhook-Signature  sha256=<hex HMAC-SHA256 of "<timestamp>.<body>" with the endpoint secret>
+// Any 2xx response marks the delivery DELIVERED. Failures are retried with exponential
+// backoff; after maxAttempts the delivery is DEAD and stays in the dead-letter list
+// until it is retried by hand. Deliveries to a deactivated endpoint stay PENDING, unsent,
+// until the endpoint is activated again.
+const EVENTS = ['signal.created', 'trade.opened', 'trade.closed', 'order.updated', 'alert.fired'];
+const ALL_EVENTS = '*';
+const STATUSES = ['PENDING', 'DELIVERED', 'DEAD'];
+const MAX_ERROR_LENGTH = 500;
+
+const sign = (secret, timestamp, body) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+class WebhookService {
+  constructor(pool, { http = axios, maxAttempts = 8, retryBaseSeconds = 30, timeoutMs = 10000 } = {}) {
+    this.pool = pool;
+    this.http = http;
+    this.maxAttempts = maxAttempts;
+    this.retryBaseSeconds = retryBaseSeconds;
+    this.timeoutMs = timeoutMs;
+    this.endpoints = new Map();
+    this.inFlight = new Set();
+  }
+
+  // The secret is only returned when an endpoint is created
+  static formatEndpoint(row, { withSecret = false } = {}) {
+    const endpoint = {
+      id: row.id,
+      url: row.url,
+      events: row.events,
+      description: row.description,
+      active: row.active,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+    if (withSecret) endpoint.secret = row.secret;
+    return endpoint;
+  }
+
+  static formatDelivery(row) {
+    return {
+      id: row.id,
+      endpointId: row.endpoint_id,
+      eventId: row.event_id,
+      event: row.event,
+      payload: row.payload,
+      status: row.status,
+      attempts: row.attempts,
+      nextAttemptAt: row.status === 'PENDING' ? row.next_attempt_at : null,
+      lastStatusCode: row.last_status_code,
+      lastError: row.last_error,
+      deliveredAt: row.delivered_at,
+      createdAt: row.created_at
+    };
+  }
+
+  // Returns an error message, or null when the fields are valid.
+  // `partial` validates only the fields present, for updates.
+  static validate(data, { partial = false } = {}) {
+    if (!data || typeof data !== 'object') return 'Request body must be an object';
+    if (!partial && (data.url === undefined || data.events === undefined)) return 'url and events are required';
+
+    if (data.url !== undefined) {
+      let url;
+      try {
+        url = new URL(data.url);
+      } catch (error) {
+        return 'url must be an absolute http(s) URL';
+      }
+      if (!['http:', 'https:'].includes(url.protocol)) return 'url must be an absolute http(s) URL';
+    }
+    if (data.events !== undefined &&
+      (!Array.isArray(data.events) || data.events.length === 0 ||
+        data.events.some(event => event !== ALL_EVENTS && !EVENTS.includes(event)))) {
+      return `events must be a non-empty list of: ${EVENTS.join(', ')} (or "${ALL_EVENTS}")`;
+    }
+    if (data.secret !== undefined && (typeof data.secret !== 'string' || data.secret.length < 16 || data.secret.length > 128)) {
+      return 'secret must be a string of 16 to 128 characters';
+    }
+    if (data.description !== undefined && data.description !== null &&
+      (typeof data.description !== 'string' || data.description.length > 200)) {
+      return 'description must be a string of up to 200 characters';
+    }
+    if (data.active !== undefined && typeof data.active !== 'boolean') return 'active must be a boolean';
+    return null;
+  }
+
+  async load() {
+    const result = await this.pool.query('SELECT * FROM webhook_endpoints');
+    this.endpoints.clear();
+    result.rows.forEach(row => this.endpoints.set(row.id, row));
+  }
+
+  list() {
+    return Array.from(this.endpoints.values())
+      .sort((a, b) => a.id - b.id)
+      .map(row => WebhookService.formatEndpoint(row));
+  }
+
+  get(id) {
+    const row = this.endpoints.get(id);
+    return row ? WebhookService.formatEndpoint(row) : null;
+  }
+
+  async create({ url, events, secret, description }) {
+    const result = await this.pool.query(
+      `INSERT INTO webhook_endpoints (url, secret, events, description)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [url, secret || crypto.randomBytes(32).toString('hex'), JSON.stringify(events), description || null]
+    );
+    const row = result.rows[0];
+    this.endpoints.set(row.id, row);
+    return WebhookService.formatEndpoint(row, { withSecret: true });
+  }
+
+  async update(id, data) {
+    const row = {};
+    if (data.url !== undefined) row.url = data.url;
+    if (data.events !== undefined) row.events = JSON.stringify(data.events);
+    if (data.secret !== undefined) row.secret = data.secret;
+    if (data.description !== undefined) row.description = data.description;
+    if (data.active !== undefined) row.active = data.active;
+
+    const columns = Object.keys(row);
+    if (columns.length === 0) return this.get(id);
+
+    const result = await this.pool.query(
+      `UPDATE webhook_endpoints
+       SET ${columns.map((column, i) => `${column} = $${i + 2}`).join(', ')}, updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [id, ...Object.values(row)]
+    );
+    if (result.rows.length === 0) return null;
+
+    this.endpoints.set(id, result.rows[0]);
+    return WebhookService.formatEndpoint(result.rows[0]);
+  }
+
+  async remove(id) {
+    const result = await this.pool.query('DELETE FROM webhook_endpoints WHERE id = $1', [id]);
+    this.endpoints.delete(id);
+    return result.rowCount > 0;
+  }
+
+  subscribers(event) {
+    return Array.from(this.endpoints.values())
+      .filter(row => row.active && (row.events.includes(ALL_EVENTS) || row.events.includes(event)));
+  }
+
+  // Queue an event for every subscribed endpoint and make the first attempt right away.
+  // Never throws, so callers on the signal and trade paths are not held up by webhooks.
+  async publish(event, data) {
+    const endpoints = this.subscribers(event);
+    if (endpoints.length === 0) return 0;
+
+    const payload = { id: crypto.randomUUID(), event, createdAt: new Date().toISOString(), data };
+    let queued = 0;
+
+    for (const endpoint of endpoints) {
+      try {
+        const result = await this.pool.query(
+          `INSERT INTO webhook_deliveries (endpoint_id, event_id, event, payload)
+           VALUES ($1, $2, $3, $4)
+           RETURNING *`,
+          [endpoint.id, payload.id, event, JSON.stringify(payload)]
+        );
+        queued++;
+        this.attempt(result.rows[0]).catch(error => {
+          log.error('Webhook delivery failed', { deliveryId: result.rows[0].id, error: error.message });
+        });
+      } catch (error) {
+        log.error('Webhook queueing failed', { endpointId: endpoint.id, event, error: error.message });
+      }
+    }
+    return queued;
+  }
+
+  // Seconds to wait after the nth failed attempt
+  backoffSeconds(attempts) {
+    return this.retryBaseSeconds * Math.pow(2, attempts - 1);
+  }
+
+  async send(endpoint, delivery) {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    try {
+      const response = await this.http.post(endpoint.url, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'forex-signal-pro-webhooks',
+          'X-Webhook-Id': delivery.event_id,
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': `sha256=${sign(endpoint.secret, timestamp, body)}`
+        },
+        timeout: this.timeoutMs,
+        maxRedirects: 0,
+        validateStatus: () => true,
+        transformRequest: [raw => raw]
+      });
+      const ok = response.status >= 200 && response.status < 300;
+      return { ok, statusCode: response.status, error: ok ? null : `HTTP ${response.status}` };
+    } catch (error) {
+      return { ok: false, statusCode: null, error: error.message };
+    }
+  }
+
+  async attempt(delivery) {
+    if (this.inFlight.has(delivery.id)) return null;
+
+    const endpoint = this.endpoints.get(delivery.endpoint_id);
+    if (!endpoint || !endpoint.active) return null;
+
+    this.inFlight.add(delivery.id);
+    try {
+      const outcome = await this.send(endpoint, delivery);
+      const attempts = delivery.attempts + 1;
+
+      let status = 'DELIVERED';
+      if (!outcome.ok) status = attempts >= this.maxAttempts ? 'DEAD' : 'PENDING';
+
+      const result = await this.pool.query(
+        `UPDATE webhook_deliveries
+         SET status = $2, attempts = $3, last_status_code = $4, last_error = $5,
+             next_attempt_at = NOW() + ($6 || ' seconds')::interval,
+             delivered_at = CASE WHEN $2 = 'DELIVERED' THEN NOW() ELSE delivered_at END
+         WHERE id = $1
+         RETURNING *`,
+        [
+          delivery.id, status, attempts, outcome.statusCode,
+          outcome.error ? outcome.error.slice(0, MAX_ERROR_LENGTH) : null,
+          String(outcome.ok ? 0 : this.backoffSeconds(attempts))
+        ]
+      );
+
+      if (status === 'DEAD') {
+        log.error('Webhook delivery dead-lettered', { deliveryId: delivery.id, url: endpoint.url, attempts, error: outcome.error });
+      }
+      return WebhookService.formatDelivery(result.rows[0]);
+    } finally {
+      this.inFlight.delete(delivery.id);
+    }
+  }
+
+  // Retry pending deliveries to active endpoints whose backoff has elapsed
+  async processDue(limit = 50) {
+    const result = await this.pool.query(
+      `SELECT d.* FROM webhook_deliveries d
+       JOIN webhook_endpoints e ON e.id = d.endpoint_id
+       WHERE d.status = 'PENDING' AND d.next_attempt_at <= NOW() AND e.active
+       ORDER BY d.next_attempt_at
+       LIMIT $1`,
+      [limit]
+    );
+
+    let delivered = 0;
+    for (const row of result.rows) {
+      const updated = await this.attempt(row);
+      if (updated && updated.status === 'DELIVERED') delivered++;
+    }
+    return { attempted: result.rows.length, delivered };
+  }
+
+  async getDeliveries({ endpointId = null, status = null, limit = 100 } = {}) {
+    const result = await this.pool.query(
+      `SELECT * FROM webhook_deliveries
+       WHERE ($1::integer IS NULL OR endpoint_id = $1)
+         AND ($2::text IS NULL OR status = $2)
+       ORDER BY created_at DESC, id DESC
+       LIMIT $3`,
+      [endpointId, status, limit]
+    );
+    return result.rows.map(WebhookService.formatDelivery);
+  }
+
+  // Put a dead delivery back in the queue with a fresh set of attempts. It is sent right away,
+  // or once its endpoint is active again.
+  async retry(deliveryId) {
+    const result = await this.pool.query(
+      `UPDATE webhook_deliveries
+       SET status = 'PENDING', attempts = 0, next_attempt_at = NOW()
+       WHERE id = $1 AND status = 'DEAD'
+       RETURNING *`,
+      [deliveryId]
+    );
+    if (result.rows.length === 0) return null;
+    return (await this.attempt(result.rows[0])) || WebhookService.formatDelivery(result.rows[0]);
+  }
+}
+
+WebhookService.EVENTS = EVENTS;
+WebhookService.STATUSES = STATUSES;
+WebhookService.sign = sign;
+
+module.exports = WebhookService;
@@ -0,0 +1,52 @@
+// Tables and indexes created by the original initDB.
+// IF NOT EXISTS everywhere so databases created before migrations adopt it as is
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS signals (
+      id SERIAL PRIMARY KEY,
+      symbol VARCHAR(20) NOT NULL,
+      name VARCHAR(100) NOT NULL,
+      type VARCHAR(20) NOT NULL,
+      signal VARCHAR(20) NOT NULL,
+      strength VARCHAR(20) NOT NULL,
+      confidence DECIMAL(5,2) NOT NULL,
+      price DECIMAL(15,5) NOT NULL,
+      rsi DECIMAL(5,2),
+      macd JSONB,
+      bollinger_bands JSONB,
+      stochastic JSONB,
+      moving_average JSONB,
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE TABLE IF NOT EXISTS trades (
+      id SERIAL PRIMARY KEY,
+      symbol VARCHAR(20) NOT NULL,
+      signal_type VARCHAR(20) NOT NULL,
+      entry_price DECIMAL(15,5) NOT NULL,
+      target_price DECIMAL(15,5),
+      stop_loss DECIMAL(15,5),
+      status VARCHAR(20) DEFAULT 'PENDING',
+      pnl DECIMAL(10,5),
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE TABLE IF NOT EXISTS signal_logs (
+      id SERIAL PRIMARY KEY,
+      symbol VARCHAR(20) NOT NULL,
+      signal_data JSONB NOT NULL,
+      sent_to_telegram BOOLEAN DEFAULT FALSE,
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_symbol_created_at ON signals(symbol, created_at);
+    CREATE INDEX IF NOT EXISTS idx_type ON signals(type);
+    CREATE INDEX IF NOT EXISTS idx_created_at ON signals(created_at);
+  `,
+
+  down: `
+    DROP TABLE IF EXISTS signal_logs;
+    DROP TABLE IF EXISTS trades;
+    DROP TABLE IF EXISTS signals;
+  `
+};
@@ -0,0 +1,24 @@
+// OHLCV candles built from live quotes
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS candles (
+      id SERIAL PRIMARY KEY,
+      symbol VARCHAR(20) NOT NULL,
+      timeframe VARCHAR(5) NOT NULL,
+      ts TIMESTAMP NOT NULL,
+      open DECIMAL(15,5) NOT NULL,
+      high DECIMAL(15,5) NOT NULL,
+      low DECIMAL(15,5) NOT NULL,
+      close DECIMAL(15,5) NOT NULL,
+      volume DECIMAL(20,5) DEFAULT 0,
+      updated_at TIMESTAMP DEFAULT NOW(),
+      UNIQUE (symbol, timeframe, ts)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_candles_symbol_timeframe_ts ON candles(symbol, timeframe, ts DESC);
+  `,
+
+  down: `
+    DROP TABLE IF EXISTS candles;
+  `
+};
@@ -0,0 +1,21 @@
+// Stored backtest runs
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS backtests (
+      id SERIAL PRIMARY KEY,
+      symbol VARCHAR(20) NOT NULL,
+      timeframe VARCHAR(5) NOT NULL,
+      from_ts TIMESTAMP,
+      to_ts TIMESTAMP,
+      options JSONB NOT NULL,
+      summary JSONB NOT NULL,
+      trades JSONB NOT NULL,
+      equity_curve JSONB NOT NULL,
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+  `,
+
+  down: `
+    DROP TABLE IF EXISTS backtests;
+  `
+};
@@ -0,0 +1,39 @@
+// Paper account and persisted positions
+module.exports = {
+  up: `
+    ALTER TABLE trades
+      ADD COLUMN IF NOT EXISTS account_id INTEGER,
+      ADD COLUMN IF NOT EXISTS signal_id INTEGER,
+      ADD COLUMN IF NOT EXISTS quantity DECIMAL(20,8),
+      ADD COLUMN IF NOT EXISTS current_price DECIMAL(15,5),
+      ADD COLUMN IF NOT EXISTS unrealized_pnl DECIMAL(10,5),
+      ADD COLUMN IF NOT EXISTS exit_price DECIMAL(15,5),
+      ADD COLUMN IF NOT EXISTS exit_reason VARCHAR(30),
+      ADD COLUMN IF NOT EXISTS closed_at TIMESTAMP;
+
+    CREATE TABLE IF NOT EXISTS paper_accounts (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR(50) NOT NULL UNIQUE,
+      initial_balance DECIMAL(15,2) NOT NULL,
+      balance DECIMAL(15,2) NOT NULL,
+      updated_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_trades_account_status ON trades(account_id, status);
+  `,
+
+  down: `
+    DROP INDEX IF EXISTS idx_trades_account_status;
+    DROP TABLE IF EXISTS paper_accounts;
+
+    ALTER TABLE trades
+      DROP COLUMN IF EXISTS account_id,
+      DROP COLUMN IF EXISTS signal_id,
+      DROP COLUMN IF EXISTS quantity,
+      DROP COLUMN IF EXISTS current_price,
+      DROP COLUMN IF EXISTS unrealized_pnl,
+      DROP COLUMN IF EXISTS exit_price,
+      DROP COLUMN IF EXISTS exit_reason,
+      DROP COLUMN IF EXISTS closed_at;
+  `
+};
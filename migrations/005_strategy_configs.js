@@ -0,0 +1,34 @@
+// Per-symbol strategy assignments and their history
+module.exports = {
+  up: `
+    ALTER TABLE signals
+      ADD COLUMN IF NOT EXISTS strategy VARCHAR(50),
+      ADD COLUMN IF NOT EXISTS strategy_version INTEGER;
+
+    CREATE TABLE IF NOT EXISTS strategy_configs (
+      symbol VARCHAR(20) PRIMARY KEY,
+      strategy VARCHAR(50) NOT NULL,
+      params JSONB NOT NULL DEFAULT '{}',
+      version INTEGER NOT NULL DEFAULT 1,
+      updated_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE TABLE IF NOT EXISTS strategy_config_history (
+      symbol VARCHAR(20) NOT NULL,
+      version INTEGER NOT NULL,
+      strategy VARCHAR(50) NOT NULL,
+      params JSONB NOT NULL,
+      created_at TIMESTAMP DEFAULT NOW(),
+      PRIMARY KEY (symbol, version)
+    );
+  `,
+
+  down: `
+    DROP TABLE IF EXISTS strategy_config_history;
+    DROP TABLE IF EXISTS strategy_configs;
+
+    ALTER TABLE signals
+      DROP COLUMN IF EXISTS strategy,
+      DROP COLUMN IF EXISTS strategy_version;
+  `
+};
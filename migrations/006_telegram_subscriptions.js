@@ -0,0 +1,16 @@
+// Per-chat Telegram signal subscriptions
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS telegram_subscriptions (
+      chat_id VARCHAR(32) NOT NULL,
+      symbol VARCHAR(20) NOT NULL,
+      min_confidence DECIMAL(5,2) NOT NULL DEFAULT 70,
+      created_at TIMESTAMP DEFAULT NOW(),
+      PRIMARY KEY (chat_id, symbol)
+    );
+  `,
+
+  down: `
+    DROP TABLE IF EXISTS telegram_subscriptions;
+  `
+};
@@ -0,0 +1,35 @@
+// Signal outcome tracking and indicator contributions
+module.exports = {
+  up: `
+    ALTER TABLE signals
+      ADD COLUMN IF NOT EXISTS contributions JSONB;
+
+    CREATE TABLE IF NOT EXISTS signal_outcomes (
+      id SERIAL PRIMARY KEY,
+      signal_id INTEGER NOT NULL REFERENCES signals(id) ON DELETE CASCADE,
+      horizon VARCHAR(10) NOT NULL,
+      horizon_minutes INTEGER NOT NULL,
+      entry_price DECIMAL(15,5),
+      exit_price DECIMAL(15,5),
+      move_pct DECIMAL(12,6),
+      move_pips DECIMAL(12,2),
+      max_favorable_pct DECIMAL(12,6),
+      max_adverse_pct DECIMAL(12,6),
+      direction_correct BOOLEAN,
+      hit_target BOOLEAN,
+      hit_stop BOOLEAN,
+      outcome VARCHAR(20) NOT NULL,
+      evaluated_at TIMESTAMP DEFAULT NOW(),
+      UNIQUE (signal_id, horizon)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_signal_outcomes_horizon ON signal_outcomes(horizon, signal_id);
+  `,
+
+  down: `
+    DROP TABLE IF EXISTS signal_outcomes;
+
+    ALTER TABLE signals
+      DROP COLUMN IF EXISTS contributions;
+  `
+};
@@ -0,0 +1,22 @@
+// Trades rejected by the risk manager
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS risk_rejections (
+      id SERIAL PRIMARY KEY,
+      account_id INTEGER REFERENCES paper_accounts(id),
+      signal_id INTEGER,
+      symbol VARCHAR(20) NOT NULL,
+      signal_type VARCHAR(10) NOT NULL,
+      reason VARCHAR(40) NOT NULL,
+      message TEXT,
+      details JSONB,
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_risk_rejections_account ON risk_rejections(account_id, created_at);
+  `,
+
+  down: `
+    DROP TABLE IF EXISTS risk_rejections;
+  `
+};
@@ -0,0 +1,36 @@
+// Exchange orders and per-symbol execution modes
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS exchange_orders (
+      id SERIAL PRIMARY KEY,
+      client_order_id VARCHAR(64) NOT NULL UNIQUE,
+      exchange_order_id VARCHAR(64),
+      exchange VARCHAR(30) NOT NULL,
+      signal_id INTEGER,
+      symbol VARCHAR(20) NOT NULL,
+      side VARCHAR(4) NOT NULL,
+      type VARCHAR(10) NOT NULL,
+      amount DECIMAL(20,8) NOT NULL,
+      price DECIMAL(15,5),
+      filled DECIMAL(20,8) DEFAULT 0,
+      average_price DECIMAL(15,5),
+      status VARCHAR(20) NOT NULL,
+      error TEXT,
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE TABLE IF NOT EXISTS execution_modes (
+      symbol VARCHAR(20) PRIMARY KEY,
+      mode VARCHAR(10) NOT NULL,
+      updated_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_exchange_orders_status ON exchange_orders(exchange, status);
+  `,
+
+  down: `
+    DROP TABLE IF EXISTS execution_modes;
+    DROP TABLE IF EXISTS exchange_orders;
+  `
+};
@@ -0,0 +1,20 @@
+// Trading session of each signal and per-symbol session filters
+module.exports = {
+  up: `
+    ALTER TABLE signals
+      ADD COLUMN IF NOT EXISTS session VARCHAR(40);
+
+    CREATE TABLE IF NOT EXISTS session_filters (
+      symbol VARCHAR(20) PRIMARY KEY,
+      sessions JSONB NOT NULL,
+      updated_at TIMESTAMP DEFAULT NOW()
+    );
+  `,
+
+  down: `
+    DROP TABLE IF EXISTS session_filters;
+
+    ALTER TABLE signals
+      DROP COLUMN IF EXISTS session;
+  `
+};
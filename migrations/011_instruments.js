@@ -0,0 +1,24 @@
+// Tradable instruments, seeded by InstrumentStore.seed() on startup
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS instruments (
+      symbol VARCHAR(20) PRIMARY KEY,
+      name VARCHAR(100) NOT NULL,
+      type VARCHAR(20) NOT NULL,
+      pip_size DECIMAL(20,10),
+      contract_size DECIMAL(20,4),
+      quote_currency VARCHAR(5),
+      provider_symbols JSONB NOT NULL DEFAULT '{}',
+      reference_price DECIMAL(20,8),
+      volatility DECIMAL(20,8),
+      enabled BOOLEAN NOT NULL DEFAULT TRUE,
+      schedule VARCHAR(20),
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    );
+  `,
+
+  down: `
+    DROP TABLE IF EXISTS instruments;
+  `
+};
@@ -0,0 +1,38 @@
+// User-defined alert rules and fired alerts
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS alerts (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR(100),
+      type VARCHAR(20) NOT NULL,
+      symbol VARCHAR(20),
+      condition JSONB NOT NULL,
+      mode VARCHAR(10) NOT NULL DEFAULT 'once',
+      cooldown_seconds INTEGER NOT NULL DEFAULT 300,
+      channels JSONB NOT NULL,
+      telegram_chat_id VARCHAR(32),
+      active BOOLEAN NOT NULL DEFAULT TRUE,
+      fire_count INTEGER NOT NULL DEFAULT 0,
+      last_fired_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE TABLE IF NOT EXISTS alert_events (
+      id SERIAL PRIMARY KEY,
+      alert_id INTEGER REFERENCES alerts(id) ON DELETE SET NULL,
+      alert_name VARCHAR(100) NOT NULL,
+      symbol VARCHAR(20) NOT NULL,
+      message TEXT NOT NULL,
+      value DECIMAL(20,8),
+      data JSONB,
+      fired_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_alert_events_alert ON alert_events(alert_id, fired_at);
+  `,
+
+  down: `
+    DROP TABLE IF EXISTS alert_events;
+    DROP TABLE IF EXISTS alerts;
+  `
+};
@@ -0,0 +1,38 @@
+// Outbound webhook endpoints and their deliveries
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS webhook_endpoints (
+      id SERIAL PRIMARY KEY,
+      url TEXT NOT NULL,
+      secret VARCHAR(128) NOT NULL,
+      events JSONB NOT NULL,
+      description VARCHAR(200),
+      active BOOLEAN NOT NULL DEFAULT TRUE,
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      id SERIAL PRIMARY KEY,
+      endpoint_id INTEGER NOT NULL REFERENCES webhook_endpoints(id) ON DELETE CASCADE,
+      event_id VARCHAR(64) NOT NULL,
+      event VARCHAR(40) NOT NULL,
+      payload JSONB NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'PENDING',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      next_attempt_at TIMESTAMP DEFAULT NOW(),
+      last_status_code INTEGER,
+      last_error TEXT,
+      delivered_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at);
+    CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_endpoint ON webhook_deliveries(endpoint_id, created_at);
+  `,
+
+  down: `
+    DROP TABLE IF EXISTS webhook_deliveries;
+    DROP TABLE IF EXISTS webhook_endpoints;
+  `
+};
@@ -0,0 +1,27 @@
+// Economic events and the news-risk flag on signals
+module.exports = {
+  up: `
+    ALTER TABLE signals
+      ADD COLUMN IF NOT EXISTS news_risk BOOLEAN NOT NULL DEFAULT FALSE;
+
+    CREATE TABLE IF NOT EXISTS economic_events (
+      id SERIAL PRIMARY KEY,
+      title VARCHAR(200) NOT NULL,
+      currency VARCHAR(5) NOT NULL,
+      impact VARCHAR(10) NOT NULL,
+      event_time TIMESTAMP NOT NULL,
+      source VARCHAR(10) NOT NULL DEFAULT 'api',
+      created_at TIMESTAMP DEFAULT NOW(),
+      UNIQUE (currency, title, event_time)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_economic_events_time ON economic_events(event_time);
+  `,
+
+  down: `
+    DROP TABLE IF EXISTS economic_events;
+
+    ALTER TABLE signals
+      DROP COLUMN IF EXISTS news_risk;
+  `
+};
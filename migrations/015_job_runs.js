@@ -0,0 +1,25 @@
+// Recorded runs of scheduled jobs such as signal generation
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS job_runs (
+      id SERIAL PRIMARY KEY,
+      job VARCHAR(50) NOT NULL,
+      trigger VARCHAR(20) NOT NULL,
+      status VARCHAR(20) NOT NULL,
+      started_at TIMESTAMP DEFAULT NOW(),
+      finished_at TIMESTAMP,
+      duration_ms INTEGER,
+      items_total INTEGER NOT NULL DEFAULT 0,
+      items_succeeded INTEGER NOT NULL DEFAULT 0,
+      items_failed INTEGER NOT NULL DEFAULT 0,
+      items_skipped INTEGER NOT NULL DEFAULT 0,
+      errors JSONB NOT NULL DEFAULT '[]'
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_job_runs_job ON job_runs(job, started_at);
+  `,
+
+  down: `
+    DROP TABLE IF EXISTS job_runs;
+  `
+};
@@ -0,0 +1,26 @@
+// Per-symbol signal state: one open (PENDING or ACTIVE) row per symbol, ended rows kept as history
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS signal_states (
+      id SERIAL PRIMARY KEY,
+      symbol VARCHAR(20) NOT NULL,
+      direction VARCHAR(10) NOT NULL,
+      status VARCHAR(10) NOT NULL,
+      confirmations INTEGER NOT NULL DEFAULT 0,
+      first_signal_id INTEGER REFERENCES signals(id) ON DELETE SET NULL,
+      last_signal_id INTEGER REFERENCES signals(id) ON DELETE SET NULL,
+      opened_at TIMESTAMP NOT NULL,
+      activated_at TIMESTAMP,
+      last_seen_at TIMESTAMP NOT NULL,
+      ended_at TIMESTAMP,
+      end_reason VARCHAR(20)
+    );
+
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_signal_states_open ON signal_states(symbol) WHERE status <> 'ENDED';
+    CREATE INDEX IF NOT EXISTS idx_signal_states_symbol ON signal_states(symbol, opened_at);
+  `,
+
+  down: `
+    DROP TABLE IF EXISTS signal_states;
+  `
+};
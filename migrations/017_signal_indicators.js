@@ -0,0 +1,12 @@
+// Full indicator snapshot stored with each signal
+module.exports = {
+  up: `
+    ALTER TABLE signals
+      ADD COLUMN IF NOT EXISTS indicators JSONB;
+  `,
+
+  down: `
+    ALTER TABLE signals
+      DROP COLUMN IF EXISTS indicators;
+  `
+};
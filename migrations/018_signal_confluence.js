@@ -0,0 +1,12 @@
+// Per-timeframe breakdown and confluence score stored with each signal
+module.exports = {
+  up: `
+    ALTER TABLE signals
+      ADD COLUMN IF NOT EXISTS confluence JSONB;
+  `,
+
+  down: `
+    ALTER TABLE signals
+      DROP COLUMN IF EXISTS confluence;
+  `
+};
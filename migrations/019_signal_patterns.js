@@ -0,0 +1,12 @@
+// Candlestick and chart patterns detected on the bar a signal was generated from
+module.exports = {
+  up: `
+    ALTER TABLE signals
+      ADD COLUMN IF NOT EXISTS patterns JSONB;
+  `,
+
+  down: `
+    ALTER TABLE signals
+      DROP COLUMN IF EXISTS patterns;
+  `
+};
@@ -0,0 +1,22 @@
+// Periodic paper account equity snapshots for the equity curve and risk ratios
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS equity_snapshots (
+      id SERIAL PRIMARY KEY,
+      account_id INTEGER NOT NULL REFERENCES paper_accounts(id) ON DELETE CASCADE,
+      balance DECIMAL(15,2) NOT NULL,
+      equity DECIMAL(15,2) NOT NULL,
+      unrealized_pnl DECIMAL(15,2) NOT NULL DEFAULT 0,
+      open_positions INTEGER NOT NULL DEFAULT 0,
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_equity_snapshots_account ON equity_snapshots(account_id, created_at);
+    CREATE INDEX IF NOT EXISTS idx_trades_account_closed ON trades(account_id, closed_at);
+  `,
+
+  down: `
+    DROP INDEX IF EXISTS idx_trades_account_closed;
+    DROP TABLE IF EXISTS equity_snapshots;
+  `
+};
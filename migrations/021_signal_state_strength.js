@@ -0,0 +1,15 @@
+// Strength and confidence of the signal that activated a state, so a later strong signal in the
+// same direction can activate it again
+module.exports = {
+  up: `
+    ALTER TABLE signal_states
+      ADD COLUMN IF NOT EXISTS strength VARCHAR(20),
+      ADD COLUMN IF NOT EXISTS confidence DECIMAL(5,2);
+  `,
+
+  down: `
+    ALTER TABLE signal_states
+      DROP COLUMN IF EXISTS strength,
+      DROP COLUMN IF EXISTS confidence;
+  `
+};
@@ -0,0 +1,29 @@
+// Long positions held on the exchange, with the stop and target watched for them
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS live_positions (
+      id SERIAL PRIMARY KEY,
+      exchange VARCHAR(30) NOT NULL,
+      signal_id INTEGER,
+      symbol VARCHAR(20) NOT NULL,
+      status VARCHAR(10) NOT NULL,
+      quantity DECIMAL(20,8) NOT NULL DEFAULT 0,
+      entry_price DECIMAL(15,5),
+      stop_loss DECIMAL(15,5),
+      target_price DECIMAL(15,5),
+      entry_order_id VARCHAR(64) NOT NULL,
+      exit_order_id VARCHAR(64),
+      exit_price DECIMAL(15,5),
+      exit_reason VARCHAR(20),
+      pnl DECIMAL(20,8),
+      created_at TIMESTAMP DEFAULT NOW(),
+      closed_at TIMESTAMP
+    );
+
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_live_positions_open ON live_positions(exchange, symbol) WHERE status <> 'CLOSED';
+  `,
+
+  down: `
+    DROP TABLE IF EXISTS live_positions;
+  `
+};
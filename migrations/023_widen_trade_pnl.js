@@ -0,0 +1,15 @@
+// DECIMAL(10,5) tops out below 100,000, which a BTC position or a grown balance passes
+module.exports = {
+  up: `
+    ALTER TABLE trades
+      ALTER COLUMN pnl TYPE DECIMAL(20,8),
+      ALTER COLUMN unrealized_pnl TYPE DECIMAL(20,8);
+  `,
+
+  // Fails while any trade holds a P&L that does not fit the old type
+  down: `
+    ALTER TABLE trades
+      ALTER COLUMN pnl TYPE DECIMAL(10,5),
+      ALTER COLUMN unrealized_pnl TYPE DECIMAL(10,5);
+  `
+};
@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+// Backtest the signal scorer against candles from a local CSV file
+//
+// Usage: node scripts/backtest.js <candles.csv> [--strategy=multi-indicator] [--param.rsiOversold=30]
+//          [--spread=0.0002] [--commission=0] [--commission-rate=0]
+//          [--position-size=1000] [--balance=10000] [--min-confidence=70]
+//          [--stop-loss=1] [--take-profit=2] [--json]
+const fs = require('fs');
+const path = require('path');
+const Backtester = require('../lib/backtester');
+const strategies = require('../lib/strategies');
+
+const OPTION_FLAGS = {
+  spread: 'spread',
+  commission: 'commission',
+  'commission-rate': 'commissionRate',
+  'position-size': 'positionSize',
+  balance: 'initialBalance',
+  lookback: 'lookback',
+  'min-confidence': 'minConfidence',
+  'stop-loss': 'stopLossPct',
+  'take-profit': 'takeProfitPct'
+};
+
+const parseArgs = (argv) => {
+  const args = { file: null, json: false, options: { params: {} } };
+
+  argv.forEach(arg => {
+    if (arg === '--json') {
+      args.json = true;
+    } else if (arg.startsWith('--strategy=')) {
+      args.options.strategy = arg.slice('--strategy='.length);
+    } else if (arg.startsWith('--param.')) {
+      const [key, value] = arg.slice('--param.'.length).split('=');
+      args.options.params[key] = parseFloat(value);
+    } else if (arg.startsWith('--')) {
+      const [flag, value] = arg.slice(2).split('=');
+      if (!OPTION_FLAGS[flag] || value === undefined || isNaN(parseFloat(value))) {
+        throw new Error(`Invalid option: ${arg}`);
+      }
+      args.options[OPTION_FLAGS[flag]] = parseFloat(value);
+    } else {
+      args.file = arg;
+    }
+  });
+
+  return args;
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.file) {
+    console.error('Usage: node scripts/backtest.js <candles.csv> [--spread=0.0002] [--commission=0] [--json]');
+    process.exit(1);
+  }
+
+  const invalid = strategies.validate(args.options.strategy || strategies.DEFAULT_STRATEGY, args.options.params);
+  if (invalid) {
+    throw new Error(invalid);
+  }
+
+  const candles = Backtester.parseCSV(fs.readFileSync(path.resolve(args.file), 'utf8'));
+  const result = await new Backtester(args.options).run(candles);
+
+  if (args.json) {
+    console.log(JSON.stringify(result, null, 2));
+    return;
+  }
+
+  const { summary } = result;
+  console.log(`📊 Backtest: ${path.basename(args.file)} (${summary.bars} bars, ${result.options.strategy})`);
+  console.log(`   Trades: ${summary.totalTrades} (${summary.winningTrades} won / ${summary.losingTrades} lost)`);
+  console.log(`   Win rate: ${summary.winRate}%`);
+  console.log(`   Profit factor: ${summary.profitFactor === null ? 'n/a' : summary.profitFactor}`);
+  console.log(`   Net profit: $${summary.netProfit} (final balance $${summary.finalBalance})`);
+  console.log(`   Max drawdown: $${summary.maxDrawdown} (${summary.maxDrawdownPct}%)`);
+};
+
+main().catch(error => {
+  console.error('❌ Backtest failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+// Apply, revert and list schema migrations (migrations/*.js)
+//
+// Usage: node scripts/migrate.js migrate [--to=<version>]
+//        node scripts/migrate.js rollback [--steps=1 | --to=<version>]
+//        node scripts/migrate.js status [--json]
+require('dotenv').config();
+const { createPool } = require('../lib/db');
+const Migrator = require('../lib/migrator');
+
+const COMMANDS = ['migrate', 'rollback', 'status'];
+
+const parseArgs = (argv) => {
+  const [command, ...flags] = argv;
+  const args = { command, json: false };
+
+  flags.forEach(flag => {
+    if (flag === '--json') {
+      args.json = true;
+      return;
+    }
+    const match = /^--(to|steps)=(\d+)$/.exec(flag);
+    if (!match) {
+      throw new Error(`Invalid option: ${flag}`);
+    }
+    args[match[1]] = parseInt(match[2], 10);
+  });
+  return args;
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  if (!COMMANDS.includes(args.command)) {
+    console.error(`Usage: node scripts/migrate.js <${COMMANDS.join('|')}> [--to=<version>] [--steps=<n>] [--json]`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const pool = createPool();
+  const migrator = new Migrator(pool);
+
+  try {
+    if (args.command === 'migrate') {
+      const applied = await migrator.migrate({ to: args.to });
+      console.log(applied.length ? `✅ Applied ${applied.length} migrations` : '✅ Schema is up to date');
+    } else if (args.command === 'rollback') {
+      const reverted = await migrator.rollback({ steps: args.steps || 1, to: args.to === undefined ? null : args.to });
+      console.log(reverted.length ? `✅ Reverted ${reverted.length} migrations` : '✅ Nothing to roll back');
+    } else {
+      const rows = await migrator.status();
+      if (args.json) {
+        console.log(JSON.stringify(rows, null, 2));
+      } else {
+        rows.forEach(row => {
+          const appliedAt = row.appliedAt ? new Date(row.appliedAt).toISOString() : '';
+          console.log(`${String(row.version).padStart(4, '0')}  ${row.state.padEnd(8)} ${row.name.padEnd(32)} ${appliedAt}`);
+        });
+        const pending = rows.filter(row => row.state === 'pending').length;
+        console.log(`\n${rows.length} migrations, ${pending} pending`);
+      }
+    }
+  } finally {
+    await pool.end();
+  }
+};
+
+main().catch(error => {
+  console.error(`❌ ${error.message}`);
+  process.exitCode = 1;
+});
@@ -1,624 +1,642 @@
+const crypto = require('crypto');
 const express = require('express');
 const cors = require('cors');
-const { Pool } = require('pg');
 const cron = require('node-cron');
-const axios = require('axios');
 const helmet = require('helmet');
-const WebSocket = require('ws');
+const http = require('http');
 const { Telegraf } = require('telegraf');
 const ccxt = require('ccxt');
-const tulind = require('tulind');
 require('dotenv').config();
 
+const { logger, withLogContext } = require('./lib/logger');
+const metrics = require('./lib/metrics');
+const { createPool } = require('./lib/db');
+const Migrator = require('./lib/migrator');
+const CandleStore = require('./lib/candleStore');
+const InstrumentStore = require('./lib/instrumentStore');
+const AdvancedTechnicalAnalysis = require('./lib/technicalAnalysis');
+const PatternRecognition = require('./lib/patternRecognition');
+const Backtester = require('./lib/backtester');
+const PaperTradingEngine = require('./lib/paperTradingEngine');
+const AccountAnalytics = require('./lib/accountAnalytics');
+const RiskManager = require('./lib/riskManager');
+const { createExchange, parseSymbolMap, CcxtExecutionAdapter, ExecutionModeStore, LivePositionManager, orderStates } = require('./lib/execution');
+const strategies = require('./lib/strategies');
+const StrategyConfigStore = require('./lib/strategyConfigStore');
+const RealMarketDataService = require('./lib/marketDataService');
+const { createProviders, MockProvider } = require('./lib/providers');
+const RealtimeHub = require('./lib/realtimeHub');
+const TelegramNotificationService = require('./lib/telegramService');
+const TelegramSubscriptionStore = require('./lib/telegramSubscriptionStore');
+const registerTelegramCommands = require('./lib/telegramCommands');
+const SignalOutcomeTracker = require('./lib/signalOutcomes');
+const MarketCalendar = require('./lib/marketCalendar');
+const SessionFilterStore = require('./lib/sessionFilterStore');
+const AlertEngine = require('./lib/alertEngine');
+const WebhookService = require('./lib/webhookService');
+const EconomicCalendar = require('./lib/economicCalendar');
+const SignalHistory = require('./lib/signalHistory');
+const JobRunner = require('./lib/jobRunner');
+const SignalStateMachine = require('./lib/signalStateMachine');
+const ConfluenceAnalyzer = require('./lib/confluence');
+const { ChartRenderer } = require('./lib/charts');
+
+const log = logger.child({ component: 'server' });
+
 const app = express();
+const server = http.createServer(app);
 const PORT = process.env.PORT || 5000;
 
 // Middleware
 app.use(helmet({
   contentSecurityPolicy: false,
 }));
-app.use(cors());
+// X-Next-Cursor carries the signal history cursor, so browser clients need to be able to read it
+app.use(cors({ exposedHeaders: ['X-Next-Cursor'] }));
 app.use(express.json());
 
 // Trust proxy for Render
 app.set('trust proxy', 1);
 
 // Database connection
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  ssl: {
-    rejectUnauthorized: false
-  }
+const pool = createPool();
+const migrator = new Migrator(pool);
+
+const candleStore = new CandleStore(pool);
+const instruments = new InstrumentStore(pool);
+const strategyConfigs = new StrategyConfigStore(pool, strategies);
+const signalOutcomes = new SignalOutcomeTracker(pool, candleStore, {
+  horizons: (process.env.SIGNAL_OUTCOME_HORIZONS || '15m,1h,4h').split(',').map(h => h.trim()),
+  targetPct: parseFloat(process.env.SIGNAL_OUTCOME_TARGET_PCT) || 0.5,
+  stopPct: parseFloat(process.env.SIGNAL_OUTCOME_STOP_PCT) || 0.25,
+  instruments
+});
+const marketCalendar = new MarketCalendar({
+  // Extra full-day equity closures (YYYY-MM-DD), e.g. national days of mourning
+  extraHolidays: (process.env.US_MARKET_HOLIDAYS || '').split(',').map(d => d.trim()).filter(Boolean)
+});
+const sessionFilters = new SessionFilterStore(pool);
+const economicCalendar = new EconomicCalendar(pool, {
+  beforeMinutes: parseInt(process.env.NEWS_WINDOW_BEFORE_MINUTES, 10) || 30,
+  afterMinutes: parseInt(process.env.NEWS_WINDOW_AFTER_MINUTES, 10) || 30,
+  minImpact: EconomicCalendar.IMPACTS.includes(process.env.NEWS_MIN_IMPACT) ? process.env.NEWS_MIN_IMPACT : 'MEDIUM'
+});
+// 'flag' stores signals inside news windows marked as news risk, 'suppress' drops them
+const NEWS_SIGNAL_MODE = process.env.NEWS_SIGNAL_MODE === 'suppress' ? 'suppress' : 'flag';
+const alertEngine = new AlertEngine(pool, candleStore);
+const signalHistory = new SignalHistory(pool);
+const webhooks = new WebhookService(pool, {
+  maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8,
+  retryBaseSeconds: parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS, 10) || 30,
+  timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000
 });
 
-// Telegram Bot
-const bot = new Telegraf(process.env.TELEGRAM_BOT_TOKEN);
-const ADMIN_CHAT_ID = process.env.TELEGRAM_ADMIN_ID;
+// Signals at or above this confidence are strong: they are paper traded and notified to the admin
+const STRONG_SIGNAL_CONFIDENCE = 70;
 
-// Initialize Telegram Bot
-const initTelegramBot = async () => {
-  try {
-    await bot.launch();
-    console.log('✅ Telegram Bot Started Successfully');
-    
-    // Send startup message to admin
-    await bot.telegram.sendMessage(
-      ADMIN_CHAT_ID,
-      `🤖 *Forex Signal Pro Bot Started* \\- Version 4\\.0\n` +
-      `📊 *Real\\-Time Trading Signals Active*\n` +
-      `⏰ *Started:* ${new Date().toLocaleString()}\n` +
-      `🔗 *API:* ${process.env.API_URL || 'Live'}`,
-      { parse_mode: 'MarkdownV2' }
-    );
-  } catch (error) {
-    console.error('❌ Telegram Bot Error:', error.message);
-  }
-};
+// Per-symbol signal state: only a newly active signal is notified and traded
+const signalStates = new SignalStateMachine(pool, {
+  minPersistMs: (parseInt(process.env.SIGNAL_MIN_PERSIST_SECONDS, 10) || 0) * 1000,
+  cooldownMs: (parseInt(process.env.SIGNAL_COOLDOWN_MINUTES, 10) || 30) * 60 * 1000,
+  expiryMs: (parseInt(process.env.SIGNAL_STATE_EXPIRY_MINUTES, 10) || 60) * 60 * 1000,
+  strongConfidence: STRONG_SIGNAL_CONFIDENCE
+});
+
+// Signal generation runs over the instruments in parallel, one run at a time
+const jobRunner = new JobRunner(pool, {
+  concurrency: parseInt(process.env.SIGNAL_CONCURRENCY, 10) || 4,
+  itemTimeoutMs: (parseInt(process.env.SIGNAL_SYMBOL_TIMEOUT_SECONDS, 10) || 30) * 1000,
+  itemIntervalMs: (parseInt(process.env.SIGNAL_SYMBOL_INTERVAL_SECONDS, 10) || 0) * 1000,
+  overlap: process.env.SIGNAL_JOB_OVERLAP === 'queue' ? 'queue' : 'skip'
+});
 
-// WebSocket Server for Real-time Data
-const wss = new WebSocket.Server({ port: 8080 });
-const clients = new Set();
+// Timeframe and depth of the candle series fed to the indicators
+const SIGNAL_TIMEFRAME = process.env.SIGNAL_TIMEFRAME || '5m';
+const SIGNAL_HISTORY_LENGTH = 250;
 
-wss.on('connection', (ws) => {
-  clients.add(ws);
-  console.log('✅ New WebSocket client connected');
-  
-  ws.on('close', () => {
-    clients.remove(ws);
-    console.log('❌ WebSocket client disconnected');
-  });
+// Timeframes the strategy also runs on, with their weight in the confluence score
+const confluence = new ConfluenceAnalyzer(candleStore, {
+  primary: SIGNAL_TIMEFRAME,
+  timeframes: ConfluenceAnalyzer.parseTimeframes(process.env.SIGNAL_CONFLUENCE_TIMEFRAMES || `${SIGNAL_TIMEFRAME}:1,1h:1,4h:1`),
+  minAgreement: parseFloat(process.env.SIGNAL_CONFLUENCE_MIN_AGREEMENT) || 0.6,
+  historyLength: SIGNAL_HISTORY_LENGTH
 });
 
-// Broadcast to all WebSocket clients
-const broadcast = (data) => {
-  clients.forEach(client => {
-    if (client.readyState === WebSocket.OPEN) {
-      client.send(JSON.stringify(data));
-    }
-  });
-};
+// Charts attached to Telegram signals (TELEGRAM_CHARTS=false sends text only) and served by /api/charts
+const chartRenderer = new ChartRenderer(candleStore, {
+  timeframe: SIGNAL_TIMEFRAME,
+  candles: parseInt(process.env.CHART_CANDLES, 10) || 120
+});
+const TELEGRAM_CHARTS = process.env.TELEGRAM_CHARTS !== 'false';
 
-// Enhanced Market Symbols with XAU/USD
-const MARKET_SYMBOLS = [
-  { symbol: 'EUR/USD', name: 'Euro/US Dollar', type: 'forex' },
-  { symbol: 'GBP/USD', name: 'British Pound/US Dollar', type: 'forex' },
-  { symbol: 'USD/JPY', name: 'US Dollar/Japanese Yen', type: 'forex' },
-  { symbol: 'USD/CHF', name: 'US Dollar/Swiss Franc', type: 'forex' },
-  { symbol: 'AUD/USD', name: 'Australian Dollar/US Dollar', type: 'forex' },
-  { symbol: 'USD/CAD', name: 'US Dollar/Canadian Dollar', type: 'forex' },
-  { symbol: 'XAU/USD', name: 'Gold/US Dollar', type: 'forex' },
-  { symbol: 'BTC/USD', name: 'Bitcoin/US Dollar', type: 'crypto' },
-  { symbol: 'ETH/USD', name: 'Ethereum/US Dollar', type: 'crypto' },
-  { symbol: 'AAPL', name: 'Apple Inc', type: 'stock' },
-  { symbol: 'TSLA', name: 'Tesla Inc', type: 'stock' },
-  { symbol: 'GOOGL', name: 'Alphabet Inc', type: 'stock' },
-  { symbol: 'MSFT', name: 'Microsoft Corporation', type: 'stock' }
-];
+// Telegram Bot
+const bot = new Telegraf(process.env.TELEGRAM_BOT_TOKEN);
+const ADMIN_CHAT_ID = process.env.TELEGRAM_ADMIN_ID;
 
-// Initialize database tables
-const initDB = async () => {
-  try {
-    const client = await pool.connect();
-    
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS signals (
-        id SERIAL PRIMARY KEY,
-        symbol VARCHAR(20) NOT NULL,
-        name VARCHAR(100) NOT NULL,
-        type VARCHAR(20) NOT NULL,
-        signal VARCHAR(20) NOT NULL,
-        strength VARCHAR(20) NOT NULL,
-        confidence DECIMAL(5,2) NOT NULL,
-        price DECIMAL(15,5) NOT NULL,
-        rsi DECIMAL(5,2),
-        macd JSONB,
-        bollinger_bands JSONB,
-        stochastic JSONB,
-        moving_average JSONB,
-        created_at TIMESTAMP DEFAULT NOW()
-      );
+// Initialize Telegram Bot.
+// bot.launch() only settles when polling stops, so startup continues from the onLaunch callback.
+const initTelegramBot = () => new Promise((resolve) => {
+  registerTelegramCommands(bot, {
+    pool,
+    marketData,
+    tradingEngine,
+    subscriptions: telegramSubscriptions,
+    findMarket
+  });
 
-      CREATE TABLE IF NOT EXISTS trades (
-        id SERIAL PRIMARY KEY,
-        symbol VARCHAR(20) NOT NULL,
-        signal_type VARCHAR(20) NOT NULL,
-        entry_price DECIMAL(15,5) NOT NULL,
-        target_price DECIMAL(15,5),
-        stop_loss DECIMAL(15,5),
-        status VARCHAR(20) DEFAULT 'PENDING',
-        pnl DECIMAL(10,5),
-        created_at TIMESTAMP DEFAULT NOW()
-      );
+  bot.launch(async () => {
+    log.info('Telegram bot started');
 
-      CREATE TABLE IF NOT EXISTS signal_logs (
-        id SERIAL PRIMARY KEY,
-        symbol VARCHAR(20) NOT NULL,
-        signal_data JSONB NOT NULL,
-        sent_to_telegram BOOLEAN DEFAULT FALSE,
-        created_at TIMESTAMP DEFAULT NOW()
+    try {
+      // Send startup message to admin
+      const escape = TelegramNotificationService.escapeMarkdown;
+      await bot.telegram.sendMessage(
+        ADMIN_CHAT_ID,
+        `🤖 *Forex Signal Pro Bot Started* \\- Version 4\\.0\n` +
+        `📊 *Real\\-Time Trading Signals Active*\n` +
+        `⏰ *Started:* ${escape(new Date().toLocaleString())}\n` +
+        `🔗 *API:* ${escape(process.env.API_URL || 'Live')}`,
+        { parse_mode: 'MarkdownV2' }
       );
-    `);
+    } catch (error) {
+      log.error('Telegram startup message failed', { error: error.message });
+    }
+    resolve();
+  }).catch(error => {
+    log.error('Telegram bot failed to start', { error: error.message });
+    resolve();
+  });
+});
 
-    // Create indexes
-    await client.query(`
-      CREATE INDEX IF NOT EXISTS idx_symbol_created_at ON signals(symbol, created_at);
-      CREATE INDEX IF NOT EXISTS idx_type ON signals(type);
-      CREATE INDEX IF NOT EXISTS idx_created_at ON signals(created_at);
-    `);
+// WebSocket Server for Real-time Data, sharing the HTTP server
+const realtime = new RealtimeHub({
+  server,
+  path: '/ws',
+  normalizeSymbol: (symbol) => {
+    const market = findMarket(symbol);
+    return market ? market.symbol : null;
+  },
+  getSnapshot: (channel, symbols) => buildSnapshot(channel, symbols)
+});
 
-    client.release();
-    console.log('✅ Database initialized successfully');
+// Bring the schema up to date; the migration lock keeps concurrent instances from racing
+const initDB = async () => {
+  try {
+    const applied = await migrator.migrate();
+    log.info('Database initialized', { migrationsApplied: applied.length });
   } catch (err) {
-    console.error('❌ Database initialization error:', err);
+    log.error('Database initialization failed', { error: err });
   }
 };
+const marketData = new RealMarketDataService({
+  providers: createProviders(process.env, { instruments }),
+  // Mock quotes are opt-in for local development only
+  mockProvider: process.env.ENABLE_MOCK_DATA === 'true' ? new MockProvider({ instruments }) : null,
+  cacheTtlMs: parseInt(process.env.QUOTE_CACHE_TTL_MS, 10) || 10000
+});
 
-// Advanced Technical Analysis with Multiple Indicators
-class AdvancedTechnicalAnalysis {
-  static async calculateRSI(prices, period = 14) {
-    return new Promise((resolve) => {
-      tulind.indicators.rsi.indicator([prices], [period], (err, results) => {
-        if (err || !results[0] || results[0].length === 0) {
-          resolve(50);
-        } else {
-          resolve(results[0][results[0].length - 1]);
-        }
-      });
-    });
-  }
+const telegramSubscriptions = new TelegramSubscriptionStore(pool);
+const telegramService = new TelegramNotificationService(bot, ADMIN_CHAT_ID, telegramSubscriptions);
 
-  static async calculateMACD(prices) {
-    return new Promise((resolve) => {
-      tulind.indicators.macd.indicator([prices], [12, 26, 9], (err, results) => {
-        if (err || !results[0] || results[0].length === 0) {
-          resolve({ macd: 0, signal: 0, histogram: 0 });
-        } else {
-          const macd = results[0][results[0].length - 1];
-          const signal = results[1][results[1].length - 1];
-          const histogram = results[2][results[2].length - 1];
-          resolve({ macd, signal, histogram });
-        }
-      });
-    });
-  }
+const tradingEngine = new PaperTradingEngine(pool, {
+  initialBalance: parseFloat(process.env.PAPER_INITIAL_BALANCE) || 10000,
+  stopLossPct: parseFloat(process.env.PAPER_STOP_LOSS_PCT) || 1,
+  takeProfitPct: parseFloat(process.env.PAPER_TAKE_PROFIT_PCT) || 2
+});
 
-  static async calculateBollingerBands(prices, period = 20) {
-    return new Promise((resolve) => {
-      tulind.indicators.bbands.indicator([prices], [period, 2], (err, results) => {
-        if (err || !results[0] || results[0].length === 0) {
-          resolve({ upper: 0, middle: 0, lower: 0 });
-        } else {
-          resolve({
-            upper: results[0][results[0].length - 1],
-            middle: results[1][results[1].length - 1],
-            lower: results[2][results[2].length - 1]
-          });
-        }
-      });
-    });
-  }
+const accountAnalytics = new AccountAnalytics(pool, tradingEngine, {
+  periodsPerYear: parseInt(process.env.ANALYTICS_PERIODS_PER_YEAR, 10) || 252
+});
 
-  static async calculateStochastic(highs, lows, closes, period = 14) {
-    return new Promise((resolve) => {
-      tulind.indicators.stoch.indicator([highs, lows, closes], [14, 3, 3], (err, results) => {
-        if (err || !results[0] || results[0].length === 0) {
-          resolve({ k: 50, d: 50 });
-        } else {
-          resolve({
-            k: results[0][results[0].length - 1],
-            d: results[1][results[1].length - 1]
-          });
-        }
-      });
-    });
-  }
+metrics.setSource('websocketClients', () => realtime.size);
+metrics.setSource('paperEquity', () => tradingEngine.getEquity());
 
-  static async generateAdvancedSignal(currentPrice, historicalPrices, highs, lows) {
-    try {
-      const [rsi, macd, bollinger, stochastic] = await Promise.all([
-        this.calculateRSI(historicalPrices),
-        this.calculateMACD(historicalPrices),
-        this.calculateBollingerBands(historicalPrices),
-        this.calculateStochastic(highs, lows, historicalPrices)
-      ]);
-
-      let signal = 'NEUTRAL';
-      let strength = 'HOLD';
-      let confidence = 50;
-      let signalPoints = 0;
-
-      // RSI Analysis (0-3 points)
-      if (rsi < 25) {
-        signalPoints += 3;
-        confidence += 20;
-      } else if (rsi < 35) {
-        signalPoints += 2;
-        confidence += 10;
-      } else if (rsi > 75) {
-        signalPoints -= 3;
-        confidence += 20;
-      } else if (rsi > 65) {
-        signalPoints -= 2;
-        confidence += 10;
-      }
+// Latest live quote per symbol, used for WebSocket snapshots
+const latestPrices = new Map();
 
-      // MACD Analysis (0-3 points)
-      if (macd.macd > macd.signal && macd.histogram > 0) {
-        signalPoints += 3;
-        confidence += 15;
-      } else if (macd.macd < macd.signal && macd.histogram < 0) {
-        signalPoints -= 3;
-        confidence += 15;
-      }
+// Live order routing through ccxt; without EXCHANGE_ID every symbol stays on paper
+const exchange = createExchange(process.env, {
+  getPrice: (symbol) => (latestPrices.has(symbol) ? latestPrices.get(symbol).price : null)
+});
+const liveExecution = exchange
+  ? new CcxtExecutionAdapter(pool, exchange, { symbolMap: parseSymbolMap(process.env.EXCHANGE_SYMBOL_MAP) })
+  : null;
+const livePositions = liveExecution ? new LivePositionManager(pool, liveExecution) : null;
+const executionModes = new ExecutionModeStore(pool);
+
+// Only crypto markets can be routed to the exchange
+const canTradeLive = (market) => Boolean(liveExecution) && market.type === 'crypto';
+const tradesLive = (market) => canTradeLive(market) && executionModes.getMode(market.symbol) === 'live';
+
+if (liveExecution) {
+  liveExecution.on('order', order => {
+    realtime.publish('trades', order.symbol, { type: 'order_update', data: order });
+    webhooks.publish('order.updated', order);
+  });
+  livePositions.on('position', position => {
+    publishTrade(position.status === 'CLOSED' ? 'closed' : 'opened', position);
+  });
+}
 
-      // Bollinger Bands Analysis (0-2 points)
-      if (currentPrice < bollinger.lower) {
-        signalPoints += 2; // Oversold, potential buy
-        confidence += 10;
-      } else if (currentPrice > bollinger.upper) {
-        signalPoints -= 2; // Overbought, potential sell
-        confidence += 10;
-      }
+const riskManager = new RiskManager(pool, tradingEngine, {
+  livePositions,
+  riskPerTradePct: parseFloat(process.env.RISK_PER_TRADE_PCT) || 1,
+  atrStopMultiplier: parseFloat(process.env.RISK_ATR_STOP_MULTIPLIER) || 2,
+  rewardRiskRatio: parseFloat(process.env.RISK_REWARD_RATIO) || 2,
+  maxPositionPct: parseFloat(process.env.RISK_MAX_POSITION_PCT) || 200,
+  maxOpenPositions: parseInt(process.env.RISK_MAX_OPEN_POSITIONS, 10) || 5,
+  maxCurrencyExposurePct: parseFloat(process.env.RISK_MAX_CURRENCY_EXPOSURE_PCT) || 400,
+  dailyLossLimitPct: parseFloat(process.env.RISK_DAILY_LOSS_LIMIT_PCT) || 3
+});
 
-      // Stochastic Analysis (0-2 points)
-      if (stochastic.k < 20 && stochastic.d < 20) {
-        signalPoints += 2;
-        confidence += 10;
-      } else if (stochastic.k > 80 && stochastic.d > 80) {
-        signalPoints -= 2;
-        confidence += 10;
-      }
+const publishPortfolio = async () => {
+  try {
+    realtime.publish('portfolio', null, {
+      type: 'portfolio_update',
+      data: await tradingEngine.getPortfolio()
+    });
+  } catch (error) {
+    log.error('Portfolio publish failed', { error: error.message });
+  }
+};
 
-      // Determine final signal
-      if (signalPoints >= 6) {
-        signal = 'BUY';
-        strength = signalPoints >= 8 ? 'STRONG BUY' : 'BUY';
-      } else if (signalPoints <= -6) {
-        signal = 'SELL';
-        strength = signalPoints <= -8 ? 'STRONG SELL' : 'SELL';
-      }
+const publishTrade = (action, trade) => {
+  realtime.publish('trades', trade.symbol, {
+    type: 'trade_execution',
+    data: { action, trade }
+  });
+  webhooks.publish(`trade.${action}`, trade);
+  publishPortfolio();
+};
 
-      // Confidence calculation with multiple indicators
-      confidence = Math.max(30, Math.min(95, confidence + Math.abs(signalPoints) * 3));
+tradingEngine.on('opened', trade => publishTrade('opened', trade));
+tradingEngine.on('closed', trade => publishTrade('closed', trade));
 
-      return {
-        signal,
-        strength,
-        confidence: Math.round(confidence),
-        rsi: Math.round(rsi * 100) / 100,
-        macd,
-        bollinger_bands: bollinger,
-        stochastic,
-        signal_points: signalPoints
-      };
+// Deliver fired user alerts on the channels each rule asked for
+alertEngine.on('fired', async ({ alert, event }) => {
+  log.info('Alert fired', { alertId: alert.id, alertName: event.alertName, symbol: event.symbol, message: event.message });
+  if (alert.channels.includes('websocket')) {
+    realtime.publish('alerts', event.symbol, { type: 'alert_triggered', data: event });
+  }
+  if (alert.channels.includes('telegram')) {
+    await telegramService.sendAlert(event, alert.telegramChatId);
+  }
+  await webhooks.publish('alert.fired', { alert, event });
+});
 
-    } catch (error) {
-      console.error('Technical analysis error:', error);
-      return {
-        signal: 'NEUTRAL',
-        strength: 'HOLD',
-        confidence: 50,
-        rsi: 50
-      };
+// Initial state sent to a client right after it subscribes
+const buildSnapshot = async (channel, symbols) => {
+  const wanted = (symbol) => !symbols || symbols.includes(symbol);
+
+  switch (channel) {
+    case 'prices':
+      return Array.from(latestPrices.values()).filter(p => wanted(p.symbol));
+    case 'signals': {
+      const result = await pool.query(`
+        SELECT DISTINCT ON (s.symbol) s.*
+        FROM signals s
+        ORDER BY s.symbol, s.created_at DESC
+      `);
+      return result.rows.filter(row => wanted(row.symbol));
     }
+    case 'trades':
+      return tradingEngine.getOpenPositions().filter(p => wanted(p.symbol));
+    case 'portfolio':
+      return tradingEngine.getPortfolio();
+    case 'alerts': {
+      const history = await alertEngine.getHistory({ limit: 50 });
+      return history.filter(event => wanted(event.symbol));
+    }
+    default:
+      return null;
   }
-}
+};
 
-// Real Market Data Service with Multiple Sources
-class RealMarketDataService {
-  constructor() {
-    this.sources = [
-      'finnhub',
-      'twelvedata',
-      'alphavantage'
-    ];
-  }
+// Mock quotes must never end up in candles, signals or trades
+const isRealQuote = (priceData) => Boolean(priceData) && !priceData.mock;
 
-  async getRealTimePrice(symbol) {
-    try {
-      // Try Finnhub first (Forex data available)
-      const finnhubResponse = await axios.get(`https://finnhub.io/api/v1/quote`, {
-        params: {
-          symbol: this.formatSymbolForFinnhub(symbol),
-          token: process.env.FINNHUB_API_KEY
-        },
-        timeout: 5000
-      });
+// Source and timestamp of the last quote recorded per symbol. The candle and signal jobs both
+// record quotes and share the quote cache, so the same quote can reach recordQuote twice.
+const recordedQuotes = new Map();
 
-      if (finnhubResponse.data && finnhubResponse.data.c) {
-        return {
-          price: finnhubResponse.data.c,
-          change: finnhubResponse.data.d,
-          changePercent: finnhubResponse.data.dp,
-          high: finnhubResponse.data.h,
-          low: finnhubResponse.data.l,
-          open: finnhubResponse.data.o,
-          timestamp: new Date().toISOString(),
-          source: 'finnhub'
-        };
-      }
-    } catch (error) {
-      console.log(`❌ Finnhub failed for ${symbol}, trying fallback...`);
-    }
+// Store a live quote as candle data and mark any open paper position to it
+const recordQuote = async (symbol, priceData) => {
+  if (!isRealQuote(priceData)) return;
 
-    // Fallback to reliable mock data with realistic movements
-    return this.generateRealisticPrice(symbol);
-  }
+  const quoteKey = `${priceData.source}:${priceData.timestamp}`;
+  if (recordedQuotes.get(symbol) === quoteKey) return;
+  recordedQuotes.set(symbol, quoteKey);
 
-  formatSymbolForFinnhub(symbol) {
-    const symbolMap = {
-      'EUR/USD': 'OANDA:EUR_USD',
-      'GBP/USD': 'OANDA:GBP_USD',
-      'USD/JPY': 'OANDA:USD_JPY',
-      'USD/CHF': 'OANDA:USD_CHF',
-      'AUD/USD': 'OANDA:AUD_USD',
-      'USD/CAD': 'OANDA:USD_CAD',
-      'XAU/USD': 'OANDA:XAU_USD',
-      'BTC/USD': 'BINANCE:BTCUSDT',
-      'ETH/USD': 'BINANCE:ETHUSDT'
-    };
-    return symbolMap[symbol] || symbol;
-  }
-
-  generateRealisticPrice(symbol) {
-    const basePrices = {
-      'EUR/USD': { price: 1.0850, volatility: 0.0002 },
-      'GBP/USD': { price: 1.2650, volatility: 0.0003 },
-      'USD/JPY': { price: 147.50, volatility: 0.015 },
-      'USD/CHF': { price: 0.8800, volatility: 0.0002 },
-      'AUD/USD': { price: 0.6520, volatility: 0.0004 },
-      'USD/CAD': { price: 1.3500, volatility: 0.0003 },
-      'XAU/USD': { price: 2025.50, volatility: 0.5 },
-      'BTC/USD': { price: 42500, volatility: 50 },
-      'ETH/USD': { price: 2550, volatility: 5 },
-      'AAPL': { price: 185.50, volatility: 0.1 },
-      'TSLA': { price: 245.75, volatility: 0.2 },
-      'GOOGL': { price: 138.20, volatility: 0.12 },
-      'MSFT': { price: 375.80, volatility: 0.11 }
-    };
+  await candleStore.ingestQuote(symbol, priceData);
 
-    const base = basePrices[symbol] || { price: 100, volatility: 0.01 };
-    
-    // Realistic price movement with market trends
-    const trend = (Math.random() - 0.5) * base.volatility * 0.8;
-    const noise = (Math.random() - 0.5) * 2 * base.volatility;
-    const marketMove = (Math.random() - 0.5) * base.volatility * 0.3;
-    
-    const newPrice = base.price * (1 + trend + noise + marketMove);
-    const finalPrice = Math.max(newPrice, base.price * 0.8);
-    
-    const change = finalPrice - base.price;
-    const changePercent = (change / base.price) * 100;
+  const update = { symbol, ...priceData };
+  latestPrices.set(symbol, update);
+  realtime.publish('prices', symbol, { type: 'price_update', data: update });
 
-    return {
-      price: parseFloat(finalPrice.toFixed(5)),
-      change: parseFloat(change.toFixed(5)),
-      changePercent: parseFloat(changePercent.toFixed(3)),
-      high: parseFloat((finalPrice * 1.001).toFixed(5)),
-      low: parseFloat((finalPrice * 0.999).toFixed(5)),
-      open: base.price,
-      timestamp: new Date().toISOString(),
-      source: 'advanced-mock'
-    };
+  const closed = await tradingEngine.updateMarketPrice(symbol, priceData.price);
+  if (closed && closed.status === 'CLOSED') {
+    log.info('Paper position closed', { symbol, exitReason: closed.exitReason, pnl: closed.pnl });
   }
-
-  generateHistoricalData(currentPrice, count = 100) {
-    const data = [];
-    let price = currentPrice;
-    
-    for (let i = 0; i < count; i++) {
-      const volatility = 0.0002 + (Math.random() * 0.001);
-      const change = (Math.random() - 0.5) * 2 * volatility;
-      price = price * (1 + change);
-      
-      data.push({
-        price: parseFloat(price.toFixed(5)),
-        high: parseFloat((price * (1 + Math.random() * 0.002)).toFixed(5)),
-        low: parseFloat((price * (1 - Math.random() * 0.002)).toFixed(5)),
-        timestamp: new Date(Date.now() - (count - i) * 60000).toISOString()
-      });
-    }
-    
-    return data;
+  if (livePositions) {
+    await livePositions.checkLevels(symbol, priceData.price);
   }
-}
 
-const marketData = new RealMarketDataService();
+  await alertEngine.onPrice(symbol, priceData.price);
+};
 
-// Telegram Notification Service
-class TelegramNotificationService {
-  constructor(bot, chatId) {
-    this.bot = bot;
-    this.chatId = chatId;
-  }
+// Roll the latest quote of every market into the candle store
+const ingestCandles = async () => {
+  for (const market of instruments.enabled()) {
+    // Quotes of a closed market are stale and would only flatten the candles
+    if (!marketCalendar.isOpen(market)) continue;
 
-  async sendSignalNotification(signal) {
     try {
-      const message = this.formatSignalMessage(signal);
-      await this.bot.telegram.sendMessage(this.chatId, message, {
-        parse_mode: 'MarkdownV2',
-        disable_web_page_preview: true
-      });
-      
-      console.log(`✅ Telegram notification sent for ${signal.symbol}`);
-      return true;
+      const priceData = await marketData.getRealTimePrice(market.symbol);
+      await recordQuote(market.symbol, priceData);
     } catch (error) {
-      console.error('❌ Telegram send error:', error.message);
-      return false;
+      log.error('Candle ingestion failed', { symbol: market.symbol, error: error.message });
     }
   }
+};
 
-  formatSignalMessage(signal) {
-    const signalIcon = signal.signal === 'BUY' ? '🟢' : signal.signal === 'SELL' ? '🔴' : '🟡';
-    const strengthIcon = signal.strength.includes('STRONG') ? '🔥' : '⚡';
-    
-    return `
-${signalIcon} *${signal.symbol}* ${strengthIcon} *${signal.strength}*
-
-📊 *Signal:* ${signal.signal}
-🎯 *Confidence:* ${signal.confidence}%
-💰 *Price:* $${signal.price}
+// Match a route parameter such as "EUR/USD", "EUR-USD" or "eurusd" to an instrument
+const findMarket = (param) => instruments.find(param);
 
-*Technical Analysis:*
-📈 *RSI:* ${signal.rsi}
-💹 *Signal Points:* ${signal.signal_points}
+// Symbols are processed in parallel; risk checks and order placement run one at a time so
+// position limits and the paper balance are checked against settled state
+let tradeQueue = Promise.resolve();
+const withTradeLock = (fn) => {
+  const run = tradeQueue.then(fn, fn);
+  tradeQueue = run.catch(() => {});
+  return run;
+};
 
-⏰ *Time:* ${new Date(signal.created_at).toLocaleString()}
+// Send an approved signal to the exchange or the paper engine, depending on the symbol's mode
+const executeSignal = async (market, signal, decision) => {
+  if (tradesLive(market)) {
+    const order = await livePositions.open(signal, decision);
+    if (order) {
+      log.info('Live order placed', { symbol: market.symbol, side: order.side, clientOrderId: order.clientOrderId, status: order.status });
+    }
+    return;
+  }
 
-*Powered by Advanced AI Trading Bot* 🤖
-    `.trim();
+  const trade = await tradingEngine.executeTrade(
+    { ...signal, stopLoss: decision.stopLoss, targetPrice: decision.targetPrice },
+    decision.amount
+  );
+  if (trade) {
+    log.info('Paper position opened', {
+      symbol: market.symbol,
+      type: trade.type,
+      entryPrice: trade.entryPrice,
+      stopLoss: trade.stopLoss,
+      targetPrice: trade.targetPrice
+    });
   }
+};
 
-  async sendSystemAlert(message) {
-    try {
-      await this.bot.telegram.sendMessage(this.chatId, `🚨 *System Alert:* ${message}`, {
-        parse_mode: 'MarkdownV2'
-      });
-    } catch (error) {
-      console.error('Telegram alert error:', error);
-    }
+// Chart of a signal with the stop and target the risk manager would give it, or null
+const renderSignalChart = async (signal, series) => {
+  try {
+    const { stopLoss, targetPrice } = await riskManager.levels(signal, series);
+    return await chartRenderer.render(signal.symbol, {
+      levels: { entry: signal.price, stopLoss, takeProfit: targetPrice },
+      label: `${signal.strength} ${signal.confidence}%`,
+      direction: signal.signal
+    });
+  } catch (error) {
+    log.error('Chart rendering failed', { symbol: signal.symbol, error: error.message });
+    return null;
   }
-}
+};
 
-const telegramService = new TelegramNotificationService(bot, ADMIN_CHAT_ID);
+// Check live orders against the exchange
+const reconcileOrders = async () => {
+  try {
+    const symbols = instruments.enabled().filter(tradesLive).map(m => m.symbol);
+    const report = await liveExecution.reconcile(symbols);
+    if (report.updated) log.info('Open orders reconciled', { updated: report.updated, checked: report.checked });
+    return report;
+  } catch (error) {
+    log.error('Order reconciliation failed', { error: error.message });
+    return null;
+  }
+};
 
-// Paper Trading Engine
-class PaperTradingEngine {
-  constructor() {
-    this.balance = 10000;
-    this.positions = new Map();
-    this.tradeHistory = [];
+// Generate an advanced signal for one market with real data. Returns the stored signal, or null.
+// `abort` fires when the job runner gives up on the symbol. The next run may already be handling
+// the symbol by then, so storing, the state change and trading check it first. Once the state
+// change is saved the signal is always published and notified: the next run would only see a
+// REPEAT of it.
+const generateSignalForMarket = async (market, { signal: abort }) => {
+  const timedOut = (step) => {
+    if (abort.aborted) log.warn('Symbol timed out, skipping the rest of its run', { symbol: market.symbol, step });
+    return abort.aborted;
+  };
+
+  const marketStatus = marketCalendar.getStatus(market);
+  if (!marketStatus.open) {
+    log.debug('Skipping closed market', { symbol: market.symbol });
+    return null;
   }
 
-  executeTrade(signal, amount = 1000) {
-    try {
-      const trade = {
-        id: Date.now(),
-        symbol: signal.symbol,
-        type: signal.signal,
-        entryPrice: signal.price,
-        amount,
-        timestamp: new Date(),
-        status: 'EXECUTED'
-      };
-
-      this.tradeHistory.push(trade);
-      
-      // Calculate simple P&L for demonstration
-      const priceMove = (Math.random() - 0.5) * signal.price * 0.02;
-      trade.exitPrice = signal.price + priceMove;
-      trade.pnl = trade.type === 'BUY' ? priceMove * amount : -priceMove * amount;
-      
-      this.balance += trade.pnl;
-
-      return trade;
-    } catch (error) {
-      console.error('Trade execution error:', error);
-      return null;
-    }
+  log.debug('Processing market', { symbol: market.symbol });
+  
+  // Get real-time price data
+  const priceData = await marketData.getRealTimePrice(market.symbol);
+  const currentPrice = priceData.price;
+
+  if (!isRealQuote(priceData)) {
+    log.warn('Skipping market: only mock data available', { symbol: market.symbol });
+    return null;
   }
 
-  getPortfolio() {
-    return {
-      balance: this.balance,
-      totalTrades: this.tradeHistory.length,
-      winningTrades: this.tradeHistory.filter(t => t.pnl > 0).length,
-      totalPnl: this.tradeHistory.reduce((sum, t) => sum + t.pnl, 0)
-    };
+  await recordQuote(market.symbol, priceData);
+
+  // Strategy and parameters assigned to this symbol
+  const config = strategyConfigs.getForSymbol(market.symbol);
+  const strategy = strategies.get(config.strategy);
+
+  // Generate advanced trading signal on every confluence timeframe from stored candles
+  const analysis = await confluence.analyze(market.symbol, currentPrice, strategy, config.params);
+  const { prices: historicalPrices, highs, lows, opens } = analysis.series;
+
+  if (!analysis.signalData) {
+    log.info('Skipping market: not enough candles', {
+      symbol: market.symbol,
+      timeframe: SIGNAL_TIMEFRAME,
+      candles: historicalPrices.length,
+      required: analysis.minCandles
+    });
+    return null;
   }
-}
 
-const tradingEngine = new PaperTradingEngine();
+  const signalData = analysis.signalData;
 
-// Generate advanced signals with real data
-const generateAdvancedSignals = async () => {
-  console.log('🚀 Generating advanced trading signals...');
-  const newSignals = [];
-  
-  for (const market of MARKET_SYMBOLS) {
-    try {
-      console.log(`📈 Processing ${market.symbol} with advanced analysis...`);
-      
-      // Get real-time price data
-      const priceData = await marketData.getRealTimePrice(market.symbol);
-      const currentPrice = priceData.price;
-
-      // Generate realistic historical data
-      const historicalData = marketData.generateHistoricalData(currentPrice, 100);
-      const historicalPrices = historicalData.map(d => d.price);
-      const highs = historicalData.map(d => d.high);
-      const lows = historicalData.map(d => d.low);
-
-      // Generate advanced trading signal
-      const signalData = await AdvancedTechnicalAnalysis.generateAdvancedSignal(
-        currentPrice, 
-        historicalPrices,
-        highs,
-        lows
-      );
+  // Only strong signals are paper traded
+  const isStrongSignal = signalData.confidence >= STRONG_SIGNAL_CONFIDENCE && signalData.signal !== 'NEUTRAL';
 
-      // Only send strong signals to Telegram
-      const isStrongSignal = signalData.confidence >= 70 && signalData.signal !== 'NEUTRAL';
-
-      // Store the signal
-      const signalResult = await pool.query(
-        `INSERT INTO signals (symbol, name, type, signal, strength, confidence, price, rsi, macd, bollinger_bands, stochastic, moving_average) 
-         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12) 
-         RETURNING id, created_at`,
-        [
-          market.symbol, market.name, market.type, signalData.signal, 
-          signalData.strength, signalData.confidence, currentPrice, 
-          signalData.rsi, signalData.macd, signalData.bollinger_bands,
-          signalData.stochastic, signalData.moving_average
-        ]
-      );
+  // Scheduled releases around now for the pair's currencies
+  const news = await economicCalendar.riskFor(market);
+  const newsTitles = news.events.map(event => `${event.currency} ${event.title}`);
+  if (news.newsRisk && NEWS_SIGNAL_MODE === 'suppress' && signalData.signal !== 'NEUTRAL') {
+    log.info('Signal suppressed: news risk', { symbol: market.symbol, signal: signalData.signal, events: newsTitles });
+    return null;
+  }
 
-      const signal = {
-        id: signalResult.rows[0].id,
-        symbol: market.symbol,
-        name: market.name,
-        type: market.type,
-        signal: signalData.signal,
-        strength: signalData.strength,
-        confidence: signalData.confidence,
-        price: currentPrice,
-        rsi: signalData.rsi,
-        macd: signalData.macd,
-        bollinger_bands: signalData.bollinger_bands,
-        stochastic: signalData.stochastic,
-        signal_points: signalData.signal_points,
-        created_at: signalResult.rows[0].created_at
-      };
-
-      newSignals.push(signal);
-
-      // Broadcast via WebSocket
-      broadcast({
-        type: 'new_signal',
-        data: signal
-      });
+  if (timedOut('store')) return null;
+
+  // Full indicator snapshot and patterns; strategies other than the multi-indicator scorer do not return them
+  const indicators = signalData.indicators ||
+    await AdvancedTechnicalAnalysis.calculateIndicators(currentPrice, { prices: historicalPrices, highs, lows });
+  const movingAverage = signalData.moving_average || indicators.moving_average;
+  const patterns = signalData.patterns ||
+    PatternRecognition.analyze({ opens, highs, lows, closes: historicalPrices }, currentPrice).patterns;
+
+  // Store the signal
+  const signalResult = await pool.query(
+    `INSERT INTO signals (symbol, name, type, signal, strength, confidence, price, rsi, macd, bollinger_bands, stochastic, moving_average, strategy, strategy_version, contributions, session, news_risk, indicators, confluence, patterns) 
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20) 
+     RETURNING id, created_at`,
+    [
+      market.symbol, market.name, market.type, signalData.signal, 
+      signalData.strength, signalData.confidence, currentPrice, 
+      signalData.rsi, signalData.macd, signalData.bollinger_bands,
+      signalData.stochastic, movingAverage,
+      config.strategy, config.version, signalData.contributions, marketStatus.session, news.newsRisk,
+      indicators, analysis.confluence, JSON.stringify(patterns)
+    ]
+  );
+
+  const signal = {
+    id: signalResult.rows[0].id,
+    symbol: market.symbol,
+    name: market.name,
+    type: market.type,
+    signal: signalData.signal,
+    strength: signalData.strength,
+    confidence: signalData.confidence,
+    price: currentPrice,
+    rsi: signalData.rsi,
+    macd: signalData.macd,
+    bollinger_bands: signalData.bollinger_bands,
+    stochastic: signalData.stochastic,
+    moving_average: movingAverage,
+    indicators,
+    filtered_by: signalData.filtered_by || null,
+    confluence: analysis.confluence,
+    patterns,
+    signal_points: signalData.signal_points,
+    strategy: config.strategy,
+    strategy_version: config.version,
+    contributions: signalData.contributions,
+    session: marketStatus.session,
+    news_risk: news.newsRisk,
+    news_events: news.events,
+    created_at: signalResult.rows[0].created_at
+  };
+
+  metrics.signalsGenerated.inc({ symbol: market.symbol, signal: signal.signal });
+  if (timedOut('state')) return null;
+
+  // Repeats confirm the symbol's open signal; only activation notifies and trades
+  const transition = await signalStates.observe(signal);
+  signal.state_event = transition.event;
+  signal.state = transition.state;
+  const activated = transition.event === 'ACTIVATED';
+
+  // Broadcast via WebSocket
+  realtime.publish('signals', market.symbol, {
+    type: 'new_signal',
+    data: signal
+  });
+
+  await webhooks.publish('signal.created', signal);
+  await alertEngine.onSignal(signal);
+
+  // Send to Telegram: the admin gets strong signals, subscribers get what matches their filters
+  if (activated) {
+    await telegramService.sendSignalNotification(signal, {
+      renderChart: TELEGRAM_CHARTS ? () => renderSignalChart(signal, { highs, lows, closes: historicalPrices }) : null
+    });
+  }
 
-      // Send to Telegram for strong signals
-      if (isStrongSignal) {
-        await telegramService.sendSignalNotification(signal);
-        
-        // Execute paper trade for strong signals
-        const trade = tradingEngine.executeTrade(signal);
-        if (trade) {
-          console.log(`✅ Paper trade executed for ${market.symbol}: ${trade.type} P&L: $${trade.pnl.toFixed(2)}`);
-        }
+  if (!activated) {
+    log.debug('Signal not traded: no state change', { symbol: market.symbol, event: transition.event });
+  } else if (timedOut('trade')) {
+    return null;
+  } else if (isStrongSignal && news.blockTrading) {
+    log.info('Not trading inside a high-impact news window', { symbol: market.symbol, events: newsTitles });
+  } else if (isStrongSignal && !sessionFilters.allows(market.symbol, marketStatus.sessions)) {
+    log.info('Not trading outside the allowed sessions', {
+      symbol: market.symbol,
+      session: marketStatus.session,
+      allowed: sessionFilters.getSessions(market.symbol)
+    });
+  } else if (isStrongSignal) {
+    // Execute strong signals, sized and vetted by the risk manager
+    await withTradeLock(async () => {
+      // The lock may have been held past the symbol's timeout
+      if (timedOut('trade')) return;
+
+      // Spot accounts cannot short: a live SELL only closes the long position, and closing is never refused
+      if (tradesLive(market) && signal.signal === 'SELL') {
+        const order = await livePositions.close(market.symbol, 'SIGNAL');
+        if (!order) log.info('Live SELL ignored: no open position', { symbol: market.symbol });
+        return;
       }
 
-      console.log(`✅ ${signalData.signal} signal for ${market.symbol}: ${signalData.strength} (${signalData.confidence}% confidence, ${signalData.signal_points} points)`);
+      // Likewise a paper position against the signal is closed whatever the risk review decides;
+      // the review only covers opening the new position
+      const opposite = tradesLive(market) ? null : tradingEngine.getOpenPosition(market.symbol);
+      if (opposite && opposite.type !== signal.signal) {
+        const closed = await tradingEngine.closePosition(opposite.id, signal.price, 'OPPOSITE_SIGNAL');
+        if (closed) log.info('Paper position closed on opposite signal', { symbol: market.symbol, type: closed.type, pnl: closed.pnl });
+      }
 
-    } catch (error) {
-      console.error(`❌ Error generating signal for ${market.symbol}:`, error.message);
-    }
+      const decision = await riskManager.review(signal, { highs, lows, closes: historicalPrices });
+      if (!decision.approved && decision.reason !== 'POSITION_OPEN') {
+        log.info('Trade rejected by risk manager', { symbol: market.symbol, reason: decision.reason, message: decision.message });
+      } else if (decision.approved) {
+        await executeSignal(market, signal, decision);
+      }
+    });
   }
 
-  return newSignals;
+  log.info('Signal generated', {
+    symbol: market.symbol,
+    signalId: signal.id,
+    signal: signalData.signal,
+    strength: signalData.strength,
+    confidence: signalData.confidence,
+    points: signalData.signal_points,
+    strategy: config.strategy,
+    strategyVersion: config.version,
+    stateEvent: transition.event
+  });
+  return signal;
 };
 
+// One signal run over every enabled instrument, with its own correlation id on every log entry,
+// timed for /metrics. Resolves to { run, signals }; signals is null when an overlapping run was skipped.
+const generateAdvancedSignals = ({ trigger = 'schedule', force = false, overlap } = {}) =>
+  withLogContext({ cycleId: crypto.randomUUID() }, async () => {
+    log.info('Signal cycle started', { trigger });
+    const stopTimer = metrics.signalCycleDuration.startTimer();
+    try {
+      const { run, results } = await jobRunner.run('signals', instruments.enabled(), generateSignalForMarket, {
+        key: market => market.symbol,
+        trigger,
+        force,
+        overlap
+      });
+      return { run, signals: results && results.filter(Boolean) };
+    } finally {
+      log.info('Signal cycle finished', { durationSeconds: stopTimer() });
+    }
+  });
+
 // API Routes
 
 // Health check
@@ -633,11 +651,42 @@ app.get('/api/health', (req, res) => {
       'Advanced Technical Analysis',
       'Telegram Notifications',
       'Paper Trading Engine',
-      'Multi-Indicator Signals'
+      'Multi-Indicator Signals',
+      'Persistent OHLCV Candles',
+      'Strategy Backtesting',
+      'Per-Symbol Strategies',
+      'Telegram Commands & Subscriptions',
+      'Signal Outcome Tracking',
+      'Risk Management',
+      'Exchange Execution (ccxt)',
+      'Market Hours & Sessions',
+      'Instrument Management',
+      'Custom Alerts',
+      'Signed Webhooks',
+      'Economic Calendar',
+      'Prometheus Metrics',
+      'Concurrent Signal Jobs',
+      'Signal State Tracking',
+      'Trend & Volatility Regime Filters',
+      'Multi-Timeframe Confluence',
+      'Candlestick & Chart Patterns',
+      'Account Performance Analytics',
+      'Signal Charts'
     ]
   });
 });
 
+// Prometheus scrape endpoint
+app.get('/metrics', async (req, res) => {
+  try {
+    res.set('Content-Type', metrics.register.contentType);
+    res.send(await metrics.register.metrics());
+  } catch (error) {
+    log.error('Error collecting metrics', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Get latest signals
 app.get('/api/signals', async (req, res) => {
   try {
@@ -648,183 +697,1371 @@ app.get('/api/signals', async (req, res) => {
       ORDER BY s.symbol, s.created_at DESC
     `);
 
-    res.json(result.rows);
+    // Each symbol's open signal state, with how long it has been active
+    const now = new Date();
+    res.json(result.rows.map(row => ({ ...row, active_signal: signalStates.get(row.symbol, now) })));
   } catch (error) {
-    console.error('❌ Error fetching signals:', error);
+    log.error('Error fetching signals', { error });
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Get signal history
-app.get('/api/signals/history', async (req, res) => {
+// Signal accuracy by symbol, strength, confidence bucket and contributing indicator
+app.get('/api/signals/performance', async (req, res) => {
   try {
-    const { symbol, type, days = 7, limit = 100 } = req.query;
-    
-    let query = `
-      SELECT s.*
-      FROM signals s
-      WHERE s.created_at >= NOW() - INTERVAL '${days} days'
-    `;
-    
-    const params = [];
-    let paramCount = 0;
-
-    if (symbol) {
-      paramCount++;
-      query += ` AND s.symbol = $${paramCount}`;
-      params.push(symbol);
+    const horizons = signalOutcomes.horizons.map(h => h.label);
+    const horizon = req.query.horizon || horizons[0];
+    if (!horizons.includes(horizon)) {
+      return res.status(400).json({ error: `Invalid horizon. Supported: ${horizons.join(', ')}` });
     }
 
-    if (type) {
-      paramCount++;
-      query += ` AND s.type = $${paramCount}`;
-      params.push(type);
+    const days = parseInt(req.query.days, 10) || 30;
+    if (days < 1 || days > 365) {
+      return res.status(400).json({ error: 'days must be between 1 and 365' });
     }
 
-    query += ` ORDER BY s.created_at DESC LIMIT ${limit}`;
-
-    const result = await pool.query(query, params);
-    res.json(result.rows);
+    res.json(await signalOutcomes.getPerformance({ horizon, days }));
   } catch (error) {
-    console.error('❌ Error fetching signal history:', error);
+    log.error('Error fetching signal performance', { error });
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Get market prices (real-time)
-app.get('/api/prices', async (req, res) => {
+// Signal history: filtered, sorted and cursor-paginated (see lib/signalHistory.js for the parameters).
+// The body stays a plain array of signals; the cursor of the next page is in X-Next-Cursor.
+app.get('/api/signals/history', async (req, res) => {
   try {
-    const prices = [];
-    
-    for (const market of MARKET_SYMBOLS) {
-      const priceData = await marketData.getRealTimePrice(market.symbol);
-      
-      prices.push({
-        symbol: market.symbol,
-        name: market.name,
-        type: market.type,
-        price: priceData.price,
-        change: priceData.change,
-        changePercent: priceData.changePercent,
-        high: priceData.high,
-        low: priceData.low,
-        open: priceData.open,
-        timestamp: priceData.timestamp,
-        source: priceData.source
-      });
+    const options = SignalHistory.parseQuery(req.query, { normalizeSymbol: symbol => (findMarket(symbol) || {}).symbol });
+    if (options.error) {
+      return res.status(400).json({ error: options.error });
     }
 
-    res.json(prices);
+    const { rows, nextCursor } = await signalHistory.page(options);
+    if (nextCursor) res.set('X-Next-Cursor', nextCursor);
+    res.json(rows);
   } catch (error) {
-    console.error('❌ Error fetching prices:', error);
-    res.status(500).json({ error: 'Failed to fetch prices' });
+    log.error('Error fetching signal history', { error });
+    res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Manual signal generation
-app.post('/api/signals/generate', async (req, res) => {
+// Stream every signal matching the history filters as CSV, NDJSON or a JSON array.
+// Rows are read in batches and written as the client consumes them; limit does not apply.
+app.get('/api/signals/export', async (req, res) => {
+  const format = req.query.format || 'csv';
+  if (!SignalHistory.EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `format must be one of: ${SignalHistory.EXPORT_FORMATS.join(', ')}` });
+  }
+  const { limit, ...query } = req.query;
+  const options = SignalHistory.parseQuery(query, { normalizeSymbol: symbol => (findMarket(symbol) || {}).symbol });
+  if (options.error) {
+    return res.status(400).json({ error: options.error });
+  }
+
+  const contentTypes = { csv: 'text/csv', ndjson: 'application/x-ndjson', json: 'application/json' };
+  res.setHeader('Content-Type', `${contentTypes[format]}; charset=utf-8`);
+  res.setHeader('Content-Disposition', `attachment; filename="signals-${new Date().toISOString().slice(0, 10)}.${format}"`);
+
+  // Resolves once the chunk is buffered, or when the client goes away
+  const write = (chunk) => new Promise(resolve => {
+    if (res.write(chunk)) return resolve();
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+
+  let exported = 0;
   try {
-    const newSignals = await generateAdvancedSignals();
-    res.json({ 
-      message: 'Advanced signals generated successfully',
-      signals: newSignals
-    });
+    if (format === 'csv') await write(SignalHistory.csvHeader());
+    if (format === 'json') await write('[');
+
+    for await (const rows of signalHistory.stream(options)) {
+      if (res.destroyed) break;
+      let chunk;
+      if (format === 'csv') {
+        chunk = rows.map(SignalHistory.csvRow).join('');
+      } else if (format === 'ndjson') {
+        chunk = rows.map(row => `${JSON.stringify(row)}\n`).join('');
+      } else {
+        chunk = rows.map((row, i) => `${exported + i > 0 ? ',' : ''}\n${JSON.stringify(row)}`).join('');
+      }
+      exported += rows.length;
+      await write(chunk);
+    }
+
+    if (format === 'json') await write('\n]\n');
+    res.end();
+    log.info('Signals exported', { format, count: exported });
   } catch (error) {
-    console.error('❌ Error in manual generation:', error);
-    res.status(500).json({ error: 'Failed to generate signals' });
+    log.error('Error exporting signals', { error });
+    // Headers are gone once streaming starts; cut the response so the client sees a failed download
+    if (res.headersSent) {
+      res.destroy(error);
+    } else {
+      res.status(500).json({ error: 'Internal server error' });
+    }
   }
 });
 
-// Get trading portfolio
-app.get('/api/trading/portfolio', async (req, res) => {
+// Get market prices (real-time)
+app.get('/api/prices', async (req, res) => {
   try {
-    const portfolio = tradingEngine.getPortfolio();
-    res.json(portfolio);
+    const prices = [];
+    
+    for (const market of instruments.enabled()) {
+      try {
+        const priceData = await marketData.getRealTimePrice(market.symbol);
+
+        prices.push({
+          symbol: market.symbol,
+          name: market.name,
+          type: market.type,
+          price: priceData.price,
+          change: priceData.change,
+          changePercent: priceData.changePercent,
+          high: priceData.high,
+          low: priceData.low,
+          open: priceData.open,
+          timestamp: priceData.timestamp,
+          source: priceData.source,
+          mock: Boolean(priceData.mock)
+        });
+      } catch (error) {
+        prices.push({
+          symbol: market.symbol,
+          name: market.name,
+          type: market.type,
+          price: null,
+          error: error.message
+        });
+      }
+    }
+
+    res.json(prices);
   } catch (error) {
-    console.error('❌ Error fetching portfolio:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    log.error('Error fetching prices', { error });
+    res.status(500).json({ error: 'Failed to fetch prices' });
   }
 });
 
-// Get trade history
-app.get('/api/trading/history', async (req, res) => {
+// Indicator snapshot and trend/volatility regime from the stored candles
+app.get('/api/indicators/:symbol', async (req, res) => {
   try {
-    res.json(tradingEngine.tradeHistory);
+    const market = findMarket(req.params.symbol);
+    if (!market) {
+      return res.status(404).json({ error: `Unknown symbol: ${req.params.symbol}` });
+    }
+
+    const timeframe = req.query.timeframe || SIGNAL_TIMEFRAME;
+    if (!CandleStore.isValidTimeframe(timeframe)) {
+      return res.status(400).json({
+        error: `Invalid timeframe. Supported: ${Object.keys(CandleStore.TIMEFRAMES).join(', ')}`
+      });
+    }
+
+    const series = await AdvancedTechnicalAnalysis.loadSeries(candleStore, market.symbol, timeframe, SIGNAL_HISTORY_LENGTH);
+    if (series.prices.length === 0) {
+      return res.status(404).json({ error: `No ${timeframe} candles stored for ${market.symbol}` });
+    }
+
+    const latest = latestPrices.get(market.symbol);
+    const price = latest ? latest.price : series.prices[series.prices.length - 1];
+    const config = strategyConfigs.getForSymbol(market.symbol);
+    const indicators = await AdvancedTechnicalAnalysis.calculateIndicators(price, series, config.params);
+
+    res.json({
+      symbol: market.symbol,
+      timeframe,
+      price,
+      candles: series.prices.length,
+      timestamp: new Date().toISOString(),
+      indicators
+    });
   } catch (error) {
-    console.error('❌ Error fetching trade history:', error);
+    log.error('Error calculating indicators', { error });
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Get system stats
-app.get('/api/stats', async (req, res) => {
+// Candlestick and chart patterns on the latest bar, with support and resistance levels
+app.get('/api/patterns/:symbol', async (req, res) => {
   try {
-    const signalsCount = await pool.query('SELECT COUNT(*) FROM signals');
-    const todaySignals = await pool.query(`
-      SELECT COUNT(*) FROM signals WHERE created_at >= CURRENT_DATE
-    `);
+    const market = findMarket(req.params.symbol);
+    if (!market) {
+      return res.status(404).json({ error: `Unknown symbol: ${req.params.symbol}` });
+    }
 
-    const strongSignals = await pool.query(`
-      SELECT COUNT(*) FROM signals WHERE confidence >= 70 AND created_at >= NOW() - INTERVAL '24 hours'
-    `);
+    const timeframe = req.query.timeframe || SIGNAL_TIMEFRAME;
+    if (!CandleStore.isValidTimeframe(timeframe)) {
+      return res.status(400).json({
+        error: `Invalid timeframe. Supported: ${Object.keys(CandleStore.TIMEFRAMES).join(', ')}`
+      });
+    }
 
-    const portfolio = tradingEngine.getPortfolio();
+    const series = await AdvancedTechnicalAnalysis.loadSeries(candleStore, market.symbol, timeframe, SIGNAL_HISTORY_LENGTH);
+    if (series.prices.length === 0) {
+      return res.status(404).json({ error: `No ${timeframe} candles stored for ${market.symbol}` });
+    }
+
+    const latest = latestPrices.get(market.symbol);
+    const price = latest ? latest.price : series.prices[series.prices.length - 1];
+    const config = strategyConfigs.getForSymbol(market.symbol);
+    const { patterns, levels, points } = PatternRecognition.analyze(
+      { opens: series.opens, highs: series.highs, lows: series.lows, closes: series.prices },
+      price,
+      config.params
+    );
 
     res.json({
-      totalSignals: parseInt(signalsCount.rows[0].count),
-      todaySignals: parseInt(todaySignals.rows[0].count),
-      strongSignals24h: parseInt(strongSignals.rows[0].count),
-      totalMarkets: MARKET_SYMBOLS.length,
-      portfolio: portfolio
+      symbol: market.symbol,
+      timeframe,
+      price,
+      candles: series.prices.length,
+      timestamp: new Date().toISOString(),
+      patterns,
+      levels,
+      points
     });
   } catch (error) {
-    console.error('❌ Error fetching stats:', error);
+    log.error('Error detecting patterns', { error });
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
+// Entry, stop and target to draw on a symbol's chart: the open paper position's, otherwise
+// the active signal's with the risk manager's levels
+const chartLevels = async (market) => {
+  const position = tradingEngine.getOpenPosition(market.symbol);
+  if (position) {
+    return {
+      levels: { entry: position.entryPrice, stopLoss: position.stopLoss, takeProfit: position.targetPrice },
+      label: `${position.type} POSITION`,
+      direction: position.type
+    };
+  }
+
+  const state = signalStates.get(market.symbol);
+  if (!state || state.status !== 'ACTIVE') return { levels: {}, label: null, direction: null };
+
+  const result = await pool.query('SELECT signal, strength, confidence, price FROM signals WHERE id = $1', [state.lastSignalId]);
+  if (result.rows.length === 0) return { levels: {}, label: null, direction: null };
+
+  const row = result.rows[0];
+  const signal = { symbol: market.symbol, signal: row.signal, price: parseFloat(row.price) };
+  const series = await AdvancedTechnicalAnalysis.loadSeries(candleStore, market.symbol, SIGNAL_TIMEFRAME, SIGNAL_HISTORY_LENGTH);
+  const { stopLoss, targetPrice } = await riskManager.levels(signal, { highs: series.highs, lows: series.lows, closes: series.prices });
+  return {
+    levels: { entry: signal.price, stopLoss, takeProfit: targetPrice },
+    label: `${row.strength} ${row.confidence}%`,
+    direction: row.signal
+  };
+};
+
+// Candlestick chart with Bollinger bands, RSI and MACD as a PNG
+app.get('/api/charts/:symbol.png', async (req, res) => {
+  try {
+    const market = findMarket(req.params.symbol);
+    if (!market) {
+      return res.status(404).json({ error: `Unknown symbol: ${req.params.symbol}` });
+    }
+
+    const timeframe = req.query.timeframe || SIGNAL_TIMEFRAME;
+    if (!CandleStore.isValidTimeframe(timeframe)) {
+      return res.status(400).json({
+        error: `Invalid timeframe. Supported: ${Object.keys(CandleStore.TIMEFRAMES).join(', ')}`
+      });
+    }
+
+    const candles = Math.min(Math.max(parseInt(req.query.candles, 10) || chartRenderer.options.candles, 20), 500);
+
+    const { levels, label, direction } = await chartLevels(market);
+    const png = await chartRenderer.render(market.symbol, { timeframe, candles, levels, label, direction });
+    if (!png) {
+      return res.status(404).json({ error: `No ${timeframe} candles stored for ${market.symbol}` });
+    }
+
+    res.set('Cache-Control', 'no-store');
+    res.type('png').send(png);
+  } catch (error) {
+    log.error('Error rendering chart', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get stored OHLCV candles
+app.get('/api/candles/:symbol', async (req, res) => {
+  try {
+    const market = findMarket(req.params.symbol);
+    if (!market) {
+      return res.status(404).json({ error: `Unknown symbol: ${req.params.symbol}` });
+    }
+
+    const { timeframe = '1m', from, to } = req.query;
+    if (!CandleStore.isValidTimeframe(timeframe)) {
+      return res.status(400).json({
+        error: `Invalid timeframe. Supported: ${Object.keys(CandleStore.TIMEFRAMES).join(', ')}`
+      });
+    }
+
+    const fromDate = from ? new Date(from) : null;
+    const toDate = to ? new Date(to) : null;
+    if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+      return res.status(400).json({ error: 'from and to must be valid ISO timestamps' });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 500, 5000);
+    const candles = await candleStore.getCandles(market.symbol, timeframe, {
+      from: fromDate,
+      to: toDate,
+      limit
+    });
+
+    res.json({ symbol: market.symbol, timeframe, candles });
+  } catch (error) {
+    log.error('Error fetching candles', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Run a backtest over stored candles
+const BACKTEST_OPTION_KEYS = [
+  'initialBalance', 'positionSize', 'spread', 'commission', 'commissionRate',
+  'minConfidence', 'stopLossPct', 'takeProfitPct'
+];
+
+app.post('/api/backtests', async (req, res) => {
+  try {
+    const { symbol, timeframe = '1h', from, to } = req.body || {};
+    const market = findMarket(symbol);
+    if (!market) {
+      return res.status(400).json({ error: `Unknown symbol: ${symbol}` });
+    }
+
+    if (!CandleStore.isValidTimeframe(timeframe)) {
+      return res.status(400).json({
+        error: `Invalid timeframe. Supported: ${Object.keys(CandleStore.TIMEFRAMES).join(', ')}`
+      });
+    }
+
+    const fromDate = from ? new Date(from) : null;
+    const toDate = to ? new Date(to) : null;
+    if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+      return res.status(400).json({ error: 'from and to must be valid ISO timestamps' });
+    }
+
+    // Default to the strategy currently assigned to the symbol
+    const config = strategyConfigs.getForSymbol(market.symbol);
+    const strategyName = req.body.strategy || config.strategy;
+    const params = req.body.strategy ? (req.body.params || {}) : { ...config.overrides, ...req.body.params };
+    const invalidStrategy = strategies.validate(strategyName, params);
+    if (invalidStrategy) {
+      return res.status(400).json({ error: invalidStrategy });
+    }
+
+    const options = { strategy: strategyName, params };
+    for (const key of BACKTEST_OPTION_KEYS) {
+      const value = req.body[key];
+      if (value === undefined || value === null) continue;
+      if (typeof value !== 'number' || !isFinite(value) || value < 0) {
+        return res.status(400).json({ error: `${key} must be a non-negative number` });
+      }
+      options[key] = value;
+    }
+
+    const candles = await candleStore.getCandles(market.symbol, timeframe, {
+      from: fromDate,
+      to: toDate,
+      limit: 50000
+    });
+
+    const backtester = new Backtester(options);
+    if (candles.length < backtester.minCandles()) {
+      return res.status(422).json({
+        error: `Not enough candles for ${market.symbol} ${timeframe}: ${candles.length} stored`
+      });
+    }
+
+    const result = await backtester.run(candles);
+
+    const stored = await pool.query(
+      `INSERT INTO backtests (symbol, timeframe, from_ts, to_ts, options, summary, trades, equity_curve)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING id, created_at`,
+      [
+        market.symbol, timeframe, candles[0].ts, candles[candles.length - 1].ts,
+        JSON.stringify(result.options), JSON.stringify(result.summary),
+        JSON.stringify(result.trades), JSON.stringify(result.equityCurve)
+      ]
+    );
+
+    res.status(201).json({
+      id: stored.rows[0].id,
+      symbol: market.symbol,
+      timeframe,
+      created_at: stored.rows[0].created_at,
+      ...result
+    });
+  } catch (error) {
+    log.error('Error running backtest', { error });
+    res.status(500).json({ error: 'Failed to run backtest' });
+  }
+});
+
+// List stored backtests
+app.get('/api/backtests', async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT id, symbol, timeframe, from_ts, to_ts, options, summary, created_at
+      FROM backtests
+      ORDER BY created_at DESC
+      LIMIT 100
+    `);
+    res.json(result.rows);
+  } catch (error) {
+    log.error('Error fetching backtests', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get a stored backtest with trades and equity curve
+app.get('/api/backtests/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (!id) {
+      return res.status(400).json({ error: 'Invalid backtest id' });
+    }
+
+    const result = await pool.query('SELECT * FROM backtests WHERE id = $1', [id]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Backtest not found' });
+    }
+    res.json(result.rows[0]);
+  } catch (error) {
+    log.error('Error fetching backtest', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// List registered strategies and the assignment of every symbol
+app.get('/api/strategies', async (req, res) => {
+  try {
+    res.json({
+      strategies: strategies.list(),
+      assignments: instruments.enabled().map(m => strategyConfigs.getForSymbol(m.symbol))
+    });
+  } catch (error) {
+    log.error('Error fetching strategies', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Assign strategies and parameters to symbols.
+// Accepts one { symbol, strategy, params } object or an array of them.
+app.put('/api/strategies', async (req, res) => {
+  try {
+    const assignments = Array.isArray(req.body) ? req.body : [req.body || {}];
+    if (assignments.length === 0) {
+      return res.status(400).json({ error: 'No assignments given' });
+    }
+
+    const resolved = [];
+    for (const assignment of assignments) {
+      const market = findMarket(assignment.symbol);
+      if (!market) {
+        return res.status(400).json({ error: `Unknown symbol: ${assignment.symbol}` });
+      }
+
+      const params = assignment.params || {};
+      const invalid = strategies.validate(assignment.strategy, params);
+      if (invalid) {
+        return res.status(400).json({ error: `${market.symbol}: ${invalid}` });
+      }
+      resolved.push({ symbol: market.symbol, strategy: assignment.strategy, params });
+    }
+
+    const updated = [];
+    for (const assignment of resolved) {
+      updated.push(await strategyConfigs.setForSymbol(assignment.symbol, assignment.strategy, assignment.params));
+    }
+
+    res.json(updated);
+  } catch (error) {
+    log.error('Error updating strategies', { error });
+    res.status(500).json({ error: 'Failed to update strategies' });
+  }
+});
+
+// Parameter versions of a symbol's strategy assignment
+app.get('/api/strategies/:symbol/history', async (req, res) => {
+  try {
+    const market = findMarket(req.params.symbol);
+    if (!market) {
+      return res.status(404).json({ error: `Unknown symbol: ${req.params.symbol}` });
+    }
+    res.json(await strategyConfigs.getHistory(market.symbol));
+  } catch (error) {
+    log.error('Error fetching strategy history', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Manual signal generation
+app.post('/api/signals/generate', async (req, res) => {
+  try {
+    // Manual runs wait for an active run instead of being skipped, and ignore the symbol interval
+    const { run, signals } = await generateAdvancedSignals({ trigger: 'manual', force: true, overlap: 'queue' });
+    res.json({ 
+      message: 'Advanced signals generated successfully',
+      signals,
+      run
+    });
+  } catch (error) {
+    log.error('Error in manual generation', { error });
+    res.status(500).json({ error: 'Failed to generate signals' });
+  }
+});
+
+// Recorded job runs, newest first
+app.get('/api/jobs', async (req, res) => {
+  try {
+    const status = req.query.status ? String(req.query.status).toUpperCase() : null;
+    if (status && !JobRunner.STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${JobRunner.STATUSES.join(', ')}` });
+    }
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+    const runs = await jobRunner.getRuns({ job: req.query.job || null, status, limit });
+    res.json({ active: jobRunner.activeJobs(), runs });
+  } catch (error) {
+    log.error('Error fetching job runs', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/api/jobs/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (!id) {
+      return res.status(400).json({ error: 'Invalid job run id' });
+    }
+
+    const run = await jobRunner.getRun(id);
+    if (!run) return res.status(404).json({ error: 'Job run not found' });
+    res.json(run);
+  } catch (error) {
+    log.error('Error fetching job run', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get trading portfolio
+app.get('/api/trading/portfolio', async (req, res) => {
+  try {
+    const portfolio = await tradingEngine.getPortfolio();
+    res.json(portfolio);
+  } catch (error) {
+    log.error('Error fetching portfolio', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get paper account analytics (returns, drawdown, risk ratios) between from and to
+app.get('/api/trading/analytics', async (req, res) => {
+  try {
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+    if (isNaN(from) || isNaN(to)) {
+      return res.status(400).json({ error: 'from and to must be valid ISO timestamps' });
+    }
+    if (to < from) {
+      return res.status(400).json({ error: 'to must not be before from' });
+    }
+
+    res.json(await accountAnalytics.analyze({ from, to }));
+  } catch (error) {
+    log.error('Error fetching trading analytics', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get trade history
+app.get('/api/trading/history', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+    res.json(await tradingEngine.getTradeHistory(limit));
+  } catch (error) {
+    log.error('Error fetching trade history', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get open paper positions
+app.get('/api/trading/positions', async (req, res) => {
+  try {
+    res.json(tradingEngine.getOpenPositions());
+  } catch (error) {
+    log.error('Error fetching positions', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Risk limits, current exposure and recently rejected trades
+app.get('/api/trading/risk', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+    const [status, rejections] = await Promise.all([
+      riskManager.getStatus(),
+      riskManager.getRejections(limit)
+    ]);
+    res.json({ ...status, rejections });
+  } catch (error) {
+    log.error('Error fetching risk status', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Manually close a paper position at the current market price
+app.post('/api/trading/positions/:id/close', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const position = tradingEngine.positions.get(id);
+    if (!position) {
+      return res.status(404).json({ error: 'Open position not found' });
+    }
+
+    // Fall back to the last marked price rather than closing on mock data
+    let price = position.currentPrice;
+    try {
+      const priceData = await marketData.getRealTimePrice(position.symbol);
+      if (isRealQuote(priceData)) price = priceData.price;
+    } catch (error) {
+      log.warn('No live price, closing at last marked price', { symbol: position.symbol });
+    }
+
+    const trade = await tradingEngine.closePosition(id, price, 'MANUAL');
+    if (!trade) {
+      return res.status(409).json({ error: 'Position was already closed' });
+    }
+    res.json(trade);
+  } catch (error) {
+    log.error('Error closing position', { error });
+    res.status(500).json({ error: 'Failed to close position' });
+  }
+});
+
+// Instruments
+app.get('/api/instruments', (req, res) => {
+  const list = req.query.enabled === 'true' ? instruments.enabled() : instruments.list();
+  res.json(list);
+});
+
+app.get('/api/instruments/:symbol', (req, res) => {
+  const instrument = findMarket(req.params.symbol);
+  if (!instrument) {
+    return res.status(404).json({ error: 'Unknown symbol' });
+  }
+  res.json(instrument);
+});
+
+app.post('/api/instruments', async (req, res) => {
+  try {
+    const invalid = InstrumentStore.validate(req.body);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const instrument = await instruments.create(req.body);
+    if (!instrument) {
+      return res.status(409).json({ error: `Instrument ${req.body.symbol} already exists` });
+    }
+    res.status(201).json(instrument);
+  } catch (error) {
+    log.error('Error creating instrument', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.put('/api/instruments/:symbol', async (req, res) => {
+  try {
+    const existing = findMarket(req.params.symbol);
+    if (!existing) {
+      return res.status(404).json({ error: 'Unknown symbol' });
+    }
+
+    const { symbol, ...changes } = req.body || {};
+    if (symbol !== undefined && symbol !== existing.symbol) {
+      return res.status(400).json({ error: 'symbol cannot be changed' });
+    }
+    const invalid = InstrumentStore.validate(changes, { partial: true });
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    res.json(await instruments.update(existing.symbol, changes));
+  } catch (error) {
+    log.error('Error updating instrument', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Instruments with an open paper position must be closed out (or disabled) first
+app.delete('/api/instruments/:symbol', async (req, res) => {
+  try {
+    const existing = findMarket(req.params.symbol);
+    if (!existing) {
+      return res.status(404).json({ error: 'Unknown symbol' });
+    }
+    if (tradingEngine.getOpenPosition(existing.symbol)) {
+      return res.status(409).json({ error: `${existing.symbol} has an open position; close it or disable the instrument` });
+    }
+
+    await instruments.remove(existing.symbol);
+    res.status(204).end();
+  } catch (error) {
+    log.error('Error deleting instrument', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// User alert rules
+app.post('/api/alerts', async (req, res) => {
+  try {
+    const rule = { ...(req.body || {}) };
+    if (rule.symbol) {
+      const market = findMarket(rule.symbol);
+      if (!market) {
+        return res.status(400).json({ error: `Unknown symbol: ${rule.symbol}` });
+      }
+      rule.symbol = market.symbol;
+    }
+
+    const invalid = AlertEngine.validate(rule);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    res.status(201).json(await alertEngine.create(rule));
+  } catch (error) {
+    log.error('Error creating alert', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/api/alerts', async (req, res) => {
+  try {
+    res.json(await alertEngine.list({ activeOnly: req.query.active === 'true' }));
+  } catch (error) {
+    log.error('Error fetching alerts', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Fired alerts, newest first
+app.get('/api/alerts/history', async (req, res) => {
+  try {
+    const alertId = req.query.alertId ? parseInt(req.query.alertId, 10) : null;
+    if (req.query.alertId && !alertId) {
+      return res.status(400).json({ error: 'alertId must be an integer' });
+    }
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+    res.json(await alertEngine.getHistory({ alertId, limit }));
+  } catch (error) {
+    log.error('Error fetching alert history', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/api/alerts/:id', async (req, res) => {
+  try {
+    const alert = await alertEngine.get(parseInt(req.params.id, 10) || 0);
+    if (!alert) {
+      return res.status(404).json({ error: 'Alert not found' });
+    }
+    res.json(alert);
+  } catch (error) {
+    log.error('Error fetching alert', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.delete('/api/alerts/:id', async (req, res) => {
+  try {
+    const removed = await alertEngine.remove(parseInt(req.params.id, 10) || 0);
+    if (!removed) {
+      return res.status(404).json({ error: 'Alert not found' });
+    }
+    res.status(204).end();
+  } catch (error) {
+    log.error('Error deleting alert', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Outbound webhook endpoints
+app.get('/api/webhooks', (req, res) => {
+  res.json({ events: WebhookService.EVENTS, endpoints: webhooks.list() });
+});
+
+// The response carries the signing secret; it is not shown again
+app.post('/api/webhooks', async (req, res) => {
+  try {
+    const invalid = WebhookService.validate(req.body);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+    res.status(201).json(await webhooks.create(req.body));
+  } catch (error) {
+    log.error('Error creating webhook', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Deliveries that ran out of attempts, across all endpoints
+app.get('/api/webhooks/dead-letters', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+    res.json(await webhooks.getDeliveries({ status: 'DEAD', limit }));
+  } catch (error) {
+    log.error('Error fetching webhook dead letters', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/webhooks/deliveries/:deliveryId/retry', async (req, res) => {
+  try {
+    const delivery = await webhooks.retry(parseInt(req.params.deliveryId, 10) || 0);
+    if (!delivery) {
+      return res.status(404).json({ error: 'Dead delivery not found' });
+    }
+    res.json(delivery);
+  } catch (error) {
+    log.error('Error retrying webhook delivery', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/api/webhooks/:id', (req, res) => {
+  const endpoint = webhooks.get(parseInt(req.params.id, 10) || 0);
+  if (!endpoint) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+  res.json(endpoint);
+});
+
+app.put('/api/webhooks/:id', async (req, res) => {
+  try {
+    const invalid = WebhookService.validate(req.body, { partial: true });
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+    const endpoint = await webhooks.update(parseInt(req.params.id, 10) || 0, req.body);
+    if (!endpoint) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    res.json(endpoint);
+  } catch (error) {
+    log.error('Error updating webhook', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.delete('/api/webhooks/:id', async (req, res) => {
+  try {
+    const removed = await webhooks.remove(parseInt(req.params.id, 10) || 0);
+    if (!removed) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    res.status(204).end();
+  } catch (error) {
+    log.error('Error deleting webhook', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delivery log of one endpoint, newest first, optionally filtered by status
+app.get('/api/webhooks/:id/deliveries', async (req, res) => {
+  try {
+    const endpoint = webhooks.get(parseInt(req.params.id, 10) || 0);
+    if (!endpoint) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    const status = req.query.status ? String(req.query.status).toUpperCase() : null;
+    if (status && !WebhookService.STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${WebhookService.STATUSES.join(', ')}` });
+    }
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+    res.json(await webhooks.getDeliveries({ endpointId: endpoint.id, status, limit }));
+  } catch (error) {
+    log.error('Error fetching webhook deliveries', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Economic calendar events, by default from a day ago to a week ahead
+app.get('/api/calendar/events', async (req, res) => {
+  try {
+    const from = req.query.from ? new Date(req.query.from) : new Date(Date.now() - 24 * 60 * 60 * 1000);
+    const to = req.query.to ? new Date(req.query.to) : new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
+    if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+      return res.status(400).json({ error: 'from and to must be ISO 8601 dates' });
+    }
+    const impact = req.query.impact ? String(req.query.impact).toUpperCase() : null;
+    if (impact && !EconomicCalendar.IMPACTS.includes(impact)) {
+      return res.status(400).json({ error: `impact must be one of: ${EconomicCalendar.IMPACTS.join(', ')}` });
+    }
+    const currency = req.query.currency ? String(req.query.currency).toUpperCase() : null;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 500, 5000);
+
+    res.json(await economicCalendar.list({ from, to, currency, impact, limit }));
+  } catch (error) {
+    log.error('Error fetching calendar events', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// One event or an array of { title, currency, impact, time }
+app.post('/api/calendar/events', async (req, res) => {
+  try {
+    const items = Array.isArray(req.body) ? req.body : [req.body];
+    const events = [];
+    for (let i = 0; i < items.length; i++) {
+      const event = EconomicCalendar.normalize(items[i]);
+      if (typeof event === 'string') {
+        return res.status(400).json({ error: items.length > 1 ? `event ${i}: ${event}` : event });
+      }
+      events.push(event);
+    }
+
+    const stored = await economicCalendar.addEvents(events, 'api');
+    res.status(201).json(Array.isArray(req.body) ? stored : stored[0]);
+  } catch (error) {
+    log.error('Error storing calendar events', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Raw CSV or ICS export in the body; the format comes from ?format= or the Content-Type
+app.post('/api/calendar/import', express.text({ type: ['text/*', 'application/octet-stream'], limit: '2mb' }), async (req, res) => {
+  try {
+    if (typeof req.body !== 'string' || !req.body.trim()) {
+      return res.status(400).json({ error: 'Send the CSV or ICS file as a text/csv or text/calendar body' });
+    }
+    const format = req.query.format || (req.is('text/calendar') ? 'ics' : 'csv');
+    if (!['csv', 'ics'].includes(format)) {
+      return res.status(400).json({ error: 'format must be csv or ics' });
+    }
+
+    const result = await economicCalendar.import(req.body, format);
+    log.info('Economic events imported', { format, imported: result.imported, rejected: result.errors.length });
+    res.json(result);
+  } catch (error) {
+    log.error('Error importing calendar events', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.delete('/api/calendar/events/:id', async (req, res) => {
+  try {
+    const removed = await economicCalendar.remove(parseInt(req.params.id, 10) || 0);
+    if (!removed) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+    res.status(204).end();
+  } catch (error) {
+    log.error('Error deleting calendar event', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// News windows currently open for each enabled instrument
+app.get('/api/calendar/risk', async (req, res) => {
+  try {
+    const now = new Date();
+    const risk = [];
+    for (const market of instruments.enabled()) {
+      risk.push({ symbol: market.symbol, ...(await economicCalendar.riskFor(market, now)) });
+    }
+    res.json({ mode: NEWS_SIGNAL_MODE, timestamp: now.toISOString(), instruments: risk });
+  } catch (error) {
+    log.error('Error fetching news risk', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Open/closed state, active sessions and session filters of every market
+app.get('/api/markets/status', (req, res) => {
+  try {
+    const now = new Date();
+    res.json({
+      timestamp: now.toISOString(),
+      markets: instruments.enabled().map(market => ({
+        ...marketCalendar.getStatus(market, now),
+        name: market.name,
+        ...marketCalendar.nextChange(market, now),
+        sessionFilter: sessionFilters.getSessions(market.symbol)
+      }))
+    });
+  } catch (error) {
+    log.error('Error fetching market status', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Restrict trading of a symbol to some sessions; an empty list trades in all of them
+app.put('/api/markets/:symbol/sessions', async (req, res) => {
+  try {
+    const market = findMarket(req.params.symbol);
+    if (!market) {
+      return res.status(404).json({ error: 'Unknown symbol' });
+    }
+
+    const { sessions } = req.body || {};
+    if (!Array.isArray(sessions)) {
+      return res.status(400).json({ error: 'sessions must be an array' });
+    }
+
+    const names = MarketCalendar.sessionNames(market);
+    const normalized = [...new Set(sessions.map(session => String(session).toUpperCase()))];
+    const unknown = normalized.find(session => !names.includes(session));
+    if (unknown) {
+      return res.status(400).json({ error: `Unknown session ${unknown}. Supported: ${names.join(', ')}` });
+    }
+
+    res.json(await sessionFilters.setSessions(market.symbol, normalized));
+  } catch (error) {
+    log.error('Error updating session filter', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Paper/live execution mode per symbol
+app.get('/api/execution/modes', (req, res) => {
+  res.json({
+    exchange: liveExecution ? liveExecution.exchangeId : null,
+    modes: executionModes.list(instruments.enabled().map(m => m.symbol)).map(entry => ({
+      ...entry,
+      liveAvailable: canTradeLive(findMarket(entry.symbol))
+    }))
+  });
+});
+
+app.put('/api/execution/modes/:symbol', async (req, res) => {
+  try {
+    const market = findMarket(req.params.symbol);
+    if (!market) {
+      return res.status(404).json({ error: 'Unknown symbol' });
+    }
+
+    const { mode } = req.body || {};
+    if (!ExecutionModeStore.MODES.includes(mode)) {
+      return res.status(400).json({ error: `mode must be one of: ${ExecutionModeStore.MODES.join(', ')}` });
+    }
+    if (mode === 'live' && !canTradeLive(market)) {
+      return res.status(400).json({
+        error: liveExecution ? 'Live execution is only available for crypto markets' : 'No exchange is configured'
+      });
+    }
+
+    res.json(await executionModes.setMode(market.symbol, mode));
+  } catch (error) {
+    log.error('Error updating execution mode', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Orders placed on the exchange
+app.get('/api/execution/orders', async (req, res) => {
+  try {
+    if (!liveExecution) {
+      return res.status(503).json({ error: 'No exchange is configured' });
+    }
+
+    const status = req.query.status ? String(req.query.status).toUpperCase() : null;
+    if (status && !orderStates.STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${orderStates.STATUSES.join(', ')}` });
+    }
+
+    let symbol = null;
+    if (req.query.symbol) {
+      const market = findMarket(req.query.symbol);
+      if (!market) {
+        return res.status(404).json({ error: 'Unknown symbol' });
+      }
+      symbol = market.symbol;
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+    res.json(await liveExecution.getOrders({ status, symbol, limit }));
+  } catch (error) {
+    log.error('Error fetching orders', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Positions held on the exchange, newest first
+app.get('/api/execution/positions', async (req, res) => {
+  try {
+    if (!livePositions) {
+      return res.status(503).json({ error: 'No exchange is configured' });
+    }
+
+    const status = req.query.status ? String(req.query.status).toUpperCase() : null;
+    if (status && !LivePositionManager.STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${LivePositionManager.STATUSES.join(', ')}` });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+    res.json(await livePositions.getPositions({ status, limit }));
+  } catch (error) {
+    log.error('Error fetching live positions', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/execution/orders/:clientOrderId/cancel', async (req, res) => {
+  try {
+    if (!liveExecution) {
+      return res.status(503).json({ error: 'No exchange is configured' });
+    }
+
+    const existing = await liveExecution.getOrder(req.params.clientOrderId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    if (orderStates.isTerminal(existing.status)) {
+      return res.status(409).json({ error: `Order is already ${existing.status}` });
+    }
+
+    res.json(await liveExecution.cancelOrder(existing.clientOrderId));
+  } catch (error) {
+    log.error('Error cancelling order', { error });
+    res.status(500).json({ error: 'Failed to cancel order' });
+  }
+});
+
+app.post('/api/execution/reconcile', async (req, res) => {
+  if (!liveExecution) {
+    return res.status(503).json({ error: 'No exchange is configured' });
+  }
+
+  const report = await reconcileOrders();
+  if (!report) {
+    return res.status(500).json({ error: 'Reconciliation failed' });
+  }
+  res.json(report);
+});
+
+// Get system stats
+app.get('/api/stats', async (req, res) => {
+  try {
+    const signalsCount = await pool.query('SELECT COUNT(*) FROM signals');
+    const todaySignals = await pool.query(`
+      SELECT COUNT(*) FROM signals WHERE created_at >= CURRENT_DATE
+    `);
+
+    const strongSignals = await pool.query(`
+      SELECT COUNT(*) FROM signals WHERE confidence >= 70 AND created_at >= NOW() - INTERVAL '24 hours'
+    `);
+
+    const portfolio = await tradingEngine.getPortfolio();
+    const hitRates = await signalOutcomes.getHitRates(30);
+
+    res.json({
+      totalSignals: parseInt(signalsCount.rows[0].count),
+      todaySignals: parseInt(todaySignals.rows[0].count),
+      strongSignals24h: parseInt(strongSignals.rows[0].count),
+      hitRates30d: hitRates,
+      totalMarkets: instruments.enabled().length,
+      portfolio: portfolio
+    });
+  } catch (error) {
+    log.error('Error fetching stats', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Market data provider health
+app.get('/api/providers', (req, res) => {
+  res.json(marketData.getHealth());
+});
+
 // WebSocket endpoint info
 app.get('/api/websocket', (req, res) => {
   res.json({
-    websocket_url: `ws://localhost:8080`,
-    supported_events: ['price_update', 'new_signal', 'trade_execution']
+    websocket_url: `${req.protocol === 'https' ? 'wss' : 'ws'}://${req.get('host')}/ws`,
+    channels: RealtimeHub.CHANNELS,
+    supported_events: ['price_update', 'new_signal', 'trade_execution', 'portfolio_update', 'order_update', 'alert_triggered'],
+    client_messages: {
+      subscribe: { type: 'subscribe', channels: ['prices', 'signals'], symbols: ['EUR/USD'] },
+      unsubscribe: { type: 'unsubscribe', channels: ['prices'], symbols: ['EUR/USD'] },
+      ping: { type: 'ping' }
+    },
+    connected_clients: realtime.size
   });
 });
 
 // Start server and initialize
 const startServer = async () => {
   await initDB();
+
+  try {
+    const seeded = await instruments.seed();
+    if (seeded) log.info('Seeded default instruments', { count: seeded });
+    await instruments.load();
+    log.info('Instruments loaded', { enabled: instruments.enabled().length, total: instruments.list().length });
+  } catch (error) {
+    log.error('Instrument loading failed', { error: error.message });
+  }
+
+  try {
+    await signalStates.load();
+    log.info('Signal states loaded', { open: signalStates.states.size });
+  } catch (error) {
+    log.error('Signal state loading failed', { error: error.message });
+  }
+
+  try {
+    const interrupted = await jobRunner.recoverInterrupted();
+    if (interrupted) log.warn('Marked interrupted job runs', { count: interrupted });
+  } catch (error) {
+    log.error('Job run recovery failed', { error: error.message });
+  }
+
+  try {
+    await strategyConfigs.load();
+    log.info('Strategy assignments loaded', { symbols: strategyConfigs.configs.size });
+  } catch (error) {
+    log.error('Strategy configuration loading failed', { error: error.message });
+  }
+
+  try {
+    await tradingEngine.init();
+    log.info('Paper account loaded', { openPositions: tradingEngine.positions.size });
+  } catch (error) {
+    log.error('Paper trading initialization failed', { error: error.message });
+  }
+
+  try {
+    await sessionFilters.load();
+  } catch (error) {
+    log.error('Session filter loading failed', { error: error.message });
+  }
+
+  try {
+    await webhooks.load();
+  } catch (error) {
+    log.error('Webhook loading failed', { error: error.message });
+  }
+
+  try {
+    await alertEngine.load();
+    log.info('Alert rules loaded', { active: alertEngine.alerts.size });
+  } catch (error) {
+    log.error('Alert rule loading failed', { error: error.message });
+  }
+
+  try {
+    await executionModes.load();
+    if (liveExecution) {
+      log.info('Live execution enabled', {
+        exchange: liveExecution.exchangeId,
+        liveSymbols: instruments.enabled().filter(tradesLive).map(m => m.symbol)
+      });
+      await livePositions.load();
+      await reconcileOrders();
+    }
+  } catch (error) {
+    log.error('Execution initialization failed', { error: error.message });
+  }
   await initTelegramBot();
   
   // Wait for initialization
   setTimeout(async () => {
     // Generate initial signals
-    await generateAdvancedSignals();
+    try {
+      await generateAdvancedSignals({ trigger: 'startup' });
+    } catch (error) {
+      log.error('Signal job failed', { error: error.message });
+    }
     
+    // Build candles from live quotes every minute
+    cron.schedule(process.env.CANDLE_INGEST_CRON || '* * * * *', ingestCandles);
+
+    // Keep live orders in sync with the exchange
+    if (liveExecution) {
+      cron.schedule(process.env.ORDER_RECONCILE_CRON || '* * * * *', reconcileOrders);
+    }
+
+    // Retry failed webhook deliveries once their backoff has elapsed
+    cron.schedule('* * * * *', async () => {
+      try {
+        const { attempted, delivered } = await webhooks.processDue();
+        if (attempted) log.info('Webhook retries processed', { attempted, delivered });
+      } catch (error) {
+        log.error('Webhook retry failed', { error: error.message });
+      }
+    });
+
+    // Score matured signals against later prices every 5 minutes
+    cron.schedule('*/5 * * * *', async () => {
+      try {
+        const evaluated = await signalOutcomes.evaluatePending();
+        if (evaluated) log.info('Signal outcomes evaluated', { count: evaluated });
+      } catch (error) {
+        log.error('Signal outcome evaluation failed', { error: error.message });
+      }
+    });
+
     // Schedule advanced signal generation every 2 minutes
-    cron.schedule('*/2 * * * *', generateAdvancedSignals);
+    cron.schedule('*/2 * * * *', async () => {
+      try {
+        await generateAdvancedSignals();
+      } catch (error) {
+        log.error('Signal job failed', { error: error.message });
+      }
+    });
     
-    // Schedule portfolio updates every 5 minutes
+    // Snapshot paper equity for the equity curve and risk ratios
+    cron.schedule(process.env.EQUITY_SNAPSHOT_CRON || '*/15 * * * *', async () => {
+      try {
+        await accountAnalytics.snapshot();
+      } catch (error) {
+        log.error('Equity snapshot failed', { error: error.message });
+      }
+    });
+
+    // Schedule portfolio updates every 5 minutes, with today's performance
     cron.schedule('*/5 * * * *', async () => {
-      const portfolio = tradingEngine.getPortfolio();
-      await telegramService.sendSystemAlert(
-        `Portfolio Update:\nBalance: $${portfolio.balance.toFixed(2)}\nTotal P&L: $${portfolio.totalPnl.toFixed(2)}`
-      );
+      try {
+        const [portfolio, today] = await Promise.all([tradingEngine.getPortfolio(), accountAnalytics.dailySummary()]);
+        const { trades, drawdown } = today;
+        await telegramService.sendSystemAlert(
+          `Portfolio Update:\nBalance: $${portfolio.balance.toFixed(2)}\nEquity: $${portfolio.equity.toFixed(2)}\n` +
+          `Open Positions: ${portfolio.openPositions}\nTotal P&L: $${portfolio.totalPnl.toFixed(2)}\n\n` +
+          `Today:\nP&L: $${trades.totalPnl.toFixed(2)}\nTrades: ${trades.trades} (${trades.wins} won, ${trades.losses} lost)` +
+          (trades.winRate === null ? '' : `\nWin Rate: ${trades.winRate}%`) +
+          `\nMax Drawdown: $${drawdown.max.amount.toFixed(2)} (${drawdown.max.pct.toFixed(2)}%)`
+        );
+      } catch (error) {
+        log.error('Portfolio update failed', { error: error.message });
+      }
     });
     
-    console.log('✅ Advanced trading system activated');
+    log.info('Scheduled jobs started');
   }, 3000);
 
-  app.listen(PORT, () => {
-    console.log(`\n🚀 ADVANCED FOREX TRADING BOT v4.0`);
-    console.log(`📊 Real-time AI Signal Generation Active`);
-    console.log(`💰 Paper Trading Engine: $${tradingEngine.balance} Balance`);
-    console.log(`🤖 Telegram Bot: Connected & Monitoring`);
-    console.log(`🌐 WebSocket Server: Port 8080`);
-    console.log(`📈 Market Coverage: ${MARKET_SYMBOLS.length} Instruments`);
-    console.log(`⏰ Signal Generation: Every 2 Minutes`);
-    console.log(`🔗 API: http://localhost:${PORT}/api`);
-    console.log(`🔗 Health: http://localhost:${PORT}/api/health\n`);
+  server.listen(PORT, () => {
+    log.info('Forex Signal Pro Bot v4.0 listening', {
+      port: PORT,
+      api: `http://localhost:${PORT}/api`,
+      websocket: `ws://localhost:${PORT}/ws`,
+      metrics: `http://localhost:${PORT}/metrics`,
+      paperBalance: tradingEngine.balance,
+      instruments: instruments.enabled().length
+    });
   });
 };
 
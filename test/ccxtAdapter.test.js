@@ -0,0 +1,122 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const ccxt = require('ccxt');
+const { newDb } = require('pg-mem');
+const { CcxtExecutionAdapter, MockExchange, orderStates: states } = require('../lib/execution');
+const executionMigration = require('../migrations/009_exchange_execution');
+
+// Adapter on a fresh in-memory database and a mock exchange quoting BTC/USD at `price`.
+// `events` collects the status of every 'order' event.
+const setup = ({ fillRatio = 1, price = 60000, ...options } = {}) => {
+  const db = newDb({ noAstCoverageCheck: true });
+  db.public.none(executionMigration.up);
+  const { Pool } = db.adapters.createPg();
+
+  const exchange = new MockExchange({ getPrice: () => price, fillRatio });
+  const adapter = new CcxtExecutionAdapter(new Pool(), exchange, options);
+  const events = [];
+  adapter.on('order', order => events.push(order.status));
+  return { adapter, exchange, events };
+};
+
+test('order states only move forward and end in a terminal state', () => {
+  assert.ok(states.canTransition(states.PENDING, states.PARTIALLY_FILLED));
+  assert.ok(states.canTransition(states.PARTIALLY_FILLED, states.FILLED));
+  assert.ok(states.canTransition(states.PARTIALLY_FILLED, states.CANCELLED));
+  assert.ok(!states.canTransition(states.PARTIALLY_FILLED, states.REJECTED));
+  assert.ok(!states.canTransition(states.FILLED, states.CANCELLED));
+  assert.deepStrictEqual(states.STATUSES.filter(states.isTerminal), [states.FILLED, states.CANCELLED, states.REJECTED]);
+
+  assert.strictEqual(states.fromExchangeOrder({ status: 'open', filled: 0 }), states.PENDING);
+  assert.strictEqual(states.fromExchangeOrder({ status: 'open', filled: 0.5 }), states.PARTIALLY_FILLED);
+  assert.strictEqual(states.fromExchangeOrder({ status: 'closed', filled: 1 }), states.FILLED);
+  assert.strictEqual(states.fromExchangeOrder({ status: 'expired', filled: 0 }), states.CANCELLED);
+});
+
+test('a market order is stored pending, then filled at the exchange price', async () => {
+  const { adapter, events } = setup();
+  const order = await adapter.placeOrder({ symbol: 'BTC/USD', side: 'buy', amount: 0.1 });
+
+  assert.strictEqual(order.status, states.FILLED);
+  assert.strictEqual(order.filled, 0.1);
+  assert.strictEqual(order.averagePrice, 60000);
+  assert.ok(order.exchangeOrderId);
+  assert.deepStrictEqual(events, [states.PENDING, states.FILLED]);
+});
+
+test('a partial fill completes when the order is reconciled', async () => {
+  const { adapter, events } = setup({ fillRatio: 0.5 });
+  const order = await adapter.placeOrder({ symbol: 'BTC/USD', side: 'buy', amount: 0.2 });
+  assert.strictEqual(order.status, states.PARTIALLY_FILLED);
+  assert.strictEqual(order.filled, 0.1);
+
+  const report = await adapter.reconcile();
+  assert.strictEqual(report.checked, 1);
+  assert.strictEqual(report.updated, 1);
+
+  const filled = await adapter.getOrder(order.clientOrderId);
+  assert.strictEqual(filled.status, states.FILLED);
+  assert.strictEqual(filled.filled, 0.2);
+  assert.deepStrictEqual(events, [states.PENDING, states.PARTIALLY_FILLED, states.FILLED]);
+});
+
+test('placing a signal order twice sends it to the exchange once', async () => {
+  const { adapter, exchange } = setup();
+  const clientOrderId = CcxtExecutionAdapter.clientOrderId({ id: 7, signal: 'BUY' });
+  assert.strictEqual(clientOrderId, 'fsp-7-buy');
+
+  const first = await adapter.placeOrder({ symbol: 'BTC/USD', side: 'buy', amount: 0.1, signalId: 7, clientOrderId });
+  const second = await adapter.placeOrder({ symbol: 'BTC/USD', side: 'buy', amount: 0.1, signalId: 7, clientOrderId });
+
+  assert.strictEqual(second.id, first.id);
+  assert.strictEqual(exchange.orders.size, 1);
+});
+
+test('an order whose response was lost is found again by its client order ID', async () => {
+  const { adapter, exchange } = setup();
+  exchange.failNextRequest(new ccxt.RequestTimeout('timeout'));
+
+  const order = await adapter.placeOrder({ symbol: 'ETH/USD', side: 'buy', amount: 1, type: 'limit', price: 1000 });
+  assert.strictEqual(order.status, states.PENDING);
+  assert.strictEqual(order.exchangeOrderId, null);
+  assert.strictEqual(order.error, 'timeout');
+
+  await adapter.reconcile();
+  const found = await adapter.getOrder(order.clientOrderId);
+  assert.strictEqual(found.status, states.PENDING);
+  assert.strictEqual(found.exchangeOrderId, exchange.orders.values().next().value.id);
+
+  const cancelled = await adapter.cancelOrder(order.clientOrderId);
+  assert.strictEqual(cancelled.status, states.CANCELLED);
+});
+
+test('an order the exchange never received is rejected once the pending timeout passes', async () => {
+  const { adapter, exchange } = setup({ pendingTimeoutMs: 0 });
+  exchange.failNextRequest(new ccxt.NetworkError('connection reset'));
+  const order = await adapter.placeOrder({ symbol: 'BTC/USD', side: 'buy', amount: 0.1 });
+  exchange.orders.clear();
+
+  await new Promise(resolve => setTimeout(resolve, 5));
+  await adapter.reconcile();
+  const rejected = await adapter.getOrder(order.clientOrderId);
+  assert.strictEqual(rejected.status, states.REJECTED);
+  assert.strictEqual(rejected.error, 'Order not found on exchange');
+});
+
+test('an order the exchange refuses is rejected with its error', async () => {
+  const { adapter } = setup();
+  const order = await adapter.placeOrder({ symbol: 'XRP/USD', side: 'buy', amount: 1 });
+
+  assert.strictEqual(order.status, states.REJECTED);
+  assert.match(order.error, /XRP\/USD/);
+});
+
+test('reconciliation reports open exchange orders that are not tracked', async () => {
+  const { adapter, exchange } = setup();
+  await adapter.placeOrder({ symbol: 'BTC/USD', side: 'buy', amount: 0.1, type: 'limit', price: 50000 });
+  await exchange.createOrder('BTC/USD', 'limit', 'sell', 0.5, 70000, { clientOrderId: 'manual-1' });
+
+  const report = await adapter.reconcile(['BTC/USD']);
+  assert.strictEqual(report.failed, 0);
+  assert.deepStrictEqual(report.untracked.map(o => o.clientOrderId), ['manual-1']);
+});
@@ -0,0 +1,112 @@
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { createProviders } = require('../lib/providers');
+const RealMarketDataService = require('../lib/marketDataService');
+
+// Local stand-in for the Finnhub and Twelve Data quote endpoints, reached through <NAME>_BASE_URL.
+// `failing` makes a provider answer HTTP 500; `hits` counts the requests each one received.
+const stub = { failing: new Set(), hits: { finnhub: 0, twelvedata: 0 } };
+
+const server = http.createServer((req, res) => {
+  const provider = req.url.startsWith('/finnhub/') ? 'finnhub' : 'twelvedata';
+  stub.hits[provider]++;
+  res.setHeader('Content-Type', 'application/json');
+
+  if (stub.failing.has(provider)) {
+    res.statusCode = 500;
+    return res.end(JSON.stringify({ error: 'unavailable' }));
+  }
+  if (provider === 'finnhub') {
+    return res.end(JSON.stringify({ c: 1.085, d: 0.001, dp: 0.09, h: 1.09, l: 1.08, o: 1.084 }));
+  }
+  res.end(JSON.stringify({ close: '1.0852', change: '0.0012', percent_change: '0.11', high: '1.09', low: '1.08', open: '1.084' }));
+});
+
+const listening = new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+after(() => server.close());
+
+const createService = async (options = {}) => {
+  await listening;
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const providers = createProviders({
+    MARKET_DATA_PROVIDERS: 'finnhub,twelvedata',
+    FINNHUB_API_KEY: 'test',
+    FINNHUB_BASE_URL: `${base}/finnhub`,
+    TWELVEDATA_API_KEY: 'test',
+    TWELVEDATA_BASE_URL: `${base}/twelvedata`,
+    TWELVEDATA_RATE_LIMIT: '100'
+  });
+  return new RealMarketDataService({ providers, cacheTtlMs: 0, ...options });
+};
+
+const health = (service, name) => service.getHealth().providers.find(p => p.name === name);
+
+beforeEach(() => {
+  stub.failing.clear();
+  stub.hits = { finnhub: 0, twelvedata: 0 };
+});
+
+test('answers from the first provider in the chain', async () => {
+  const service = await createService();
+  const quote = await service.getRealTimePrice('EUR/USD');
+
+  assert.strictEqual(quote.source, 'finnhub');
+  assert.strictEqual(quote.price, 1.085);
+  assert.deepStrictEqual(stub.hits, { finnhub: 1, twelvedata: 0 });
+});
+
+test('fails over to the next provider when one errors', async () => {
+  stub.failing.add('finnhub');
+  const service = await createService();
+  const quote = await service.getRealTimePrice('EUR/USD');
+
+  assert.strictEqual(quote.source, 'twelvedata');
+  assert.strictEqual(quote.price, 1.0852);
+  assert.strictEqual(health(service, 'finnhub').failures, 1);
+  assert.strictEqual(health(service, 'finnhub').status, 'degraded');
+});
+
+test('benches a provider after three consecutive failures', async () => {
+  stub.failing.add('finnhub');
+  const service = await createService();
+  for (let i = 0; i < 3; i++) await service.getRealTimePrice('EUR/USD');
+
+  assert.strictEqual(health(service, 'finnhub').status, 'down');
+  assert.ok(health(service, 'finnhub').benchedUntil);
+
+  // Benched: skipped without a request, and not counted as another failure
+  const quote = await service.getRealTimePrice('EUR/USD');
+  assert.strictEqual(quote.source, 'twelvedata');
+  assert.strictEqual(stub.hits.finnhub, 3);
+  assert.strictEqual(health(service, 'finnhub').failures, 3);
+});
+
+test('a success resets the consecutive failure count', async () => {
+  stub.failing.add('finnhub');
+  const service = await createService();
+  await service.getRealTimePrice('EUR/USD');
+  await service.getRealTimePrice('EUR/USD');
+
+  stub.failing.clear();
+  await service.getRealTimePrice('EUR/USD');
+  assert.strictEqual(health(service, 'finnhub').consecutiveFailures, 0);
+  assert.strictEqual(health(service, 'finnhub').status, 'healthy');
+});
+
+test('serves repeated requests from the cache within its TTL', async () => {
+  const service = await createService({ cacheTtlMs: 60000 });
+  await service.getRealTimePrice('EUR/USD');
+  await service.getRealTimePrice('EUR/USD');
+
+  assert.strictEqual(stub.hits.finnhub, 1);
+  assert.strictEqual(service.getHealth().cache.hits, 1);
+});
+
+test('throws when every provider fails and no mock provider is configured', async () => {
+  stub.failing.add('finnhub');
+  stub.failing.add('twelvedata');
+  const service = await createService();
+
+  await assert.rejects(service.getRealTimePrice('EUR/USD'), /No live quote for EUR\/USD/);
+});